@@ -0,0 +1,425 @@
+/**
+ * Rule-based alerting
+ * Rules are evaluated against each scan result; matches are sent to JSON webhooks
+ * (Slack-compatible payload) and/or by SMTP email. A condition alerts once when it
+ * starts holding and is not repeated on later scans until it clears (or until the
+ * rule's renotifyHours have passed). Delivery is tracked per channel: a webhook or the
+ * email that failed is retried on the domain's next scan, and change events (which are
+ * one-off) are kept until every channel got them.
+ *
+ * Rule shape:
+ * {
+ *   id, name, enabled,
+ *   condition: { type, threshold?, countries?, changeTypes? },
+ *   domains: [],              // empty = all domains
+ *   webhooks: ['https://...'],
+ *   emails: ['analyst@example.com'],
+ *   renotifyHours: 0          // 0 = only when the condition starts again
+ * }
+ */
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { readJson, writeJson, appendJsonLine, readJsonLines } = require('./store');
+
+const RULES_FILE = 'alert-rules.json';
+const STATE_FILE = 'alert-state.json';
+const SENT_LOG = 'alerts.jsonl';
+
+const CONDITION_TYPES = ['unverified-publisher', 'location-not-in', 'total-ads-above', 'change'];
+// Timeout of one webhook request or SMTP connection step
+const DELIVERY_TIMEOUT = parseInt(process.env.ALERT_TIMEOUT) || 10000;
+// Undelivered change alerts are dropped after this long
+const PENDING_CHANGE_MAX_AGE = 7 * 24 * 3600 * 1000;
+
+let transporter = null;
+let alertQueue = Promise.resolve();
+
+/**
+ * SMTP transport from SMTP_* environment variables (null when SMTP_HOST is unset)
+ */
+function getTransporter() {
+  if (transporter) return transporter;
+  if (!process.env.SMTP_HOST) return null;
+
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    // Local SMTP stand-ins usually don't speak TLS
+    ignoreTLS: process.env.SMTP_IGNORE_TLS === 'true',
+    connectionTimeout: DELIVERY_TIMEOUT,
+    greetingTimeout: DELIVERY_TIMEOUT,
+    socketTimeout: DELIVERY_TIMEOUT,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+  return transporter;
+}
+
+/**
+ * Rules
+ */
+
+function getRules() {
+  return readJson(RULES_FILE, []);
+}
+
+function getRule(id) {
+  return getRules().find(r => r.id === id) || null;
+}
+
+/**
+ * Check a rule definition; returns an error message or null
+ */
+function validateRule(rule) {
+  const condition = rule.condition || {};
+  if (!rule.name) return 'Missing rule name';
+  if (!CONDITION_TYPES.includes(condition.type)) {
+    return `Unknown condition type. Expected one of: ${CONDITION_TYPES.join(', ')}`;
+  }
+  if (condition.type === 'total-ads-above' && !(condition.threshold >= 0)) {
+    return 'total-ads-above needs a numeric threshold';
+  }
+  if (condition.type === 'location-not-in' && (!Array.isArray(condition.countries) || condition.countries.length === 0)) {
+    return 'location-not-in needs a countries array';
+  }
+  if (condition.type === 'change' && condition.changeTypes && !Array.isArray(condition.changeTypes)) {
+    return 'changeTypes must be an array';
+  }
+  for (const list of ['domains', 'webhooks', 'emails']) {
+    if (rule[list] !== undefined && !(Array.isArray(rule[list]) && rule[list].every(item => typeof item === 'string' && item))) {
+      return `${list} must be an array of strings`;
+    }
+  }
+  if ((rule.webhooks || []).length === 0 && (rule.emails || []).length === 0) {
+    return 'Rule needs at least one webhook or email recipient';
+  }
+  return null;
+}
+
+function normalizeRule(input, id) {
+  return {
+    id: id,
+    name: input.name,
+    enabled: input.enabled !== false,
+    condition: input.condition,
+    domains: input.domains || [],
+    webhooks: input.webhooks || [],
+    emails: input.emails || [],
+    renotifyHours: input.renotifyHours || 0
+  };
+}
+
+/**
+ * Create a rule
+ * @returns {object} - { success, rule } or { success: false, error }
+ */
+function createRule(input) {
+  const error = validateRule(input);
+  if (error) return { success: false, error };
+
+  const rule = normalizeRule(input, crypto.randomBytes(4).toString('hex'));
+  writeJson(RULES_FILE, [...getRules(), rule]);
+  return { success: true, rule };
+}
+
+function updateRule(id, input) {
+  const rules = getRules();
+  const index = rules.findIndex(r => r.id === id);
+  if (index === -1) return { success: false, error: 'Rule not found', notFound: true };
+
+  const merged = { ...rules[index], ...input };
+  const error = validateRule(merged);
+  if (error) return { success: false, error };
+
+  rules[index] = normalizeRule(merged, id);
+  writeJson(RULES_FILE, rules);
+  return { success: true, rule: rules[index] };
+}
+
+function deleteRule(id) {
+  const rules = getRules();
+  const remaining = rules.filter(r => r.id !== id);
+  if (remaining.length === rules.length) return { success: false, error: 'Rule not found', notFound: true };
+  writeJson(RULES_FILE, remaining);
+  return { success: true };
+}
+
+/**
+ * Evaluation
+ */
+
+// Each match has a stable key so the same condition is recognised on the next scan
+function evaluateRule(rule, domain, data, changes) {
+  const condition = rule.condition;
+  const publishers = data.publishers || [];
+  const matches = [];
+
+  switch (condition.type) {
+    case 'unverified-publisher':
+      for (const pub of publishers) {
+        if (!pub.verified) {
+          matches.push({
+            key: `${pub.id}`,
+            advertiserId: pub.id,
+            message: `Unverified publisher ${pub.name || pub.id} (${pub.id}) on ${domain}`
+          });
+        }
+      }
+      break;
+
+    case 'location-not-in': {
+      const allowed = condition.countries.map(c => c.toLowerCase());
+      for (const pub of publishers) {
+        if (pub.location && !allowed.includes(pub.location.toLowerCase())) {
+          matches.push({
+            key: `${pub.id}:${pub.location}`,
+            advertiserId: pub.id,
+            message: `Publisher ${pub.name || pub.id} (${pub.id}) on ${domain} is located in ${pub.location}, not in ${condition.countries.join(', ')}`
+          });
+        }
+      }
+      break;
+    }
+
+    case 'total-ads-above':
+      if ((data.totalAds || 0) > condition.threshold) {
+        matches.push({
+          key: 'total',
+          message: `${domain} has ${data.totalAds} ads (above ${condition.threshold})`
+        });
+      }
+      break;
+
+    case 'change':
+      for (const change of changes || []) {
+        if (condition.changeTypes && condition.changeTypes.length > 0 && !condition.changeTypes.includes(change.type)) continue;
+        // Change events are one-off, so the key includes the scan time
+        matches.push({
+          key: `${change.type}:${change.advertiserId || ''}:${change.scannedAt}`,
+          advertiserId: change.advertiserId || null,
+          message: describeChange(change)
+        });
+      }
+      break;
+  }
+
+  return matches;
+}
+
+function describeChange(change) {
+  const who = change.advertiserName || change.advertiserId || '';
+  switch (change.type) {
+    case 'advertiser-appeared': return `New advertiser ${who} on ${change.domain}`;
+    case 'advertiser-disappeared': return `Advertiser ${who} no longer on ${change.domain}`;
+    case 'total-ads-changed': return `Total ads on ${change.domain} changed ${change.previous} → ${change.current}` + (change.changePercent !== null ? ` (${change.changePercent}%)` : '');
+    case 'new-creatives': return `${change.count} new creative(s) from ${who || 'unknown advertiser'} on ${change.domain}`;
+    case 'verification-changed': return `${who} on ${change.domain} is now ${change.current ? 'verified' : 'unverified'}`;
+    case 'location-changed': return `${who} on ${change.domain} moved ${change.previous} → ${change.current}`;
+    default: return `${change.type} on ${change.domain}`;
+  }
+}
+
+/**
+ * Delivery
+ */
+
+async function sendWebhook(url, payload) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(DELIVERY_TIMEOUT)
+  }).catch(error => {
+    throw error.name === 'TimeoutError' ? new Error(`Webhook did not answer within ${DELIVERY_TIMEOUT}ms`) : error;
+  });
+  if (!response.ok) {
+    throw new Error(`Webhook returned HTTP ${response.status}`);
+  }
+}
+
+async function sendEmail(to, subject, text) {
+  const transport = getTransporter();
+  if (!transport) {
+    throw new Error('SMTP_HOST not configured');
+  }
+  await transport.sendMail({
+    from: process.env.ALERT_EMAIL_FROM || 'ads-scanner@localhost',
+    to: to,
+    subject: subject,
+    text: text
+  });
+}
+
+// Delivery channels of a rule: each webhook, and one email to all recipients
+function ruleChannels(rule) {
+  const channels = rule.webhooks.map(url => ({ id: `webhook:${url}`, channel: 'webhook', target: url }));
+  if (rule.emails.length > 0) channels.push({ id: 'email', channel: 'email', target: rule.emails.join(', ') });
+  return channels;
+}
+
+/**
+ * Send one alert (a rule with its matches for a domain) to the given channels of the rule
+ * @returns {object[]} - Per-channel delivery results
+ */
+async function deliverAlert(rule, domain, matches, channels = ruleChannels(rule)) {
+  const title = `[Ads Alert] ${rule.name} — ${domain}`;
+  const lines = matches.map(m => `• ${m.message}`);
+  const payload = {
+    // Slack incoming webhooks read `text`; other receivers can use `alert`
+    text: `*${title}*\n${lines.join('\n')}`,
+    alert: {
+      ruleId: rule.id,
+      ruleName: rule.name,
+      condition: rule.condition,
+      domain: domain,
+      matches: matches.map(({ key, ...m }) => m),
+      sentAt: new Date().toISOString()
+    }
+  };
+
+  const deliveries = [];
+  for (const { channel, target } of channels) {
+    try {
+      if (channel === 'webhook') {
+        await sendWebhook(target, payload);
+      } else {
+        await sendEmail(target, title, lines.join('\n'));
+      }
+      deliveries.push({ channel, target, success: true });
+    } catch (error) {
+      console.error(`[Alerts] ${channel === 'webhook' ? `Webhook ${target}` : 'Email'} failed:`, error.message);
+      deliveries.push({ channel, target, success: false, error: error.message });
+    }
+  }
+  return deliveries;
+}
+
+/**
+ * Evaluate all enabled rules against a successful scan and send new alerts.
+ * Conditions that already alerted are skipped until they clear. Each channel is tracked
+ * on its own, so a channel that failed gets the alert on the next scan without the
+ * others getting it twice.
+ * @param {string} domain - Scanned domain
+ * @param {object} data - scrapeAdTransparency() result data
+ * @param {object[]} changes - Change events of this scan
+ * @returns {object[]} - Alerts that were sent
+ */
+function processScanAlerts(domain, data, changes = []) {
+  // Concurrent scans share the dedup state file, so evaluate one scan at a time
+  const run = alertQueue.then(() => evaluateScan(domain, data, changes));
+  alertQueue = run.catch(() => {});
+  return run;
+}
+
+// When a channel last got a match; entries written before per-channel tracking count for every channel
+function channelSentAt(entry, channelId) {
+  if (!entry) return null;
+  return entry.channels ? entry.channels[channelId] || null : entry.lastSent;
+}
+
+async function evaluateScan(domain, data, changes) {
+  const rules = getRules().filter(r => r.enabled);
+  if (rules.length === 0) return [];
+
+  const state = readJson(STATE_FILE, {});
+  const now = Date.now();
+  const sent = [];
+
+  for (const rule of rules) {
+    if (rule.domains.length > 0 && !rule.domains.includes(domain)) continue;
+
+    const prefix = `${rule.id}|${domain}|`;
+    const channels = ruleChannels(rule);
+    const matches = evaluateRule(rule, domain, data, changes);
+    const matchedKeys = new Set(matches.map(m => prefix + m.key));
+
+    for (const key of Object.keys(state)) {
+      if (!key.startsWith(prefix) || matchedKeys.has(key)) continue;
+      const entry = state[key];
+      // Change events don't happen again, so one a channel missed is kept for the next scan
+      const undelivered = entry.match && channels.some(c => !channelSentAt(entry, c.id));
+      if (undelivered && now - Date.parse(entry.firstSeen) < PENDING_CHANGE_MAX_AGE) {
+        matches.push(entry.match);
+      } else {
+        // Conditions that no longer hold can alert again next time
+        delete state[key];
+      }
+    }
+
+    const isDue = (m, channel) => {
+      const lastSent = channelSentAt(state[prefix + m.key], channel.id);
+      if (!lastSent) return true;
+      return rule.renotifyHours > 0 && now - Date.parse(lastSent) > rule.renotifyHours * 3600 * 1000;
+    };
+    const fresh = matches.filter(m => channels.some(channel => isDue(m, channel)));
+    if (fresh.length === 0) continue;
+
+    const sentAt = new Date().toISOString();
+    const deliveries = [];
+    for (const channel of channels) {
+      const due = fresh.filter(m => isDue(m, channel));
+      if (due.length === 0) continue;
+      const [delivery] = await deliverAlert(rule, domain, due, [channel]);
+      deliveries.push({ ...delivery, matches: due.length });
+
+      for (const m of due) {
+        const key = prefix + m.key;
+        const entry = state[key] || { firstSeen: sentAt, channels: {} };
+        // Entries written before per-channel tracking were delivered everywhere
+        entry.channels = entry.channels || Object.fromEntries(channels.map(c => [c.id, entry.lastSent]));
+        if (delivery.success) {
+          entry.channels[channel.id] = sentAt;
+          entry.lastSent = sentAt;
+        }
+        if (rule.condition.type === 'change') entry.match = m;
+        state[key] = entry;
+      }
+    }
+
+    // Matches no channel got yet are only kept for one-off change events
+    for (const m of fresh) {
+      const entry = state[prefix + m.key];
+      if (!entry.match && channels.every(c => !channelSentAt(entry, c.id))) delete state[prefix + m.key];
+    }
+
+    const failed = deliveries.filter(d => !d.success);
+    const delivered = failed.length === 0;
+    const record = { sentAt, ruleId: rule.id, ruleName: rule.name, domain, matches: fresh.map(({ key, ...m }) => m), delivered, deliveries };
+    appendJsonLine(SENT_LOG, record);
+    sent.push(record);
+    console.log(`[Alerts] ${rule.name} — ${domain}: ${fresh.length} match(es) sent to ${deliveries.length - failed.length} of ${deliveries.length} channel(s)` +
+      (delivered ? '' : `; ${failed.map(d => d.target).join(', ')} retried on the next scan of ${domain}`));
+  }
+
+  writeJson(STATE_FILE, state);
+  return sent;
+}
+
+/**
+ * Send a test message through a rule's channels
+ */
+async function sendTestAlert(rule) {
+  return deliverAlert(rule, 'example.com', [{ key: 'test', message: `Test alert for rule "${rule.name}"` }]);
+}
+
+/**
+ * Sent alerts, newest first
+ */
+function getSentAlerts(limit = 100) {
+  return readJsonLines(SENT_LOG).reverse().slice(0, limit);
+}
+
+module.exports = {
+  CONDITION_TYPES,
+  getRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  processScanAlerts,
+  sendTestAlert,
+  getSentAlerts
+};
@@ -60,6 +60,9 @@ function doPost(e) {
     switch (action) {
       case 'saveResults':
         result = saveResults(data.results);
+        if (result.success && data.regions) {
+          result.regionsSavedCount = saveRegionBreakdown(data.regions).savedCount;
+        }
         break;
       default:
         result = { error: 'Unknown action: ' + action };
@@ -140,7 +143,7 @@ function saveResults(results) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let resultsSheet = ss.getSheetByName('RESULTS');
 
-  // Define headers - 14 columns total
+  // Define headers - 22 columns total
   const headers = [
     'Scan Date',
     'Verified',
@@ -155,7 +158,15 @@ function saveResults(results) {
     'Last Seen Date',
     'Ad Image/Video URL',
     'Ad Text',
-    'Ads Transparency URL'
+    'Ads Transparency URL',
+    'Filters',
+    'Total Ads Approximate',
+    'Total Ads Lower',
+    'Total Ads Upper',
+    'Result Class',
+    'Attempts',
+    'Proxy',
+    'Profile'
   ];
 
   // Create RESULTS sheet if it doesn't exist
@@ -166,11 +177,15 @@ function saveResults(results) {
     resultsSheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
     // Freeze header row
     resultsSheet.setFrozenRows(1);
+  } else if (resultsSheet.getLastColumn() < headers.length) {
+    // Sheets created before a column was added get the new header cells
+    resultsSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
   }
 
   // Add results
+  // Dates are written as date values (from the ISO fields) so the columns sort and chart
   const rows = results.map(r => [
-    r.scanDate || new Date().toISOString(),
+    r.scanDateIso ? new Date(r.scanDateIso) : (r.scanDate || new Date()),
     r.publisherVerified ? 'Yes' : 'No',
     r.domain || '',
     r.publisherName || '',
@@ -180,14 +195,24 @@ function saveResults(results) {
     r.totalAds || 0,
     r.adsInView || 0,
     Array.isArray(r.adFormats) ? r.adFormats.join(', ') : (r.adFormats || ''),
-    r.lastSeenDate || '',
+    r.lastSeenDateIso ? isoDateValue(r.lastSeenDateIso) : (r.lastSeenDate || ''),
     r.adImageUrl || '',
     r.adText || '',
-    r.adsTransparencyUrl || ''
+    r.adsTransparencyUrl || '',
+    r.filters || 'None',
+    r.totalAdsApproximate ? 'Yes' : 'No',
+    r.totalAdsLower ?? r.totalAds ?? 0,
+    r.totalAdsUpper ?? r.totalAds ?? 0,
+    r.errorClass || (r.status === 'error' ? 'unknown' : 'ok'),
+    r.attempts || 1,
+    r.proxy || 'direct',
+    r.profile || '-'
   ]);
 
   const lastRow = resultsSheet.getLastRow();
   resultsSheet.getRange(lastRow + 1, 1, rows.length, headers.length).setValues(rows);
+  resultsSheet.getRange(lastRow + 1, 1, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+  resultsSheet.getRange(lastRow + 1, 11, rows.length, 1).setNumberFormat('yyyy-mm-dd');
 
   return {
     success: true,
@@ -196,6 +221,62 @@ function saveResults(results) {
   };
 }
 
+/**
+ * "2025-10-05" → a Date at midnight in the script's time zone (new Date("2025-10-05") is UTC midnight)
+ */
+function isoDateValue(iso) {
+  const parts = iso.split('-').map(Number);
+  return new Date(parts[0], parts[1] - 1, parts[2]);
+}
+
+/**
+ * Save a multi-region sweep to a REGIONS sheet (one row per domain and region)
+ * Creates the sheet if it doesn't exist
+ */
+function saveRegionBreakdown(regions) {
+  if (!Array.isArray(regions) || regions.length === 0) {
+    return { success: true, savedCount: 0 };
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let regionsSheet = ss.getSheetByName('REGIONS');
+
+  const headers = [
+    'Scan Date',
+    'Domain',
+    'Region',
+    'Total Ads',
+    'Ads in View',
+    'Publishers',
+    'Ad Formats',
+    'Status'
+  ];
+
+  if (!regionsSheet) {
+    regionsSheet = ss.insertSheet('REGIONS');
+    regionsSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+    regionsSheet.getRange(1, 1, 1, headers.length).setFontWeight('bold');
+    regionsSheet.setFrozenRows(1);
+  }
+
+  const rows = regions.map(r => [
+    r.scanDateIso ? new Date(r.scanDateIso) : (r.scanDate || new Date()),
+    r.domain || '',
+    r.region || '',
+    r.totalAds || 0,
+    r.adsInView || 0,
+    Array.isArray(r.publishers) ? r.publishers.join(', ') : (r.publishers || ''),
+    Array.isArray(r.adFormats) ? r.adFormats.join(', ') : (r.adFormats || ''),
+    r.status === 'error' ? 'Error: ' + (r.error || '') : 'OK'
+  ]);
+
+  const lastRow = regionsSheet.getLastRow();
+  regionsSheet.getRange(lastRow + 1, 1, rows.length, headers.length).setValues(rows);
+  regionsSheet.getRange(lastRow + 1, 1, rows.length, 1).setNumberFormat('yyyy-mm-dd hh:mm:ss');
+
+  return { success: true, savedCount: rows.length };
+}
+
 /**
  * Test function - run this to verify the script works
  */
@@ -0,0 +1,286 @@
+/**
+ * Creative asset archive
+ * The image, video poster and video of each ad are downloaded into data/assets/,
+ * keyed by the SHA-256 of their content, so the evidence of what was shown survives
+ * Google's expiring URLs. Images also get a perceptual hash (dHash) to find
+ * near-duplicates: the same creative re-encoded, resized or lightly edited.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const { resolvePath, readJson, writeJson, listJson } = require('./store');
+const { BASE_URL } = require('./transparency-urls');
+const { openTunnel } = require('./proxy-pool');
+
+const ARCHIVE_ASSETS = ['true', '1'].includes(String(process.env.ARCHIVE_ASSETS || '').toLowerCase());
+const MAX_ASSET_BYTES = parseInt(process.env.ASSET_MAX_BYTES) || 50 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = parseInt(process.env.ASSET_DOWNLOAD_TIMEOUT) || 30000;
+const MAX_REDIRECTS = 3;
+// Hosts (and their subdomains) Google serves creatives from; the Transparency Center's own
+// host is added so the local mock site's assets can be archived too
+const ASSET_HOSTS = (process.env.ASSET_HOSTS || 'googlesyndication.com,googleusercontent.com,googlevideo.com,ytimg.com,gstatic.com,doubleclick.net')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean)
+  .concat(new URL(BASE_URL).hostname);
+// Perceptual hashes at most this many bits apart count as near-duplicates
+const SIMILAR_DISTANCE = 10;
+
+const ASSETS_DIR = 'assets';
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Asset kinds and the ad field their URL is read from
+const ASSET_FIELDS = { image: 'imageUrl', poster: 'posterUrl', video: 'videoUrl' };
+
+function metaFile(hash) {
+  return `${ASSETS_DIR}/${hash}.json`;
+}
+
+function contentFile(hash) {
+  return resolvePath(`${ASSETS_DIR}/${hash}.bin`);
+}
+
+function isValidHash(hash) {
+  return HASH_PATTERN.test(hash || '');
+}
+
+function isAssetUrl(url) {
+  const host = url.hostname.toLowerCase();
+  return ['http:', 'https:'].includes(url.protocol) &&
+    ASSET_HOSTS.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// GET a URL, through the scan session's proxy when it has one (so it leaves from the same IP as the scan)
+async function get(url, signal, proxy) {
+  const options = { signal };
+  if (proxy) {
+    const port = parseInt(url.port) || (url.protocol === 'https:' ? 443 : 80);
+    const tunnel = await openTunnel(proxy, url.hostname, port, signal);
+    const socket = url.protocol === 'https:' ? tls.connect({ socket: tunnel, servername: url.hostname }) : tunnel;
+    options.createConnection = () => socket;
+  }
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    client.get(url, options, resolve).on('error', reject);
+  });
+}
+
+// Response body, giving up as soon as it grows past MAX_ASSET_BYTES
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    response.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_ASSET_BYTES) {
+        response.destroy(new Error(`Asset is over ${MAX_ASSET_BYTES} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+    response.on('close', () => reject(new Error('Connection closed before the asset was complete')));
+  });
+}
+
+/**
+ * Download an asset from an ad-serving host (redirects are followed to allowed hosts only)
+ * @param {object} options - { signal, proxy }: the scan's signal (stopping the scan stops
+ *   the download) and its session's proxy (see proxy-pool.js; none for a direct connection)
+ */
+async function download(url, { signal, proxy } = {}) {
+  const timeout = AbortSignal.timeout(DOWNLOAD_TIMEOUT);
+  const downloadSignal = signal ? AbortSignal.any([signal, timeout]) : timeout;
+  let target = new URL(url);
+
+  try {
+    for (let redirects = 0; ; redirects++) {
+      if (!isAssetUrl(target)) throw new Error(`Not an ad-serving host: ${target.hostname}`);
+
+      const response = await get(target, downloadSignal, proxy);
+      const { statusCode, headers } = response;
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.destroy();
+        if (redirects >= MAX_REDIRECTS) throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+        target = new URL(headers.location, target);
+        continue;
+      }
+      if (statusCode !== 200) {
+        response.destroy();
+        throw new Error(`HTTP ${statusCode}`);
+      }
+
+      const length = parseInt(headers['content-length']);
+      if (length > MAX_ASSET_BYTES) {
+        response.destroy();
+        throw new Error(`Asset is ${length} bytes (limit ${MAX_ASSET_BYTES})`);
+      }
+      const buffer = await readBody(response);
+      return { buffer, contentType: (headers['content-type'] || 'application/octet-stream').split(';')[0] };
+    }
+  } catch (error) {
+    if (timeout.aborted && !signal?.aborted) throw new Error(`No complete download within ${DOWNLOAD_TIMEOUT}ms`);
+    throw error;
+  }
+}
+
+/**
+ * 64-bit difference hash of an image as 16 hex characters, computed with a canvas in
+ * the scan's browser page (the image is passed as a data URL, so the canvas is not tainted)
+ * @returns {Promise<string|null>} - null when the browser can't decode the image
+ */
+async function perceptualHash(page, buffer, contentType) {
+  const dataUrl = `data:${contentType};base64,${buffer.toString('base64')}`;
+  return page.evaluate(async (src) => {
+    const img = new Image();
+    img.src = src;
+    try {
+      await img.decode();
+    } catch {
+      return null;
+    }
+    // 9x8 grayscale thumbnail; each bit says whether a pixel is brighter than its right neighbour
+    const canvas = document.createElement('canvas');
+    canvas.width = 9;
+    canvas.height = 8;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(img, 0, 0, 9, 8);
+    const pixels = ctx.getImageData(0, 0, 9, 8).data;
+    const gray = i => pixels[i * 4] * 0.299 + pixels[i * 4 + 1] * 0.587 + pixels[i * 4 + 2] * 0.114;
+
+    let hex = '';
+    for (let y = 0; y < 8; y++) {
+      let byte = 0;
+      for (let x = 0; x < 8; x++) {
+        byte = (byte << 1) | (gray(y * 9 + x) > gray(y * 9 + x + 1) ? 1 : 0);
+      }
+      hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+  }, dataUrl).catch(() => null);
+}
+
+/**
+ * Number of differing bits between two perceptual hashes
+ */
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i += 2) {
+    let diff = parseInt(a.substring(i, i + 2), 16) ^ parseInt(b.substring(i, i + 2), 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Download one asset into the archive (or update the record of an already archived one)
+ * @param {object} page - Browser page used to compute the perceptual hash of images
+ * @param {string} url - Asset URL
+ * @param {string} kind - image, poster or video
+ * @param {object} options - { signal, proxy } of the scan (see download())
+ * @returns {Promise<object>} - Asset record { hash, phash, kind, contentType, size, urls, firstArchivedAt, lastSeenAt }
+ */
+async function archiveAsset(page, url, kind, options) {
+  const { buffer, contentType } = await download(url, options);
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  const now = new Date().toISOString();
+
+  let meta = readJson(metaFile(hash));
+  if (!meta) {
+    fs.mkdirSync(resolvePath(ASSETS_DIR), { recursive: true });
+    fs.writeFileSync(contentFile(hash), buffer);
+    meta = {
+      hash,
+      phash: contentType.startsWith('image/') ? await perceptualHash(page, buffer, contentType) : null,
+      kind,
+      contentType,
+      size: buffer.length,
+      urls: [],
+      firstArchivedAt: now,
+      lastSeenAt: now
+    };
+  }
+  if (!meta.urls.includes(url)) meta.urls.push(url);
+  meta.lastSeenAt = now;
+  writeJson(metaFile(hash), meta);
+  return meta;
+}
+
+/**
+ * Archive the image, video poster and video of each ad and reference them from the ad:
+ * ad.assets = { image: { hash, phash, contentType, size }, poster: ..., video: ... }
+ * Failed downloads are recorded as { error } and don't fail the scan; a stopped scan
+ * (its signal aborted) stops archiving and throws.
+ * @param {object} options - { signal, proxy }: the scan's AbortSignal and session proxy
+ */
+async function archiveAdAssets(page, ads, { signal, proxy } = {}) {
+  // The same URL is often shared by several ads of a scan
+  const archived = new Map();
+  let count = 0;
+
+  for (const ad of ads) {
+    for (const [kind, field] of Object.entries(ASSET_FIELDS)) {
+      const url = ad[field];
+      if (!url || !/^https?:/.test(url)) continue;
+      signal?.throwIfAborted();
+
+      if (!archived.has(url)) {
+        try {
+          const meta = await archiveAsset(page, url, kind, { signal, proxy });
+          archived.set(url, { hash: meta.hash, phash: meta.phash, contentType: meta.contentType, size: meta.size });
+          count++;
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          console.log(`  Could not archive ${kind} of ${ad.creativeId}: ${error.message}`);
+          archived.set(url, { error: error.message });
+        }
+      }
+      ad.assets = { ...ad.assets, [kind]: archived.get(url) };
+    }
+  }
+
+  if (count > 0) console.log(`  Archived ${count} asset(s)`);
+}
+
+/**
+ * Archived asset by SHA-256
+ * @returns {object|null} - { meta, filePath } or null if it isn't in the archive
+ */
+function getAsset(hash) {
+  if (!isValidHash(hash)) return null;
+  const meta = readJson(metaFile(hash));
+  if (!meta || !fs.existsSync(contentFile(hash))) return null;
+  return { meta, filePath: contentFile(hash) };
+}
+
+/**
+ * Archived images whose perceptual hash is within maxDistance bits of an asset's
+ * @returns {object[]|null} - [{ ...meta, distance }], closest first; null if the asset isn't archived
+ */
+function findSimilarAssets(hash, maxDistance = SIMILAR_DISTANCE) {
+  const asset = getAsset(hash);
+  if (!asset) return null;
+  if (!asset.meta.phash) return [];
+
+  return listJson(ASSETS_DIR)
+    .map(name => readJson(name))
+    .filter(meta => meta?.phash && meta.hash !== hash)
+    .map(meta => ({ ...meta, distance: hammingDistance(asset.meta.phash, meta.phash) }))
+    .filter(meta => meta.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+module.exports = {
+  ARCHIVE_ASSETS,
+  isValidHash,
+  archiveAdAssets,
+  getAsset,
+  findSimilarAssets
+};
@@ -0,0 +1,254 @@
+/**
+ * Shared Puppeteer browser pool
+ * Keeps long-lived Chromium instances and hands out pages (tabs) up to a
+ * configurable concurrency limit. Crashed browsers and browsers that served
+ * too many pages or grew too large are retired and replaced automatically.
+ */
+
+const puppeteer = require('puppeteer');
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu'
+];
+
+const poolOptions = {
+  concurrency: parseInt(process.env.SCAN_CONCURRENCY) || 3,
+  maxPagesPerBrowser: parseInt(process.env.POOL_MAX_PAGES_PER_BROWSER) || 50,
+  maxHeapMB: parseInt(process.env.POOL_MAX_HEAP_MB) || 512
+};
+
+// Current browser entry ({ browser, activePages, pagesServed, retiring }) - new pages open here
+let current = null;
+let launching = null;
+// Every browser still running: current and retired ones whose pages are still in use
+const entries = new Set();
+let activePages = 0;
+const waiters = [];
+const pageOwners = new WeakMap();
+// Browser contexts opened for a single page (proxied or isolated sessions)
+const pageContexts = new WeakMap();
+let stats = { launched: 0, recycled: 0, crashed: 0 };
+
+/**
+ * Update pool settings (concurrency, maxPagesPerBrowser, maxHeapMB)
+ */
+function configurePool(options = {}) {
+  if (options.concurrency && options.concurrency > 0) poolOptions.concurrency = options.concurrency;
+  if (options.maxPagesPerBrowser && options.maxPagesPerBrowser > 0) poolOptions.maxPagesPerBrowser = options.maxPagesPerBrowser;
+  if (options.maxHeapMB && options.maxHeapMB > 0) poolOptions.maxHeapMB = options.maxHeapMB;
+
+  // Raising the limit may unblock waiting callers
+  while (waiters.length > 0 && activePages < poolOptions.concurrency) {
+    activePages++;
+    waiters.shift()();
+  }
+  return { ...poolOptions };
+}
+
+async function launchEntry() {
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: LAUNCH_ARGS
+  });
+  const entry = { browser, activePages: 0, pagesServed: 0, retiring: false };
+  stats.launched++;
+  entries.add(entry);
+
+  browser.on('disconnected', () => {
+    entries.delete(entry);
+    if (!entry.retiring) {
+      stats.crashed++;
+      console.error('[Pool] Browser disconnected unexpectedly, will relaunch on next scan');
+    }
+    entry.retiring = true;
+    if (current === entry) current = null;
+  });
+
+  console.log(`[Pool] Browser launched (concurrency: ${poolOptions.concurrency})`);
+  return entry;
+}
+
+// Get the browser new pages should open in, launching one if needed
+async function getEntry() {
+  if (current && !current.retiring && current.browser.connected) {
+    return current;
+  }
+  if (!launching) {
+    launching = launchEntry()
+      .then(entry => { current = entry; return entry; })
+      .finally(() => { launching = null; });
+  }
+  return launching;
+}
+
+// Mark a browser as retired; it is closed once its last page is released
+function retireEntry(entry, reason) {
+  if (!entry.retiring) {
+    entry.retiring = true;
+    stats.recycled++;
+    console.log(`[Pool] Recycling browser: ${reason}`);
+  }
+  if (current === entry) current = null;
+  if (entry.activePages === 0) {
+    entry.browser.close().catch(() => {});
+  }
+}
+
+function waitForSlot() {
+  if (activePages < poolOptions.concurrency) {
+    activePages++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiters.push(resolve));
+}
+
+function freeSlot() {
+  if (waiters.length > 0 && activePages <= poolOptions.concurrency) {
+    // Hand the slot directly to the next waiter
+    waiters.shift()();
+  } else {
+    activePages--;
+  }
+}
+
+/**
+ * Get a fresh page from the pool. Waits while `concurrency` pages are in use.
+ * Every acquired page must be returned with releasePage().
+ * @param {object} options - { proxyServer, isolated }: open the page in its own browser
+ *   context, going out through proxyServer (e.g. "socks5://10.0.0.2:1080") if given
+ */
+async function acquirePage(options = {}) {
+  await waitForSlot();
+  let context = null;
+  try {
+    const entry = await getEntry();
+    if (options.proxyServer || options.isolated) {
+      context = await entry.browser.createBrowserContext(options.proxyServer ? { proxyServer: options.proxyServer } : {});
+    }
+    const page = await (context || entry.browser).newPage();
+    entry.activePages++;
+    entry.pagesServed++;
+    pageOwners.set(page, entry);
+    if (context) pageContexts.set(page, context);
+
+    page.on('error', err => {
+      // Renderer crash - this browser is no longer trustworthy
+      console.error('[Pool] Page crashed:', err.message);
+      retireEntry(entry, 'page crash');
+    });
+
+    return page;
+  } catch (error) {
+    context?.close().catch(() => {});
+    freeSlot();
+    throw error;
+  }
+}
+
+/**
+ * Close a page and return its slot to the pool.
+ * Retires the owning browser when it has served too many pages or its heap grew too large.
+ */
+async function releasePage(page) {
+  const entry = pageOwners.get(page);
+  if (!entry) return;
+  pageOwners.delete(page);
+
+  try {
+    if (!entry.retiring && !page.isClosed()) {
+      const metrics = await page.metrics().catch(() => null);
+      const heapMB = metrics ? metrics.JSHeapTotalSize / (1024 * 1024) : 0;
+      if (heapMB > poolOptions.maxHeapMB) {
+        retireEntry(entry, `heap ${Math.round(heapMB)}MB > ${poolOptions.maxHeapMB}MB`);
+      }
+    }
+    if (!page.isClosed()) {
+      await page.close().catch(() => {});
+    }
+    await pageContexts.get(page)?.close().catch(() => {});
+  } finally {
+    entry.activePages--;
+    if (!entry.retiring && entry.pagesServed >= poolOptions.maxPagesPerBrowser) {
+      retireEntry(entry, `served ${entry.pagesServed} pages`);
+    } else if (entry.retiring && entry.activePages === 0) {
+      entry.browser.close().catch(() => {});
+    }
+    freeSlot();
+  }
+}
+
+/**
+ * Run fn(page) with a pooled page, always releasing it afterwards
+ */
+async function withPage(fn) {
+  const page = await acquirePage();
+  try {
+    return await fn(page);
+  } finally {
+    await releasePage(page);
+  }
+}
+
+/**
+ * Run worker(item, index) over items with at most `limit` running at once.
+ * Results keep the order of items.
+ */
+async function mapConcurrent(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(run());
+  }
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Close all pool browsers (used on shutdown), including retired ones that still have pages open
+ */
+async function closePool() {
+  if (launching) await launching.catch(() => null);
+  current = null;
+  const closing = [...entries];
+  entries.clear();
+  await Promise.all(closing.map(entry => {
+    entry.retiring = true;
+    return entry.browser.close().catch(() => {});
+  }));
+}
+
+function getPoolStatus() {
+  return {
+    concurrency: poolOptions.concurrency,
+    maxPagesPerBrowser: poolOptions.maxPagesPerBrowser,
+    maxHeapMB: poolOptions.maxHeapMB,
+    activePages: activePages,
+    waiting: waiters.length,
+    browserRunning: !!(current && current.browser.connected),
+    browsersOpen: entries.size,
+    pagesServedByBrowser: current ? current.pagesServed : 0,
+    ...stats
+  };
+}
+
+module.exports = {
+  configurePool,
+  acquirePage,
+  releasePage,
+  withPage,
+  mapConcurrent,
+  closePool,
+  getPoolStatus
+};
@@ -0,0 +1,185 @@
+/**
+ * Change detection between consecutive scans of a domain
+ * Compares two history entries (see history-store.js) and produces structured
+ * change events, stored in data/changes/<domain>.jsonl.
+ * Publishers and creatives come from the scan's ad list, which may be a sample (maxAds,
+ * scrolling). Something is only "new" against a previous scan that listed every ad, and
+ * only "gone" from a current scan that did; other comparisons are skipped.
+ */
+
+const { appendJsonLine, readJsonLines, listFiles } = require('./store');
+const { filterByTime } = require('./history-store');
+
+const CHANGES_DIR = 'changes';
+
+// Minimum totalAds change (in percent) that counts as a jump
+const TOTAL_ADS_THRESHOLD = parseFloat(process.env.CHANGE_TOTAL_ADS_THRESHOLD) || 20;
+
+const CHANGE_TYPES = [
+  'advertiser-appeared',
+  'advertiser-disappeared',
+  'total-ads-changed',
+  'new-creatives',
+  'verification-changed',
+  'location-changed'
+];
+
+function changesFile(domain) {
+  const safe = domain.toLowerCase().replace(/[^a-z0-9.-]/g, '_');
+  return `${CHANGES_DIR}/${safe}.jsonl`;
+}
+
+/**
+ * Compare a scan with the previous scan of the same domain
+ * @param {object} previous - Previous history entry (or null for a first scan)
+ * @param {object} current - New history entry
+ * @param {object} options - { totalAdsThreshold } in percent
+ * @returns {object[]} - Change events
+ */
+function diffScans(previous, current, options = {}) {
+  const threshold = options.totalAdsThreshold ?? TOTAL_ADS_THRESHOLD;
+  const changes = [];
+
+  if (!previous || !previous.success || !current.success) {
+    return changes;
+  }
+
+  const base = {
+    domain: current.domain,
+    region: current.region,
+    scannedAt: current.scannedAt,
+    previousScannedAt: previous.scannedAt,
+    detectedAt: new Date().toISOString()
+  };
+
+  const prevPubs = new Map(previous.publishers.map(p => [p.id, p]));
+  const curPubs = new Map(current.publishers.map(p => [p.id, p]));
+  // Entries recorded before inventoryComplete existed count as samples
+  const previousComplete = previous.inventoryComplete === true;
+  const currentComplete = current.inventoryComplete === true;
+
+  for (const [id, pub] of curPubs) {
+    if (previousComplete && !prevPubs.has(id)) {
+      changes.push({
+        ...base,
+        type: 'advertiser-appeared',
+        advertiserId: id,
+        advertiserName: pub.name,
+        current: { verified: pub.verified, location: pub.location, adsInView: pub.adsInView }
+      });
+    }
+  }
+
+  for (const [id, pub] of prevPubs) {
+    if (currentComplete && !curPubs.has(id)) {
+      changes.push({
+        ...base,
+        type: 'advertiser-disappeared',
+        advertiserId: id,
+        advertiserName: pub.name,
+        previous: { verified: pub.verified, location: pub.location, adsInView: pub.adsInView }
+      });
+    }
+  }
+
+  // totalAds jump - a change from 0 always counts
+  const prevTotal = previous.totalAds || 0;
+  const curTotal = current.totalAds || 0;
+  if (prevTotal !== curTotal) {
+    const changePercent = prevTotal > 0 ? ((curTotal - prevTotal) / prevTotal) * 100 : null;
+    if (changePercent === null || Math.abs(changePercent) > threshold) {
+      changes.push({
+        ...base,
+        type: 'total-ads-changed',
+        previous: prevTotal,
+        current: curTotal,
+        changePercent: changePercent === null ? null : Math.round(changePercent * 10) / 10,
+        threshold
+      });
+    }
+  }
+
+  // New creative IDs, grouped by advertiser
+  const seenCreatives = new Set(previous.ads.map(ad => ad.creativeId).filter(Boolean));
+  const newByAdvertiser = {};
+  if (previousComplete) {
+    for (const ad of current.ads) {
+      if (!ad.creativeId || seenCreatives.has(ad.creativeId)) continue;
+      const key = ad.advertiserId || '-';
+      newByAdvertiser[key] = newByAdvertiser[key] || { name: ad.advertiserName, creativeIds: [] };
+      newByAdvertiser[key].creativeIds.push(ad.creativeId);
+    }
+  }
+  for (const [id, group] of Object.entries(newByAdvertiser)) {
+    changes.push({
+      ...base,
+      type: 'new-creatives',
+      advertiserId: id === '-' ? null : id,
+      advertiserName: group.name || null,
+      creativeIds: group.creativeIds,
+      count: group.creativeIds.length
+    });
+  }
+
+  // Verification and location of advertisers present in both scans
+  for (const [id, pub] of curPubs) {
+    const prev = prevPubs.get(id);
+    if (!prev) continue;
+
+    if (!!prev.verified !== !!pub.verified) {
+      changes.push({
+        ...base,
+        type: 'verification-changed',
+        advertiserId: id,
+        advertiserName: pub.name,
+        previous: !!prev.verified,
+        current: !!pub.verified
+      });
+    }
+
+    // A missing location is a failed lookup, not a change
+    if (prev.location && pub.location && prev.location !== pub.location) {
+      changes.push({
+        ...base,
+        type: 'location-changed',
+        advertiserId: id,
+        advertiserName: pub.name,
+        previous: prev.location,
+        current: pub.location
+      });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Persist change events for a domain
+ */
+function recordChanges(domain, changes) {
+  for (const change of changes) {
+    appendJsonLine(changesFile(domain), change);
+  }
+}
+
+/**
+ * Stored change events, newest first
+ * @param {object} filters - { domain, type, from, to }
+ */
+function getChanges({ domain, type, from, to } = {}) {
+  const files = domain ? [changesFile(domain)] : listFiles(CHANGES_DIR, '.jsonl');
+  const changes = files
+    .flatMap(name => readJsonLines(name))
+    .filter(c => !type || c.type === type);
+
+  // Same from/to reading as /history: a date-only `to` includes that whole day
+  return filterByTime(changes, from, to)
+    .sort((a, b) => b.scannedAt.localeCompare(a.scannedAt));
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  diffScans,
+  recordChanges,
+  getChanges
+};
@@ -0,0 +1,108 @@
+/**
+ * Blocking circuit breaker
+ * Counts consecutive scans that ran into a consent wall, CAPTCHA or "unusual traffic"
+ * page. After BREAKER_THRESHOLD in a row the breaker opens and batch jobs pause for a
+ * cooldown that doubles with every trip. When the cooldown ends, scanning resumes
+ * (half-open): a successful scan closes the breaker, another block re-opens it for longer.
+ * The state is persisted so a restart doesn't reset an active cooldown.
+ */
+
+const { readJson, writeJson } = require('./store');
+
+const BLOCKING_CLASSES = ['consent', 'captcha'];
+const THRESHOLD = parseInt(process.env.BREAKER_THRESHOLD) || 3;
+const BASE_COOLDOWN = parseInt(process.env.BREAKER_COOLDOWN) || 5 * 60 * 1000;
+const MAX_COOLDOWN = parseInt(process.env.BREAKER_MAX_COOLDOWN) || 2 * 60 * 60 * 1000;
+
+const STATE_FILE = 'circuit-breaker.json';
+
+function initialState() {
+  return { state: 'closed', consecutiveBlocks: 0, trips: 0, openedAt: null, resumeAt: null, lastBlock: null };
+}
+
+let breaker = { ...initialState(), ...readJson(STATE_FILE, {}) };
+
+function save() {
+  writeJson(STATE_FILE, breaker);
+}
+
+function isBlockingClass(errorClass) {
+  return BLOCKING_CLASSES.includes(errorClass);
+}
+
+function cooldownFor(trips) {
+  return Math.min(BASE_COOLDOWN * 2 ** (trips - 1), MAX_COOLDOWN);
+}
+
+function trip() {
+  breaker.trips++;
+  const cooldown = cooldownFor(breaker.trips);
+  breaker.state = 'open';
+  breaker.openedAt = new Date().toISOString();
+  breaker.resumeAt = new Date(Date.now() + cooldown).toISOString();
+  console.error(`[Breaker] Blocked after ${breaker.consecutiveBlocks} consecutive block(s); pausing scans for ${Math.round(cooldown / 1000)}s (trip ${breaker.trips})`);
+}
+
+/**
+ * Count a scan result: blocks trip the breaker, a success closes it.
+ * Other failures (timeouts, network errors...) don't count either way.
+ */
+function recordScanOutcome(domain, result) {
+  if (isBlockingClass(result.errorClass)) {
+    breaker.consecutiveBlocks++;
+    breaker.lastBlock = { domain, errorClass: result.errorClass, error: result.error || null, at: new Date().toISOString() };
+    if (breaker.state === 'half-open' || (breaker.state === 'closed' && breaker.consecutiveBlocks >= THRESHOLD)) {
+      trip();
+    }
+    save();
+  } else if (result.success && (breaker.state !== 'closed' || breaker.consecutiveBlocks > 0)) {
+    if (breaker.state !== 'closed') console.log(`[Breaker] ${domain} scanned successfully, resuming normal scanning`);
+    breaker = { ...initialState(), lastBlock: breaker.lastBlock };
+    save();
+  }
+}
+
+/**
+ * Current breaker state; an open breaker whose cooldown has ended becomes half-open
+ * @returns {object} - { blocked, state, consecutiveBlocks, trips, openedAt, resumeAt, lastBlock, threshold }
+ */
+function getBreakerStatus() {
+  if (breaker.state === 'open' && Date.now() >= Date.parse(breaker.resumeAt)) {
+    breaker.state = 'half-open';
+    save();
+    console.log('[Breaker] Cooldown over, trying again');
+  }
+  return { blocked: breaker.state === 'open', ...breaker, threshold: THRESHOLD };
+}
+
+/**
+ * Wait while the breaker is open
+ * @param {Function} shouldStop - Checked every few seconds; stops waiting when it returns true
+ * @returns {Promise<boolean>} - false if waiting was stopped before the breaker let scans through
+ */
+async function waitWhileBlocked(shouldStop = () => false) {
+  while (getBreakerStatus().blocked) {
+    if (shouldStop()) return false;
+    const remaining = Date.parse(breaker.resumeAt) - Date.now();
+    await new Promise(resolve => setTimeout(resolve, Math.max(Math.min(remaining, 5000), 100)));
+  }
+  return !shouldStop();
+}
+
+/**
+ * Close the breaker by hand (e.g. after solving the CAPTCHA or changing the proxy)
+ */
+function resetBreaker() {
+  breaker = initialState();
+  save();
+  console.log('[Breaker] Reset');
+  return getBreakerStatus();
+}
+
+module.exports = {
+  isBlockingClass,
+  recordScanOutcome,
+  getBreakerStatus,
+  waitWhileBlocked,
+  resetBreaker
+};
@@ -0,0 +1,302 @@
+/**
+ * Page extractors
+ * The extract* functions read a Transparency Center page from its document, so the same
+ * code runs in the browser (passed to page.evaluate) and offline on a saved snapshot
+ * (see snapshots.js). The read* functions interpret their text with a locale pack, and
+ * the *Snapshot functions run the whole chain on saved HTML for the regression tests.
+ */
+
+const {
+  resolvePack, getLabels, findLabelValue, includesAny, translatePlaces, translateDate, translateFormat,
+  translatePlatform, parseAdCount
+} = require('./locale-packs');
+const { loadSnapshot } = require('./snapshots');
+const { DEFAULT_BASE_URL } = require('./transparency-urls');
+
+/**
+ * Read the ads list of a search results or advertiser page
+ * @param {string|null} searchDomain - Searched domain (null on an advertiser page)
+ * @param {string} searchRegion - Region of the search
+ * @param {object} labels - Page labels of the locale pack (see locale-packs.js)
+ * @param {string} baseUrl - Site the page came from; creative links are made absolute with it
+ * @param {Document} doc - Page document (the browser's own when run with page.evaluate)
+ */
+function extractResultsPage(searchDomain, searchRegion, labels, baseUrl, doc = document) {
+  const result = {
+    domain: searchDomain,
+    region: searchRegion,
+    scrapedAt: new Date().toISOString(),
+    advertiser: null,
+    totalAds: 0,
+    totalAdsText: '',
+    totalAdsRange: null,
+    ads: [],
+    adFormats: [],
+    lastSeenDate: null,
+    rawText: '',
+    hasResults: false
+  };
+
+  // Get the full page text for debugging/analysis
+  result.rawText = doc.body.innerText;
+
+  // Check for "no ads" message
+  if (labels.noResults.some(label => result.rawText.includes(label))) {
+    result.hasResults = false;
+    result.noResultsShown = true;
+    return result;
+  }
+
+  // The ad count ("About 2K ads") is parsed from rawText with the locale pack's number format
+  const cleanText = result.rawText.replace(/[\u200F\u200E]/g, ''); // Remove RTL/LTR marks
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const verifiedPattern = labels.verified.map(escape).join('|');
+  const ofPattern = labels.of.map(escape).join('|');
+
+  // Extract advertiser info from creative-preview elements
+  const creativeElements = doc.querySelectorAll('creative-preview');
+  if (creativeElements.length > 0) {
+    const firstCreative = creativeElements[0];
+    const link = firstCreative.querySelector('a[href*="/advertiser/"]');
+    if (link) {
+      const href = link.getAttribute('href');
+      const advertiserMatch = href.match(/\/advertiser\/(AR\d+)/);
+
+      result.advertiser = {
+        id: advertiserMatch ? advertiserMatch[1] : null,
+        name: null,
+        verified: false,
+        location: null
+      };
+
+      // Get advertiser name from the creative preview text
+      const nameEl = firstCreative.querySelector('.advertiser-name, [class*="advertiser"]');
+      if (nameEl) {
+        result.advertiser.name = nameEl.textContent.trim();
+      }
+    }
+  }
+
+  // Also look for advertiser name in the page text
+  const advertiserNameMatch = cleanText.match(new RegExp(`\\n([A-Za-z0-9][A-Za-z0-9\\s]+(?:LTD|LLC|Inc|Corp|Ltd)\\.?)\\s*\\n\\s*(?:${verifiedPattern})`, 'i'));
+  if (advertiserNameMatch) {
+    if (!result.advertiser) {
+      result.advertiser = { id: null, name: null, verified: false, location: null };
+    }
+    result.advertiser.name = advertiserNameMatch[1].trim();
+    result.advertiser.verified = true;
+  }
+
+  // Extract ad creative details
+  const adElements = doc.querySelectorAll('creative-preview');
+  result.ads = Array.from(adElements).map((el, index) => {
+    const link = el.querySelector('a[href*="/creative/"]');
+    const href = link ? link.getAttribute('href') : '';
+    const creativeMatch = href.match(/\/creative\/(CR\d+)/);
+    const advertiserIdMatch = href.match(/\/advertiser\/(AR\d+)/);
+    const ariaLabel = link ? link.getAttribute('aria-label') : '';
+
+    // Parse "Ad (1 of 80)" / "מודעה (1 מתוך 80)"
+    const positionMatch = ariaLabel.match(new RegExp(`(\\d+)\\s*(?:${ofPattern})\\s*(\\d+)`));
+
+    // Extract advertiser name from the ad card using CSS selector
+    const advertiserEl = el.querySelector('.advertiser-name');
+    const advertiserName = advertiserEl ? advertiserEl.textContent.trim() : null;
+    const isVerified = el.querySelector('.verified') !== null ||
+                       el.querySelector('.advertiser-name-verified') !== null;
+
+    // Get the ad image URL
+    const imgEl = el.querySelector('img[src*="googlesyndication"], img[src*="googleusercontent"]');
+    const imageUrl = imgEl ? imgEl.src : null;
+
+    // Get video URL if present
+    const videoEl = el.querySelector('video');
+    let videoUrl = null;
+    let posterUrl = null;
+    if (videoEl) {
+      videoUrl = videoEl.src || videoEl.querySelector('source')?.src || null;
+      posterUrl = videoEl.poster || null;
+    }
+
+    // Detect ad format for this specific ad
+    const hasVideo = videoEl !== null;
+    const hasImage = imgEl !== null;
+    let adFormat = 'Text';
+    if (hasVideo) adFormat = 'Video';
+    else if (hasImage) adFormat = 'Image';
+
+    // Try to get ad dimensions
+    const adWidth = imgEl ? imgEl.naturalWidth || imgEl.width : null;
+    const adHeight = imgEl ? imgEl.naturalHeight || imgEl.height : null;
+
+    const fullText = el.innerText.trim();
+
+    return {
+      index: index,
+      creativeId: creativeMatch ? creativeMatch[1] : null,
+      advertiserId: advertiserIdMatch ? advertiserIdMatch[1] : null,
+      position: positionMatch ? parseInt(positionMatch[1]) : index + 1,
+      totalInView: positionMatch ? parseInt(positionMatch[2]) : null,
+      url: href ? `${baseUrl}${href}` : null,
+      advertiserName: advertiserName,
+      verified: isVerified,
+      format: adFormat,
+      dimensions: (adWidth && adHeight) ? { width: adWidth, height: adHeight } : null,
+      imageUrl: imageUrl,
+      videoUrl: videoUrl,
+      posterUrl: posterUrl,
+      adText: fullText.substring(0, 500)
+    };
+  });
+
+  // Collect detected formats from ads
+  const formats = new Set();
+  result.ads.forEach(ad => {
+    if (ad.format) formats.add(ad.format);
+  });
+  result.adFormats = Array.from(formats);
+
+  // Update total if we found it in aria-label
+  if (result.ads.length > 0 && result.ads[0].totalInView) {
+    result.totalAdsInView = result.ads[0].totalInView;
+  }
+
+  // Look for any image sources that might be ad creatives
+  const images = doc.querySelectorAll('img[src*="googleusercontent"], img[src*="creative"]');
+  result.adImages = Array.from(images).map(img => ({
+    src: img.src,
+    alt: img.alt
+  })).filter(img => img.src);
+
+  result.hasResults = result.ads.length > 0;
+
+  return result;
+}
+
+/**
+ * Read the advertiser name and page text of an advertiser page
+ */
+function extractAdvertiserPage(doc = document) {
+  const nameEl = doc.querySelector('.advertiser-name, h1');
+  return {
+    name: nameEl ? nameEl.textContent.trim() || null : null,
+    text: doc.body.innerText
+  };
+}
+
+/**
+ * Language of a page ("he", "en-US"), used to pick its locale pack
+ */
+function extractPageLanguage(doc = document) {
+  return doc.documentElement.lang || doc.defaultView?.navigator?.language || null;
+}
+
+/**
+ * Visible text of a page (creative detail pages are read from their text)
+ */
+function extractPageText(doc = document) {
+  return doc.body.innerText;
+}
+
+// Total ad count from the page text, in the page's number format
+function applyAdCount(data, pack) {
+  const count = parseAdCount(data.rawText, pack);
+  if (count) {
+    data.totalAds = count.count;
+    data.totalAdsText = count.text;
+    data.totalAdsRange = { isApproximate: count.isApproximate, lower: count.lower, upper: count.upper };
+  }
+  data.hasResults = data.ads.length > 0 || data.totalAds > 0;
+}
+
+// A creative can be rendered twice while the list is loading
+function dedupeAds(ads) {
+  const seenCreatives = new Set();
+  return ads.filter(ad => {
+    if (!ad.creativeId) return true;
+    if (seenCreatives.has(ad.creativeId)) return false;
+    seenCreatives.add(ad.creativeId);
+    return true;
+  });
+}
+
+/**
+ * Location and verification from the text of an advertiser page
+ */
+function readAdvertiserText(text, labels, pack) {
+  const location = findLabelValue(text, labels.country);
+  return {
+    location: location ? translatePlaces(location, pack) : null,
+    verified: includesAny(text, labels.verified)
+  };
+}
+
+/**
+ * First/last shown dates, format, regions and platforms from the text of a creative page
+ */
+function readCreativeText(text, labels, pack) {
+  const value = (label) => findLabelValue(text, labels[label]);
+  const platforms = value('platforms');
+  return {
+    firstShown: value('firstShown') && translateDate(value('firstShown'), pack),
+    lastShown: value('lastShown') && translateDate(value('lastShown'), pack),
+    format: value('format') && translateFormat(value('format'), pack),
+    shownIn: value('shownIn') && translatePlaces(value('shownIn'), pack),
+    platforms: platforms && platforms.split(/,|·|،/).map(p => translatePlatform(p, pack)).filter(Boolean)
+  };
+}
+
+// Locale pack a snapshot is read with: the forced locale, or the page's own language
+function snapshotPack(doc, locale) {
+  return resolvePack(locale && locale !== 'auto' ? locale : extractPageLanguage(doc));
+}
+
+/**
+ * Read a saved search results (or advertiser) page
+ * @param {string} html - Page HTML
+ * @param {object} options - { domain, region, locale, baseUrl } the page was scanned with
+ * @returns {object} - The page data a scan extracts before merging RPC results and visiting detail pages
+ */
+function extractSearchSnapshot(html, { domain = null, region = 'anywhere', locale = 'auto', baseUrl = DEFAULT_BASE_URL } = {}) {
+  const doc = loadSnapshot(html);
+  const pack = snapshotPack(doc, locale);
+  const data = extractResultsPage(domain, region, getLabels(pack), baseUrl, doc);
+  applyAdCount(data, pack);
+  data.ads = dedupeAds(data.ads);
+  return data;
+}
+
+/**
+ * Read a saved advertiser page
+ * @returns {object} - { name, location, verified }
+ */
+function extractAdvertiserSnapshot(html, { locale = 'auto' } = {}) {
+  const doc = loadSnapshot(html);
+  const pack = snapshotPack(doc, locale);
+  const { name, text } = extractAdvertiserPage(doc);
+  return { name, ...readAdvertiserText(text, getLabels(pack), pack) };
+}
+
+/**
+ * Read a saved creative detail page
+ * @returns {object} - { firstShown, lastShown, format, shownIn, platforms }
+ */
+function extractCreativeSnapshot(html, { locale = 'auto' } = {}) {
+  const doc = loadSnapshot(html);
+  const pack = snapshotPack(doc, locale);
+  return readCreativeText(extractPageText(doc), getLabels(pack), pack);
+}
+
+module.exports = {
+  extractResultsPage,
+  extractAdvertiserPage,
+  extractPageLanguage,
+  extractPageText,
+  applyAdCount,
+  dedupeAds,
+  readAdvertiserText,
+  readCreativeText,
+  extractSearchSnapshot,
+  extractAdvertiserSnapshot,
+  extractCreativeSnapshot
+};
@@ -0,0 +1,65 @@
+/**
+ * Browser profiles
+ * With SCRAPE_FINGERPRINTS=rotate every scan session gets a random user agent, viewport
+ * and Accept-Language (in its own browser context, so no cookies carry over between
+ * sessions). The default "fixed" profile is the desktop Chrome the scraper always used.
+ */
+
+const ROTATE_FINGERPRINTS = process.env.SCRAPE_FINGERPRINTS === 'rotate';
+
+const USER_AGENTS = [
+  { id: 'win-chrome120', userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+  { id: 'win-chrome124', userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36' },
+  { id: 'win-chrome126', userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36' },
+  { id: 'mac-chrome124', userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36' },
+  { id: 'mac-chrome126', userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36' },
+  { id: 'linux-chrome126', userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36' }
+];
+
+const VIEWPORTS = [
+  { width: 1920, height: 1080 },
+  { width: 1536, height: 864 },
+  { width: 1440, height: 900 },
+  { width: 1366, height: 768 },
+  { width: 2560, height: 1440 }
+];
+
+const ACCEPT_LANGUAGES = [
+  'en-US,en;q=0.9',
+  'en-GB,en;q=0.9',
+  'he-IL,he;q=0.9,en-US;q=0.8,en;q=0.7'
+];
+
+const FIXED_PROFILE = {
+  id: 'fixed',
+  userAgent: USER_AGENTS[0].userAgent,
+  viewport: VIEWPORTS[0],
+  acceptLanguage: null
+};
+
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+/**
+ * Profile for a new scan session
+ * @returns {object} - { id, userAgent, viewport, acceptLanguage }
+ */
+function pickProfile() {
+  if (!ROTATE_FINGERPRINTS) return FIXED_PROFILE;
+
+  const agent = pickRandom(USER_AGENTS);
+  const viewport = pickRandom(VIEWPORTS);
+  const acceptLanguage = pickRandom(ACCEPT_LANGUAGES);
+  return {
+    id: `${agent.id}/${viewport.width}x${viewport.height}/${acceptLanguage.split(',')[0]}`,
+    userAgent: agent.userAgent,
+    viewport,
+    acceptLanguage
+  };
+}
+
+module.exports = {
+  ROTATE_FINGERPRINTS,
+  pickProfile
+};
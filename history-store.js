@@ -0,0 +1,233 @@
+/**
+ * Historical scan results
+ * Every scan is appended to data/history/domains/<domain>.jsonl, and each publisher
+ * seen in it to data/history/advertisers/<id>.jsonl, so ad counts, publishers and
+ * formats can be queried as time series.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { appendJsonLine, readJsonLines, listFiles } = require('./store');
+const { filtersKey } = require('./scan-filters');
+
+const DOMAINS_DIR = 'history/domains';
+const ADVERTISERS_DIR = 'history/advertisers';
+
+function domainFile(domain) {
+  const safe = domain.toLowerCase().replace(/[^a-z0-9.-]/g, '_');
+  return `${DOMAINS_DIR}/${safe}.jsonl`;
+}
+
+function advertiserFile(advertiserId) {
+  return `${ADVERTISERS_DIR}/${advertiserId}.jsonl`;
+}
+
+function isAdvertiserId(id) {
+  return /^AR\d+$/.test(id || '');
+}
+
+/**
+ * Persist a scrapeAdTransparency() result
+ * @param {string} domain - Scanned domain
+ * @param {object} result - { success, data } or { success: false, error }
+ * @param {object} meta - Scan settings to record alongside (region, source)
+ * @returns {object} - The stored history entry, with its scan ID as entry.id
+ */
+function recordScan(domain, result, meta = {}) {
+  const data = result.data || {};
+  const scannedAt = data.scrapedAt || new Date().toISOString();
+
+  const entry = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    scannedAt,
+    domain,
+    region: data.region || meta.region || 'anywhere',
+    filters: data.filters || null,
+    source: meta.source || null,
+    success: !!result.success,
+    error: result.success ? null : (result.error || null),
+    errorClass: result.errorClass || null,
+    attempts: result.attempts || 1,
+    session: result.session || null,
+    hasResults: !!data.hasResults,
+    totalAds: data.totalAds || 0,
+    totalAdsText: data.totalAdsText || '',
+    totalAdsRange: data.totalAdsRange || null,
+    adsInView: data.ads?.length || 0,
+    // Every ad of the domain is in `ads` (or the page said it has none), not a maxAds / scroll sample
+    inventoryComplete: !!data.inventory?.complete || !!data.noResultsShown,
+    adFormats: data.adFormats || [],
+    publishers: (data.publishers || []).map(pub => ({
+      id: pub.id,
+      name: pub.name,
+      verified: pub.verified,
+      location: pub.location,
+      lastSeenDate: pub.lastSeenDate,
+      lastSeenDateIso: pub.lastSeenDateIso || null,
+      shownInRegions: pub.shownInRegions,
+      adFormats: pub.adFormats || [],
+      adsInView: pub.ads?.length || 0,
+      creativeIds: (pub.ads || []).map(ad => ad.creativeId).filter(Boolean)
+    })),
+    ads: (data.ads || []).map(ad => ({
+      creativeId: ad.creativeId,
+      advertiserId: ad.advertiserId,
+      advertiserName: ad.advertiserName,
+      format: ad.format,
+      imageUrl: ad.imageUrl,
+      videoUrl: ad.videoUrl,
+      posterUrl: ad.posterUrl || null,
+      assets: ad.assets || null,
+      url: ad.url,
+      firstShown: ad.firstShown || null,
+      lastShown: ad.lastShown || null,
+      firstShownIso: ad.firstShownIso || null,
+      lastShownIso: ad.lastShownIso || null,
+      shownInRegions: ad.shownInRegions || null,
+      platforms: ad.platforms || null
+    }))
+  };
+
+  appendJsonLine(domainFile(domain), entry);
+
+  for (const pub of entry.publishers) {
+    if (!isAdvertiserId(pub.id)) continue;
+    appendJsonLine(advertiserFile(pub.id), {
+      scannedAt,
+      domain,
+      region: entry.region,
+      domainTotalAds: entry.totalAds,
+      ...pub
+    });
+  }
+
+  return entry;
+}
+
+// Keep entries with from <= scannedAt <= to. A date-only `to` includes that whole day.
+function filterByTime(entries, from, to) {
+  const fromTime = from ? Date.parse(from) : -Infinity;
+  let toTime = to ? Date.parse(to) : Infinity;
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    toTime += 24 * 60 * 60 * 1000 - 1;
+  }
+  return entries.filter(e => {
+    const t = Date.parse(e.scannedAt);
+    return t >= fromTime && t <= toTime;
+  });
+}
+
+/**
+ * Check a from/to query value; returns an error message or null
+ */
+function validateTimeRange(from, to) {
+  if (from && isNaN(Date.parse(from))) return `Invalid "from" date: ${from}`;
+  if (to && isNaN(Date.parse(to))) return `Invalid "to" date: ${to}`;
+  return null;
+}
+
+/**
+ * Scans of a domain in a time range, plus a compact series of counts per scan.
+ * Region sweeps and filtered scans share the domain's file, so one series only holds
+ * scans of one region with one set of filters (by default: unfiltered, region "anywhere").
+ * @returns {object} - { domain, region, filters, count, series, scans }
+ */
+function getDomainHistory(domain, { from, to, region = 'anywhere', filters = null } = {}) {
+  const key = filtersKey(filters);
+  const scans = filterByTime(readJsonLines(domainFile(domain)), from, to)
+    .filter(scan => scan.region === region && filtersKey(scan.filters) === key);
+
+  const series = scans.map(scan => ({
+    scannedAt: scan.scannedAt,
+    region: scan.region,
+    success: scan.success,
+    errorClass: scan.errorClass || null,
+    totalAds: scan.totalAds,
+    totalAdsRange: scan.totalAdsRange || null,
+    adsInView: scan.adsInView,
+    publisherCount: scan.publishers.length,
+    publishers: scan.publishers.map(p => p.id),
+    adFormats: scan.adFormats
+  }));
+
+  return { domain, region, filters: key ? filters : null, count: scans.length, series, scans };
+}
+
+/**
+ * Appearances of an advertiser across all scanned domains in a time range
+ * @returns {object} - { advertiserId, name, domains, count, series }
+ */
+function getAdvertiserHistory(advertiserId, { from, to } = {}) {
+  const entries = filterByTime(readJsonLines(advertiserFile(advertiserId)), from, to);
+  const latest = entries[entries.length - 1];
+
+  return {
+    advertiserId,
+    name: latest?.name || null,
+    domains: [...new Set(entries.map(e => e.domain))],
+    count: entries.length,
+    series: entries.map(e => ({
+      scannedAt: e.scannedAt,
+      domain: e.domain,
+      region: e.region,
+      domainTotalAds: e.domainTotalAds,
+      adsInView: e.adsInView,
+      verified: e.verified,
+      location: e.location,
+      adFormats: e.adFormats,
+      creativeIds: e.creativeIds
+    }))
+  };
+}
+
+/**
+ * Domains with stored history and their latest scan time
+ */
+function listHistoryDomains() {
+  return listFiles(DOMAINS_DIR, '.jsonl').map(name => {
+    const scans = readJsonLines(name);
+    const last = scans[scans.length - 1];
+    return {
+      domain: last?.domain || path.basename(name, '.jsonl'),
+      scans: scans.length,
+      lastScannedAt: last?.scannedAt || null
+    };
+  });
+}
+
+/**
+ * Creative IDs seen in any earlier scan of a domain
+ */
+function getKnownCreativeIds(domain) {
+  const ids = new Set();
+  for (const scan of readJsonLines(domainFile(domain))) {
+    for (const ad of scan.ads || []) {
+      if (ad.creativeId) ids.add(ad.creativeId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Most recent successful scan of a domain in a region with the same filters
+ */
+function getLatestScan(domain, region = 'anywhere', filters = null) {
+  const key = filtersKey(filters);
+  const scans = readJsonLines(domainFile(domain));
+  for (let i = scans.length - 1; i >= 0; i--) {
+    if (scans[i].success && scans[i].region === region && filtersKey(scans[i].filters) === key) return scans[i];
+  }
+  return null;
+}
+
+module.exports = {
+  recordScan,
+  getDomainHistory,
+  getAdvertiserHistory,
+  listHistoryDomains,
+  getLatestScan,
+  getKnownCreativeIds,
+  filterByTime,
+  validateTimeRange,
+  isAdvertiserId
+};
@@ -0,0 +1,212 @@
+/**
+ * Persistent scan job queue
+ * Each job is a list of domains with per-domain state (pending/running/done/failed/cancelled),
+ * saved to data/jobs/<id>.json after every change so an interrupted run can resume.
+ */
+
+const crypto = require('crypto');
+const { readJson, writeJson, listJson } = require('./store');
+
+const MAX_RETRIES = parseInt(process.env.SCAN_MAX_RETRIES) || 2;
+
+function jobFile(id) {
+  return `jobs/${id}.json`;
+}
+
+/**
+ * Create and persist a new job
+ * @param {string} type - Job owner, e.g. 'auto-run'
+ * @param {string[]} domains - Domains to scan
+ * @param {object} options - Settings the job runs with (region, batchSize, appsScriptUrl...)
+ * @returns {object} - The job
+ */
+function createJob(type, domains, options = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    type: type,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    maxRetries: options.maxRetries ?? MAX_RETRIES,
+    options: options,
+    // Scan stage durations over all domains (see scan-progress.js): stage -> { count, totalMs, maxMs }
+    stageStats: {},
+    items: domains.map(domain => ({
+      domain: domain,
+      state: 'pending',
+      attempts: 0,
+      error: null,
+      rows: null,
+      sweep: null,
+      updatedAt: now
+    }))
+  };
+  saveJob(job);
+  return job;
+}
+
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  writeJson(jobFile(job.id), job);
+}
+
+function getJob(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  return readJson(jobFile(id));
+}
+
+/**
+ * All persisted jobs, newest first
+ */
+function listJobs() {
+  return listJson('jobs')
+    .map(name => readJson(name))
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Find the most recent unfinished job of a type (or the one with the given ID).
+ * Items left 'running' by a crash are put back to 'pending'.
+ */
+function findUnfinishedJob(type, id = null) {
+  const job = listJobs().find(j => j.type === type && j.status === 'running' && (!id || j.id === id));
+  if (!job) return null;
+
+  let reset = 0;
+  for (const item of job.items) {
+    if (item.state === 'running') {
+      item.state = 'pending';
+      reset++;
+    }
+  }
+  if (reset > 0) saveJob(job);
+  return job;
+}
+
+/**
+ * Mark up to `count` pending items as running and return them
+ */
+function claimItems(job, count) {
+  const now = new Date().toISOString();
+  const claimed = job.items.filter(item => item.state === 'pending').slice(0, count);
+  for (const item of claimed) {
+    item.state = 'running';
+    item.attempts++;
+    item.updatedAt = now;
+  }
+  if (claimed.length > 0) saveJob(job);
+  return claimed;
+}
+
+function completeItem(job, item, rows, sweep = null) {
+  item.state = 'done';
+  item.error = null;
+  item.rows = rows;
+  item.sweep = sweep;
+  item.updatedAt = new Date().toISOString();
+  saveJob(job);
+}
+
+/**
+ * Record a failed attempt. The item goes back to 'pending' until it runs out of retries
+ * (at once when the failure is not retryable).
+ * @returns {boolean} - true if the item was re-queued
+ */
+function failItem(job, item, error, rows = null, retryable = true) {
+  const requeue = retryable && job.status === 'running' && item.attempts <= job.maxRetries;
+  item.state = requeue ? 'pending' : 'failed';
+  item.error = error;
+  item.rows = rows;
+  item.updatedAt = new Date().toISOString();
+  saveJob(job);
+  return requeue;
+}
+
+/**
+ * Put a claimed item back without counting the attempt (e.g. scanning was paused
+ * before it started). Items of a job that stopped meanwhile are cancelled.
+ */
+function releaseItem(job, item) {
+  item.state = job.status === 'running' ? 'pending' : 'cancelled';
+  item.attempts = Math.max(item.attempts - 1, 0);
+  item.updatedAt = new Date().toISOString();
+  saveJob(job);
+}
+
+function finishJob(job, status = 'done') {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  saveJob(job);
+}
+
+/**
+ * Cancel a job: pending items are dropped, items already running finish normally
+ */
+function cancelJob(job) {
+  const now = new Date().toISOString();
+  for (const item of job.items) {
+    if (item.state === 'pending') {
+      item.state = 'cancelled';
+      item.updatedAt = now;
+    }
+  }
+  finishJob(job, 'cancelled');
+}
+
+/**
+ * Counts of items per state
+ */
+function getJobProgress(job) {
+  const progress = { total: job.items.length, pending: 0, running: 0, done: 0, failed: 0, cancelled: 0 };
+  for (const item of job.items) {
+    progress[item.state]++;
+  }
+  return progress;
+}
+
+/**
+ * Add a finished scan stage to the job's stage stats. Not saved on its own: the stats
+ * are written with the next item change.
+ */
+function recordStageTiming(job, stage, durationMs) {
+  job.stageStats = job.stageStats || {};
+  const stats = job.stageStats[stage] || (job.stageStats[stage] = { count: 0, totalMs: 0, maxMs: 0 });
+  stats.count++;
+  stats.totalMs += durationMs;
+  stats.maxMs = Math.max(stats.maxMs, durationMs);
+}
+
+/**
+ * Result rows of all finished items, in domain order
+ */
+function getJobRows(job) {
+  return job.items.flatMap(item => item.rows || []);
+}
+
+/**
+ * Region sweeps of finished items (jobs with a regions list), in domain order
+ */
+function getJobSweeps(job) {
+  return job.items.filter(item => item.sweep).map(item => item.sweep);
+}
+
+module.exports = {
+  createJob,
+  saveJob,
+  getJob,
+  listJobs,
+  findUnfinishedJob,
+  claimItems,
+  completeItem,
+  failItem,
+  releaseItem,
+  finishJob,
+  cancelJob,
+  getJobProgress,
+  recordStageTiming,
+  getJobRows,
+  getJobSweeps
+};
@@ -0,0 +1,450 @@
+/**
+ * Locale packs
+ * The Transparency Center is rendered in the browser's language, so the labels the
+ * scraper looks for ("Last shown", "Country", ...) and the values it reads (month,
+ * country and format names, "2K" style counts) depend on the page language.
+ * Each pack describes one language; add a language by adding a pack.
+ *
+ * Pack shape:
+ * {
+ *   name,
+ *   labels: { firstShown, lastShown, format, shownIn, platforms, country, verified,
+ *             noResults, seeAll, loadMore, ads, about, of },   // arrays of page strings
+ *   months: { 'Okt.': 'Oct' },        // → English short month
+ *   places: { 'Überall': 'Everywhere' }, // country/region names beyond Intl.DisplayNames
+ *   formats: { 'Bild': 'Image' },
+ *   platforms: { 'Google Suche': 'Google Search' },
+ *   number: { thousand: ['Tsd.'], million: ['Mio.'], decimal: ',', group: '.' },
+ *   dateNoise: ['г.']                  // words dropped from dates
+ * }
+ */
+
+// "auto" reads the page in whatever language it comes in; a pack code (e.g. "en")
+// asks the site for that language with hl= and Accept-Language
+const LOCALE = process.env.SCRAPE_LOCALE || 'auto';
+
+const PACKS = {
+  en: {
+    name: 'English',
+    labels: {
+      firstShown: ['First shown'],
+      lastShown: ['Last shown'],
+      format: ['Format'],
+      shownIn: ['Shown in'],
+      platforms: ['Platforms', 'Platform'],
+      country: ['Country'],
+      verified: ['Verified', 'verified'],
+      noResults: ['No ads match', 'No results'],
+      seeAll: ['See all ads', 'See all'],
+      loadMore: ['Load more', 'Show more', 'See more'],
+      ads: ['ads', 'ad'],
+      about: ['About', 'approximately'],
+      of: ['of']
+    },
+    months: {},
+    places: {},
+    formats: {},
+    platforms: {},
+    number: { thousand: ['K'], million: ['M'], decimal: '.', group: ',' },
+    dateNoise: []
+  },
+
+  he: {
+    name: 'Hebrew',
+    labels: {
+      firstShown: ['הוצגה לראשונה'],
+      lastShown: ['הוצגה בפעם האחרונה'],
+      format: ['פורמט'],
+      shownIn: ['הופיעו ב'],
+      platforms: ['פלטפורמות'],
+      country: ['מדינה'],
+      verified: ['המפרסם אימת את הזהות', 'מאומת'],
+      noResults: ['אין מודעות'],
+      seeAll: ['ראו את כל המודעות', 'כל המודעות'],
+      loadMore: ['טען עוד', 'הצג עוד'],
+      ads: ['מודעות', 'מודעה'],
+      about: ['בערך', 'כ-'],
+      of: ['מתוך']
+    },
+    months: {
+      'בינו׳': 'Jan', 'בפבר׳': 'Feb', 'במרץ': 'Mar', 'באפר׳': 'Apr', 'במאי': 'May', 'ביוני': 'Jun',
+      'ביולי': 'Jul', 'באוג׳': 'Aug', 'בספט׳': 'Sep', 'באוק׳': 'Oct', 'בנוב׳': 'Nov', 'בדצמ׳': 'Dec'
+    },
+    // Spellings the site uses that differ from Intl's Hebrew names
+    places: {
+      'צ\'כיה': 'Czech Republic',
+      'צ\'ילה': 'Chile',
+      'איחוד האמירויות': 'United Arab Emirates',
+      'סעודיה': 'Saudi Arabia',
+      'דרום קוריאה': 'South Korea',
+      'בכל מקום': 'Everywhere',
+      'כל המקומות': 'All locations'
+    },
+    formats: { 'תמונה': 'Image', 'טקסט': 'Text', 'סרטון': 'Video', 'וידאו': 'Video' },
+    platforms: { 'חיפוש Google': 'Google Search', 'מפות Google': 'Google Maps' },
+    number: { thousand: ['K', 'אלף'], million: ['M', 'מיליון'], decimal: '.', group: ',' },
+    dateNoise: []
+  },
+
+  ar: {
+    name: 'Arabic',
+    labels: {
+      firstShown: ['تاريخ أول عرض', 'أول عرض'],
+      lastShown: ['تاريخ آخر عرض', 'آخر عرض'],
+      format: ['التنسيق'],
+      shownIn: ['تم عرضه في', 'المعروض في'],
+      platforms: ['الأنظمة الأساسية', 'المنصات'],
+      country: ['البلد'],
+      verified: ['تم التحقق', 'موثّق'],
+      noResults: ['لا توجد إعلانات'],
+      seeAll: ['عرض كل الإعلانات', 'عرض الكل'],
+      loadMore: ['عرض المزيد', 'تحميل المزيد'],
+      ads: ['إعلانات', 'إعلان'],
+      about: ['حوالي'],
+      of: ['من']
+    },
+    months: {
+      'يناير': 'Jan', 'فبراير': 'Feb', 'مارس': 'Mar', 'أبريل': 'Apr', 'مايو': 'May', 'يونيو': 'Jun',
+      'يوليو': 'Jul', 'أغسطس': 'Aug', 'سبتمبر': 'Sep', 'أكتوبر': 'Oct', 'نوفمبر': 'Nov', 'ديسمبر': 'Dec'
+    },
+    places: { 'في كل مكان': 'Everywhere' },
+    formats: { 'نص': 'Text', 'صورة': 'Image', 'فيديو': 'Video' },
+    platforms: { 'بحث Google': 'Google Search', 'خرائط Google': 'Google Maps' },
+    number: { thousand: ['ألف', 'K'], million: ['مليون', 'M'], decimal: '٫', group: '٬' },
+    dateNoise: []
+  },
+
+  ru: {
+    name: 'Russian',
+    labels: {
+      firstShown: ['Впервые показано', 'Первый показ'],
+      lastShown: ['Последний показ', 'Последний раз показано'],
+      format: ['Формат'],
+      shownIn: ['Показывалось в', 'Показано в'],
+      platforms: ['Платформы'],
+      country: ['Страна'],
+      verified: ['Подтвержден', 'подтвердил'],
+      noResults: ['Нет объявлений'],
+      seeAll: ['Показать все объявления', 'Показать все'],
+      loadMore: ['Загрузить ещё', 'Показать ещё'],
+      ads: ['объявлений', 'объявления', 'объявление'],
+      about: ['Около', 'Примерно'],
+      of: ['из']
+    },
+    months: {
+      'янв.': 'Jan', 'февр.': 'Feb', 'мар.': 'Mar', 'апр.': 'Apr', 'мая': 'May', 'июн.': 'Jun',
+      'июл.': 'Jul', 'авг.': 'Aug', 'сент.': 'Sep', 'окт.': 'Oct', 'нояб.': 'Nov', 'дек.': 'Dec',
+      'января': 'Jan', 'февраля': 'Feb', 'марта': 'Mar', 'апреля': 'Apr', 'июня': 'Jun',
+      'июля': 'Jul', 'августа': 'Aug', 'сентября': 'Sep', 'октября': 'Oct', 'ноября': 'Nov', 'декабря': 'Dec'
+    },
+    places: { 'Везде': 'Everywhere' },
+    formats: { 'Текст': 'Text', 'Изображение': 'Image', 'Видео': 'Video' },
+    platforms: { 'Google Поиск': 'Google Search', 'Google Карты': 'Google Maps' },
+    number: { thousand: ['тыс.'], million: ['млн'], decimal: ',', group: ' ' },
+    dateNoise: ['г.']
+  },
+
+  de: {
+    name: 'German',
+    labels: {
+      firstShown: ['Zuerst angezeigt', 'Erstmals ausgeliefert'],
+      lastShown: ['Zuletzt angezeigt', 'Zuletzt ausgeliefert'],
+      format: ['Format'],
+      shownIn: ['Angezeigt in'],
+      platforms: ['Plattformen'],
+      country: ['Land'],
+      verified: ['Bestätigt', 'bestätigt', 'verifiziert'],
+      noResults: ['Keine Anzeigen'],
+      seeAll: ['Alle Anzeigen ansehen', 'Alle ansehen', 'Alle anzeigen'],
+      loadMore: ['Mehr laden', 'Mehr anzeigen'],
+      ads: ['Anzeigen', 'Anzeige'],
+      about: ['Etwa', 'Ungefähr', 'Ca.'],
+      of: ['von']
+    },
+    months: {
+      'Jan.': 'Jan', 'Feb.': 'Feb', 'März': 'Mar', 'Apr.': 'Apr', 'Mai': 'May', 'Juni': 'Jun',
+      'Juli': 'Jul', 'Aug.': 'Aug', 'Sept.': 'Sep', 'Okt.': 'Oct', 'Nov.': 'Nov', 'Dez.': 'Dec'
+    },
+    places: { 'Überall': 'Everywhere' },
+    formats: { 'Bild': 'Image' },
+    platforms: { 'Google Suche': 'Google Search' },
+    number: { thousand: ['Tsd.'], million: ['Mio.'], decimal: ',', group: '.' },
+    dateNoise: []
+  }
+};
+
+// Page languages whose code differs from the pack code
+const LANGUAGE_ALIASES = { iw: 'he' };
+
+/**
+ * Pack code of a page language ("de-DE" → "de", "iw" → "he"), or null if there is no pack for it
+ */
+function resolvePack(lang) {
+  const base = String(lang || '').toLowerCase().split(/[-_]/)[0];
+  const code = LANGUAGE_ALIASES[base] || base;
+  return PACKS[code] ? code : null;
+}
+
+// The detected pack plus English (pages mix in English strings); every pack when undetected
+function packsFor(code) {
+  if (!code) return Object.values(PACKS);
+  return code === 'en' ? [PACKS.en] : [PACKS[code], PACKS.en];
+}
+
+/**
+ * Page labels to look for, as plain arrays (can be passed into page.evaluate)
+ */
+function getLabels(code) {
+  const labels = {};
+  for (const pack of packsFor(code)) {
+    for (const [key, values] of Object.entries(pack.labels)) {
+      labels[key] = [...new Set([...(labels[key] || []), ...values])];
+    }
+  }
+  return labels;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Regex alternation, longest first so "See all ads" wins over "See all"
+function alternation(values) {
+  return [...values].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+}
+
+function cleanText(text) {
+  return String(text || '').replace(/[\u200F\u200E]/g, '');
+}
+
+/**
+ * Value after one of the labels ("Last shown: Oct 9, 2025" → "Oct 9, 2025")
+ */
+function findLabelValue(text, labels) {
+  if (!labels?.length) return null;
+  const match = cleanText(text).match(new RegExp(`(?:${alternation(labels)})[:\\s]+([^\\n]+)`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+function includesAny(text, labels) {
+  const clean = cleanText(text);
+  return (labels || []).some(label => clean.includes(label));
+}
+
+/**
+ * Remove the "Verified" badge text of every language from a string
+ */
+function stripVerifiedLabels(text) {
+  const labels = getLabels(null).verified;
+  return String(text || '').replace(new RegExp(alternation(labels), 'g'), '').trim();
+}
+
+// Localized country names → English, from Intl plus each pack's own spellings
+const placeNames = {};
+
+function getPlaceNames(code) {
+  if (!placeNames[code]) {
+    const names = {};
+    if (code !== 'en') {
+      const local = new Intl.DisplayNames([code], { type: 'region' });
+      const english = new Intl.DisplayNames(['en'], { type: 'region' });
+      for (let a = 65; a <= 90; a++) {
+        for (let b = 65; b <= 90; b++) {
+          const region = String.fromCharCode(a, b);
+          try {
+            const name = local.of(region);
+            if (name && name !== region) names[name] = english.of(region);
+          } catch {
+            // Not a region code
+          }
+        }
+      }
+    }
+    placeNames[code] = { ...names, ...PACKS[code].places };
+  }
+  return placeNames[code];
+}
+
+function replaceAll(text, map) {
+  const keys = Object.keys(map);
+  if (!text || keys.length === 0) return text;
+  return text.replace(new RegExp(alternation(keys), 'g'), match => map[match]);
+}
+
+function packCodes(code) {
+  return code ? [code] : Object.keys(PACKS);
+}
+
+/**
+ * Country and region names in a value (location, "Shown in") → English
+ */
+function translatePlaces(text, code) {
+  let result = cleanText(text);
+  for (const c of packCodes(code)) {
+    result = replaceAll(result, getPlaceNames(c));
+  }
+  return result;
+}
+
+/**
+ * Localized date ("5 באוק׳ 2025", "5. Okt. 2025", "5 окт. 2025 г.") → "5 Oct 2025"
+ */
+function translateDate(text, code) {
+  let result = cleanText(text);
+  for (const c of packCodes(code)) {
+    result = replaceAll(result, PACKS[c].months);
+    for (const noise of PACKS[c].dateNoise) {
+      result = result.replace(new RegExp(`\\s*${escapeRegExp(noise)}`, 'g'), '');
+    }
+  }
+  return result.replace(/(\d)\.\s/g, '$1 ').trim();
+}
+
+/**
+ * Localized ad format name → Text / Image / Video
+ */
+function translateFormat(text, code) {
+  const value = cleanText(text).trim();
+  for (const c of packCodes(code)) {
+    if (PACKS[c].formats[value]) return PACKS[c].formats[value];
+  }
+  return value;
+}
+
+function translatePlatform(text, code) {
+  const value = cleanText(text).trim();
+  for (const c of packCodes(code)) {
+    if (PACKS[c].platforms[value]) return PACKS[c].platforms[value];
+  }
+  return value;
+}
+
+// Arabic-Indic and Persian digits → ASCII
+function normalizeDigits(text) {
+  return text.replace(/[٠-٩۰-۹]/g, d => String(d.charCodeAt(0) & 0xF));
+}
+
+/**
+ * Ad count of a results page ("About 2K ads", "בערך 2K מודעות", "Около 2 тыс. объявлений",
+ * "Etwa 2.000 Anzeigen", "1.2M ads")
+ * @returns {object|null} - { count, text, isApproximate, lower, upper }
+ */
+function parseAdCount(text, code) {
+  const clean = normalizeDigits(cleanText(text));
+
+  for (const pack of packsFor(code)) {
+    const { ads, about } = pack.labels;
+    const { thousand, million, decimal, group } = pack.number;
+    const pattern = new RegExp(
+      `(?:(${alternation(about)})\\s*)?(\\d[\\d${escapeRegExp(decimal + group)}\\u00A0\\u202F]*)\\s*(?:(${alternation(million)})|(${alternation(thousand)}))?\\s*(?:${alternation(ads)})(?!\\p{L})`,
+      'iu'
+    );
+    const match = clean.match(pattern);
+    if (!match) continue;
+
+    const number = match[2].trim()
+      .split(group).join('')
+      .replace(/\s/g, '')
+      .replace(decimal, '.');
+    const unit = match[3] ? 1e6 : match[4] ? 1000 : 1;
+    const value = parseFloat(number);
+    if (isNaN(value)) continue;
+
+    return { count: Math.round(value * unit), text: match[0].trim(), ...countRange(number, unit, !!match[1]) };
+  }
+  return null;
+}
+
+/**
+ * Bounds of a displayed count. "2K" and "1.2M" are rounded to their last digit
+ * ("2K" is 1,500-2,499); "About 2,000" to its last non-zero digit; "2,000" is exact.
+ */
+function countRange(number, unit, about) {
+  const value = parseFloat(number);
+  if (unit === 1 && !about) {
+    return { isApproximate: false, lower: value, upper: value };
+  }
+  const decimals = (number.split('.')[1] || '').length;
+  let step = unit / 10 ** decimals;
+  if (unit === 1) {
+    step = 1;
+    while (step * 10 <= value && value % (step * 10) === 0) step *= 10;
+  }
+  const count = Math.round(value * unit);
+  return {
+    isApproximate: true,
+    lower: Math.max(Math.ceil(count - step / 2), 0),
+    upper: Math.ceil(count + step / 2) - 1
+  };
+}
+
+const ENGLISH_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * English display date ("Oct 5, 2025", "5 Oct 2025", "October 5, 2025", or a
+ * translateDate() result) → "2025-10-05"; null when it can't be read
+ */
+function toIsoDate(text) {
+  const clean = cleanText(text).trim();
+  const iso = clean.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return calendarDate(iso[1], iso[2] - 1, iso[3]);
+
+  const monthFirst = clean.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/);
+  const dayFirst = clean.match(/^(\d{1,2})\s+([A-Za-z]{3})[a-z]*\.?,?\s+(\d{4})$/);
+  const [month, day, year] = monthFirst
+    ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+    : dayFirst ? [dayFirst[2], dayFirst[1], dayFirst[3]] : [];
+  const index = month ? ENGLISH_MONTHS.indexOf(month.toLowerCase()) : -1;
+  if (index < 0) return null;
+
+  return calendarDate(year, index, day);
+}
+
+// "YYYY-MM-DD" of a year, 0-based month and day; null for a day the month doesn't have (Feb 31)
+function calendarDate(year, monthIndex, day) {
+  const date = new Date(Date.UTC(Number(year), monthIndex, Number(day)));
+  if (date.getUTCFullYear() !== Number(year) || date.getUTCMonth() !== monthIndex || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Check a locale option ("auto" or a pack language); returns an error message or null
+ */
+function validateLocale(locale) {
+  if (!locale || locale === 'auto' || resolvePack(locale)) return null;
+  return `Unknown locale: ${locale}. Expected auto or one of: ${Object.keys(PACKS).join(', ')}`;
+}
+
+/**
+ * hl= query parameter and Accept-Language header for a forced locale (none for "auto")
+ */
+function localeQuery(locale) {
+  return locale && locale !== 'auto' ? `&hl=${encodeURIComponent(locale)}` : '';
+}
+
+function acceptLanguage(locale) {
+  if (!locale || locale === 'auto') return null;
+  const base = locale.split('-')[0];
+  return base === locale ? locale : `${locale},${base};q=0.9`;
+}
+
+module.exports = {
+  LOCALE,
+  PACKS,
+  resolvePack,
+  validateLocale,
+  getLabels,
+  findLabelValue,
+  includesAny,
+  stripVerifiedLabels,
+  translatePlaces,
+  translateDate,
+  translateFormat,
+  translatePlatform,
+  parseAdCount,
+  toIsoDate,
+  localeQuery,
+  acceptLanguage
+};
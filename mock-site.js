@@ -0,0 +1,352 @@
+/**
+ * Mock Transparency Center
+ * A local stand-in for adstransparency.google.com and for the Sheets Apps Script web app,
+ * so the whole pipeline (/scrape, jobs, auto-run, the Sheets send) runs without internet:
+ *
+ *   node mock-site.js
+ *   TRANSPARENCY_BASE_URL=http://localhost:4000 npm start
+ *
+ * with http://localhost:4000/macros/s/mock/exec as the Apps Script URL.
+ * The searched domain picks the scenario:
+ *   - "no-ads" in the name: the "no ads match your search" page
+ *   - "multi" in the name: ads of several advertisers
+ *   - "blocked" / "consent" in the name: a CAPTCHA page (HTTP 429) / a consent wall
+ *   - .il domains (or hl=iw): Hebrew pages
+ * Any other domain gets one English advertiser with an image, a text and a video ad.
+ * The region, format, platform and date filters narrow the ads like on the real site.
+ */
+
+const express = require('express');
+const { PLATFORMS, FORMATS } = require('./scan-filters');
+
+const PORT = parseInt(process.env.MOCK_PORT) || 4000;
+
+// What the mock Apps Script's getDomains returns: one domain per scenario
+const MOCK_DOMAINS = [
+  'example-store.com',
+  'multi-brand.example.com',
+  'shop.example.co.il',
+  'no-ads.example.org',
+  'blocked.example.net'
+];
+
+const COUNTRIES = {
+  AT: { en: 'Austria', he: 'אוסטריה' },
+  DE: { en: 'Germany', he: 'גרמניה' },
+  GB: { en: 'United Kingdom', he: 'בריטניה' },
+  IL: { en: 'Israel', he: 'ישראל' },
+  NL: { en: 'Netherlands', he: 'הולנד' },
+  US: { en: 'United States', he: 'ארצות הברית' }
+};
+
+// Advertiser and creative pages come in the language of the advertiser's scenario unless hl= asks otherwise
+const ADVERTISERS = [
+  { id: 'AR10000000000000000001', lang: 'en', name: 'Example Store GmbH', verified: true, country: 'DE', regions: ['DE', 'AT'] },
+  { id: 'AR10000000000000000002', lang: 'en', name: 'Northwind Traders Ltd', verified: false, country: 'GB', regions: ['GB'] },
+  { id: 'AR10000000000000000003', lang: 'en', name: 'Contoso Media Inc', verified: true, country: 'US', regions: ['US', 'GB'] },
+  { id: 'AR20000000000000000001', lang: 'he', name: 'Acme Digital LTD', verified: true, country: 'NL', regions: ['IL', 'NL'] },
+  { id: 'AR20000000000000000002', lang: 'he', name: 'Shop Partners Ltd', verified: false, country: 'IL', regions: ['IL'] }
+];
+
+// Every advertiser runs one creative of each format
+const CREATIVES = [
+  { format: 'image', firstShown: '2025-01-02', lastShown: '2025-10-01', platforms: ['search', 'youtube'] },
+  { format: 'text', firstShown: '2025-03-15', lastShown: '2025-10-12', platforms: ['search'] },
+  { format: 'video', firstShown: '2025-06-01', lastShown: '2025-09-30', platforms: ['youtube'] }
+];
+
+const TEXT = {
+  en: {
+    lang: 'en',
+    dir: 'ltr',
+    title: 'Ads Transparency Center',
+    anywhere: 'Anywhere',
+    ads: (count) => `${count} ${count === 1 ? 'ad' : 'ads'}`,
+    adLabel: (position, total) => `Ad (${position} of ${total})`,
+    sponsored: 'Sponsored',
+    headline: 'Winter Sale — Free shipping on orders over €50',
+    verified: 'Verified',
+    noResults: 'No ads match your search',
+    noResultsHint: 'Try searching for a different advertiser or website',
+    labels: { firstShown: 'First shown', lastShown: 'Last shown', format: 'Format', shownIn: 'Shown in', platforms: 'Platforms', country: 'Country' },
+    formats: { image: 'Image', text: 'Text', video: 'Video' },
+    platforms: Object.fromEntries(Object.entries(PLATFORMS).map(([key, platform]) => [key, platform.label])),
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    date: (day, month, year) => `${month} ${day}, ${year}`
+  },
+  he: {
+    lang: 'iw',
+    dir: 'rtl',
+    title: 'מרכז השקיפות של מודעות',
+    anywhere: 'בכל מקום',
+    ads: (count) => `${count} מודעות`,
+    adLabel: (position, total) => `מודעה (${position} מתוך ${total})`,
+    sponsored: 'ממומן',
+    headline: 'מבצעי סוף עונה - עד 50% הנחה על כל הקולקציה',
+    verified: 'המפרסם אימת את הזהות',
+    noResults: 'אין מודעות שתואמות לחיפוש',
+    noResultsHint: 'נסו לחפש מפרסם או אתר אחר',
+    labels: { firstShown: 'הוצגה לראשונה', lastShown: 'הוצגה בפעם האחרונה', format: 'פורמט', shownIn: 'הופיעו ב', platforms: 'פלטפורמות', country: 'מדינה' },
+    formats: { image: 'תמונה', text: 'טקסט', video: 'סרטון' },
+    platforms: { search: 'חיפוש Google', youtube: 'YouTube', play: 'Google Play', maps: 'מפות Google', shopping: 'Google Shopping' },
+    months: ['בינו׳', 'בפבר׳', 'במרץ', 'באפר׳', 'במאי', 'ביוני', 'ביולי', 'באוג׳', 'בספט׳', 'באוק׳', 'בנוב׳', 'בדצמ׳'],
+    date: (day, month, year) => `${day} ${month} ${year}`
+  }
+};
+
+// Rows received by the mock Apps Script
+const sheet = { results: [], regions: [] };
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function languageOf(hl, fallback) {
+  if (!hl) return fallback;
+  return ['iw', 'he'].includes(String(hl).split('-')[0]) ? 'he' : 'en';
+}
+
+function formatDate(iso, text) {
+  const [year, month, day] = iso.split('-').map(Number);
+  return text.date(day, text.months[month - 1], year);
+}
+
+// Creative IDs are "CR" + 20 digits, like advertiser IDs: 18 from the advertiser, 2 for the creative
+function creativesOf(advertiser) {
+  const digits = advertiser.id.slice(2);
+  return CREATIVES.map((creative, i) => ({
+    ...creative,
+    id: `CR${digits.slice(0, 2)}${digits.slice(-16)}${String(i + 1).padStart(2, '0')}`,
+    advertiser
+  }));
+}
+
+function findCreative(advertiser, creativeId) {
+  return creativesOf(advertiser).find(creative => creative.id === creativeId);
+}
+
+/**
+ * Creatives that pass the page's region=, format=, platform= and start-date/end-date= parameters
+ */
+function applyFilters(creatives, query) {
+  const format = Object.keys(FORMATS).find(key => FORMATS[key].param === query.format);
+  const platform = Object.keys(PLATFORMS).find(key => PLATFORMS[key].param === query.platform);
+  return creatives.filter(creative =>
+    (!query.region || query.region === 'anywhere' || creative.advertiser.regions.includes(query.region)) &&
+    (!format || creative.format === format) &&
+    (!platform || creative.platforms.includes(platform)) &&
+    (!query['start-date'] || creative.lastShown >= query['start-date']) &&
+    (!query['end-date'] || creative.firstShown <= query['end-date']));
+}
+
+/**
+ * Advertisers a domain search finds, and the language of the page
+ */
+function resolveScenario(domain, hl) {
+  const lang = languageOf(hl, /\.il$/i.test(domain) ? 'he' : 'en');
+  const candidates = ADVERTISERS.filter(advertiser => advertiser.lang === (/\.il$/i.test(domain) ? 'he' : 'en'));
+  if (/blocked/i.test(domain)) return { lang, blocked: 'captcha', advertisers: [] };
+  if (/consent/i.test(domain)) return { lang, blocked: 'consent', advertisers: [] };
+  if (/no-ads/i.test(domain)) return { lang, advertisers: [] };
+  return { lang, advertisers: /multi/i.test(domain) ? candidates : candidates.slice(0, 1) };
+}
+
+function layout(text, title, body) {
+  return `<!DOCTYPE html><html lang="${text.lang}" dir="${text.dir}"><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>body{font-family:sans-serif;margin:0}main{padding:24px}.grid{display:flex;flex-wrap:wrap;gap:16px}creative-preview{display:block;width:300px;border:1px solid #ddd;border-radius:8px;padding:8px}creative-preview a{color:inherit;text-decoration:none}img,video{display:block;max-width:100%}</style>
+</head>
+<body>
+<header class="header"><div class="logo">${text.title}</div></header>
+<main>
+${body}
+</main>
+</body></html>`;
+}
+
+function creativePreview(creative, position, total, text, origin, region, adDomain) {
+  const { advertiser } = creative;
+  let content;
+  if (creative.format === 'image') {
+    content = `<div class="ad-container"><img src="${origin}/googlesyndication/simgad/${creative.id}" width="300" height="250" alt=""></div>`;
+  } else if (creative.format === 'video') {
+    content = `<div class="ad-container"><video preload="none" poster="${origin}/ytimg/vi/${creative.id}/hqdefault"><source src="${origin}/googlevideo/videoplayback?id=${creative.id}" type="video/mp4"></video></div>`;
+  } else {
+    content = `<div class="text-ad"><div>${text.sponsored}</div><div>${escapeHtml(adDomain)}</div><div>${text.headline}</div></div>`;
+  }
+  return `    <creative-preview class="creative-preview">
+      <a href="/advertiser/${advertiser.id}/creative/${creative.id}?region=${escapeHtml(region)}" aria-label="${text.adLabel(position, total)}">
+        <div class="advertiser-name${advertiser.verified ? ' advertiser-name-verified' : ''}">${escapeHtml(advertiser.name)}</div>
+        ${content}
+      </a>
+    </creative-preview>`;
+}
+
+function creativesGrid(creatives, text, origin, region, adDomain) {
+  return `  <div class="ads-count">${text.ads(creatives.length)}</div>
+  <div class="grid">
+${creatives.map((creative, i) => creativePreview(creative, i + 1, creatives.length, text, origin, region, adDomain || creative.advertiser.name)).join('\n')}
+  </div>`;
+}
+
+function searchPage(domain, scenario, query, origin) {
+  const text = TEXT[scenario.lang];
+  const region = query.region || 'anywhere';
+  const creatives = applyFilters(scenario.advertisers.flatMap(creativesOf), query);
+  const summary = `  <div class="search-summary"><div class="query">${escapeHtml(domain)}</div><div class="region">${region === 'anywhere' ? text.anywhere : escapeHtml(region)}</div></div>`;
+
+  if (creatives.length === 0) {
+    return layout(text, text.title, `${summary}
+  <div class="empty-state"><div class="title">${text.noResults}</div><div class="hint">${text.noResultsHint}</div></div>`);
+  }
+
+  const first = creatives[0].advertiser;
+  return layout(text, text.title, `${summary}
+  <div class="advertiser-header"><div class="advertiser-title">${escapeHtml(first.name)}</div>${first.verified ? `<div class="verified-badge">${text.verified}</div>` : ''}</div>
+${creativesGrid(creatives, text, origin, region, domain)}`);
+}
+
+function advertiserPage(advertiser, text, query, origin) {
+  const region = query.region || 'anywhere';
+  const creatives = applyFilters(creativesOf(advertiser), query);
+  return layout(text, `${advertiser.name} - ${text.title}`, `  <div class="advertiser-header">
+    <h1 class="advertiser-name">${escapeHtml(advertiser.name)}</h1>
+    ${advertiser.verified ? `<div class="verification">${text.verified}</div>` : ''}
+  </div>
+  <div class="advertiser-info">
+    <div class="label">${text.labels.country}</div>
+    <div class="value">${COUNTRIES[advertiser.country][text === TEXT.he ? 'he' : 'en']}</div>
+  </div>
+${creativesGrid(creatives, text, origin, region)}`);
+}
+
+function creativePage(creative, text, origin) {
+  const { advertiser } = creative;
+  const lang = text === TEXT.he ? 'he' : 'en';
+  const media = creative.format === 'image'
+    ? `<img src="${origin}/googlesyndication/simgad/${creative.id}" width="300" height="250" alt="">`
+    : creative.format === 'video'
+      ? `<video preload="none" poster="${origin}/ytimg/vi/${creative.id}/hqdefault"></video>`
+      : `<div class="text-ad"><div>${text.sponsored}</div><div>${text.headline}</div></div>`;
+  const property = (label, value) => `    <div class="property"><span class="label">${text.labels[label]}:</span> <span class="value">${value}</span></div>`;
+  return layout(text, text.title, `  <div class="advertiser-header"><div class="advertiser-name">${escapeHtml(advertiser.name)}</div>${advertiser.verified ? `<div class="verified">${text.verified}</div>` : ''}</div>
+  <div class="creative-container">${media}</div>
+  <div class="properties">
+${property('firstShown', formatDate(creative.firstShown, text))}
+${property('lastShown', formatDate(creative.lastShown, text))}
+${property('format', text.formats[creative.format])}
+${property('shownIn', advertiser.regions.map(code => COUNTRIES[code][lang]).join(', '))}
+${property('platforms', creative.platforms.map(key => text.platforms[key]).join(', '))}
+  </div>`);
+}
+
+// A placeholder creative image; the colour is derived from the creative ID so every asset differs
+function creativeImage(id, width, height) {
+  let hash = 0;
+  for (const c of id) hash = (hash * 31 + c.charCodeAt(0)) >>> 0;
+  const hue = hash % 360;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect width="100%" height="100%" fill="hsl(${hue},70%,55%)"/>
+<rect x="${hash % (width / 2)}" y="${hash % (height / 2)}" width="${width / 2}" height="${height / 3}" fill="hsl(${(hue + 180) % 360},70%,35%)"/>
+<text x="16" y="${height - 16}" font-family="sans-serif" font-size="16" fill="#fff">${id}</text>
+</svg>`;
+}
+
+function findAdvertiser(req, res) {
+  const advertiser = ADVERTISERS.find(a => a.id === req.params.advertiserId);
+  if (!advertiser) res.status(404).send(layout(TEXT.en, TEXT.en.title, '  <div class="error">Advertiser not found</div>'));
+  return advertiser;
+}
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+
+app.get('/', (req, res) => {
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const domain = String(req.query.domain || '');
+  if (!domain) {
+    return res.send(layout(TEXT.en, TEXT.en.title, `  <p>Mock Transparency Center. Search with /?region=anywhere&amp;domain=example.com</p>
+  <p>Scenarios: ${MOCK_DOMAINS.map(escapeHtml).join(', ')}</p>`));
+  }
+
+  const scenario = resolveScenario(domain, req.query.hl);
+  console.log(`[Mock] Search ${domain} (${scenario.blocked || `${scenario.advertisers.length} advertiser(s)`}, ${scenario.lang})`);
+  if (scenario.blocked === 'captcha') {
+    return res.redirect(302, `/sorry/index?continue=${encodeURIComponent(req.originalUrl)}`);
+  }
+  if (scenario.blocked === 'consent') {
+    return res.redirect(302, `/consent?continue=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.send(searchPage(domain, scenario, req.query, origin));
+});
+
+app.get('/advertiser/:advertiserId', (req, res) => {
+  const advertiser = findAdvertiser(req, res);
+  if (!advertiser) return;
+  const text = TEXT[languageOf(req.query.hl, advertiser.lang)];
+  res.send(advertiserPage(advertiser, text, req.query, `${req.protocol}://${req.get('host')}`));
+});
+
+app.get('/advertiser/:advertiserId/creative/:creativeId', (req, res) => {
+  const advertiser = findAdvertiser(req, res);
+  if (!advertiser) return;
+  const creative = findCreative(advertiser, req.params.creativeId);
+  const text = TEXT[languageOf(req.query.hl, advertiser.lang)];
+  if (!creative) return res.status(404).send(layout(text, text.title, '  <div class="error">Creative not found</div>'));
+  res.send(creativePage(creative, text, `${req.protocol}://${req.get('host')}`));
+});
+
+// Blocked scenarios: Google's "unusual traffic" CAPTCHA page and the consent wall
+app.get('/sorry/index', (req, res) => {
+  res.status(429).send(`<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Sorry...</title></head>
+<body><div>Our systems have detected unusual traffic from your computer network.</div>
+<form id="captcha-form" action="/sorry/index" method="post"><div class="g-recaptcha"></div></form></body></html>`);
+});
+
+app.get('/consent', (req, res) => {
+  res.send(`<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Before you continue</title></head>
+<body><h1>Before you continue to Google</h1><form action="/consent/save" method="post"><button>Accept all</button><button>Reject all</button></form></body></html>`);
+});
+
+// Creative assets, on paths that keep the markers the extractors look for ("googlesyndication")
+app.get('/googlesyndication/simgad/:creativeId', (req, res) => {
+  res.type('image/svg+xml').send(creativeImage(req.params.creativeId, 300, 250));
+});
+
+app.get('/ytimg/vi/:creativeId/hqdefault', (req, res) => {
+  res.type('image/svg+xml').send(creativeImage(req.params.creativeId, 480, 360));
+});
+
+app.get('/googlevideo/videoplayback', (req, res) => {
+  // Not a playable video: only its bytes are archived
+  res.type('video/mp4').send(Buffer.from(`mock video ${req.query.id || ''}`));
+});
+
+// Apps Script web app stand-in (see apps-script.js for the real one)
+app.get('/macros/s/mock/exec', (req, res) => {
+  const action = req.query.action || 'getDomains';
+  if (action === 'getDomains') return res.json({ success: true, domains: MOCK_DOMAINS });
+  if (action === 'health') return res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ error: 'Unknown action: ' + action });
+});
+
+app.post('/macros/s/mock/exec', (req, res) => {
+  const { action = 'saveResults', results, regions } = req.body || {};
+  if (action !== 'saveResults') return res.json({ error: 'Unknown action: ' + action });
+  if (!Array.isArray(results)) return res.json({ success: false, error: 'Invalid results data' });
+
+  sheet.results.push(...results);
+  if (Array.isArray(regions)) sheet.regions.push(...regions);
+  console.log(`[Mock] Sheets: saved ${results.length} row(s)${regions ? `, ${regions.length} region row(s)` : ''}`);
+  res.json({ success: true, savedCount: results.length, ...(regions ? { regionsSavedCount: regions.length } : {}) });
+});
+
+// The rows the mock Sheet received so far
+app.get('/macros/s/mock/rows', (req, res) => {
+  res.json(sheet);
+});
+
+app.listen(PORT, () => {
+  console.log(`[Mock] Transparency Center on http://localhost:${PORT}`);
+  console.log(`[Mock] Run the server with TRANSPARENCY_BASE_URL=http://localhost:${PORT}`);
+  console.log(`[Mock] Apps Script URL: http://localhost:${PORT}/macros/s/mock/exec`);
+});
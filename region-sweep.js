@@ -0,0 +1,145 @@
+/**
+ * Multi-region sweeps
+ * A sweep scans one domain once per region (IL, US, GB, DE...) and summarises where
+ * its ads actually run: total ads, publishers and formats per region, plus a
+ * publisher × region matrix.
+ */
+
+const DEFAULT_REGIONS = parseRegions(process.env.SWEEP_REGIONS || 'IL,US,GB,DE');
+const MAX_REGIONS = 30;
+
+/**
+ * Region list from an array or a comma-separated string ("IL, us,GB")
+ * @returns {string[]} - Upper-case region codes ("anywhere" is kept as is), without duplicates
+ */
+function parseRegions(input) {
+  const list = Array.isArray(input) ? input : String(input || '').split(',');
+  const regions = list
+    .map(r => String(r).trim())
+    .filter(Boolean)
+    .map(r => r.toLowerCase() === 'anywhere' ? 'anywhere' : r.toUpperCase());
+  return [...new Set(regions)];
+}
+
+/**
+ * Check a region list; returns an error message or null
+ */
+function validateRegions(regions) {
+  if (!Array.isArray(regions) || regions.length === 0) return 'Regions must be a non-empty list of region codes';
+  if (regions.length > MAX_REGIONS) return `At most ${MAX_REGIONS} regions per sweep`;
+  const invalid = regions.filter(r => r !== 'anywhere' && !/^[A-Z]{2}$/.test(r));
+  if (invalid.length > 0) return `Invalid region code(s): ${invalid.join(', ')} (expected two-letter codes such as IL, US)`;
+  return null;
+}
+
+/**
+ * Counts of one region's scan
+ * @param {string} region - Region code
+ * @param {object} result - scrapeAdTransparency() result
+ */
+function summarizeRegionScan(region, result) {
+  const data = result.data || {};
+  return {
+    region,
+    success: !!result.success,
+    error: result.success ? null : (result.error || null),
+    errorClass: result.errorClass || null,
+    hasResults: !!data.hasResults,
+    totalAds: data.totalAds || 0,
+    totalAdsText: data.totalAdsText || '',
+    totalAdsRange: data.totalAdsRange || null,
+    adsInView: data.ads?.length || 0,
+    adFormats: data.adFormats || [],
+    publishers: (data.publishers || []).map(pub => ({
+      id: pub.id,
+      name: pub.name,
+      verified: !!pub.verified,
+      adsInView: pub.ads?.length || 0
+    }))
+  };
+}
+
+/**
+ * Publisher × region and format × region views of a sweep
+ * @param {object[]} summaries - summarizeRegionScan() results
+ * @returns {object} - { regions, activeRegions, totals, publishers, formats }
+ */
+function buildRegionMatrix(summaries) {
+  const totals = {};
+  const publishers = {};
+  const formats = {};
+
+  for (const summary of summaries) {
+    totals[summary.region] = summary.success ? summary.totalAds : null;
+
+    for (const pub of summary.publishers) {
+      if (!publishers[pub.id]) {
+        publishers[pub.id] = { id: pub.id, name: pub.name, verified: pub.verified, regions: {} };
+      }
+      publishers[pub.id].regions[summary.region] = pub.adsInView;
+    }
+    for (const format of summary.adFormats) {
+      (formats[format] = formats[format] || []).push(summary.region);
+    }
+  }
+
+  return {
+    regions: summaries.map(s => s.region),
+    activeRegions: summaries.filter(s => s.totalAds > 0 || s.adsInView > 0).map(s => s.region),
+    totals,
+    publishers: Object.values(publishers),
+    formats
+  };
+}
+
+/**
+ * Scan a domain in each region, one region at a time
+ * @param {string} domain - Domain to sweep
+ * @param {string[]} regions - Region codes
+ * @param {Function} scan - (domain, region) => scrapeAdTransparency()-style result
+ * @returns {object} - { domain, scannedAt, regions: [summary...], matrix }
+ */
+async function sweepDomain(domain, regions, scan) {
+  const scannedAt = new Date().toISOString();
+  const summaries = [];
+
+  for (const region of regions) {
+    let result;
+    try {
+      result = await scan(domain, region);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    const summary = summarizeRegionScan(region, result);
+    console.log(`[Sweep] ${domain} ${region}: ${summary.success ? `${summary.totalAds} ads, ${summary.publishers.length} publisher(s)` : `failed (${summary.error})`}`);
+    summaries.push(summary);
+  }
+
+  return { domain, scannedAt, regions: summaries, matrix: buildRegionMatrix(summaries) };
+}
+
+/**
+ * Rows for the Sheets REGIONS tab, one per region of a sweep
+ */
+function toRegionRows(sweep, scanDate) {
+  return sweep.regions.map(summary => ({
+    scanDate,
+    scanDateIso: sweep.scannedAt,
+    domain: sweep.domain,
+    region: summary.region,
+    totalAds: summary.totalAds,
+    adsInView: summary.adsInView,
+    publishers: summary.publishers.map(p => p.name || p.id),
+    adFormats: summary.adFormats,
+    status: summary.success ? 'success' : 'error',
+    error: summary.error
+  }));
+}
+
+module.exports = {
+  DEFAULT_REGIONS,
+  parseRegions,
+  validateRegions,
+  sweepDomain,
+  toRegionRows
+};
@@ -0,0 +1,227 @@
+/**
+ * Structured extraction from the Transparency Center's own RPC responses
+ * The site loads its data from /anji/_/rpc/<Service>/<Method> calls that return
+ * protobuf-style JSON (objects keyed by field number). Capturing those responses
+ * gives advertiser, creative, region and date fields without depending on the
+ * page's wording or layout. Anything not found here falls back to the DOM/text
+ * extraction in scraper.js.
+ */
+
+const RPC_URL_PATTERN = /\/anji\/_\/rpc\/(\w+)\/(\w+)/;
+
+// Field numbers of the RPC payloads. If Google renumbers a field, the parsers return
+// null for it and the DOM value is used instead.
+const FIELDS = {
+  search: { creatives: '1', totalAds: ['4', '5'] },
+  creative: {
+    advertiserId: '1',
+    creativeId: '2',
+    format: '4',
+    firstShown: '6',
+    lastShown: '7',
+    advertiserName: '12',
+    platforms: '14',
+    regions: '17'
+  },
+  advertiser: { root: '1', id: '1', name: '2', country: '3' },
+  timestamp: { seconds: '1' }
+};
+
+const FORMAT_CODES = { 1: 'Text', 2: 'Image', 3: 'Video' };
+const PLATFORM_CODES = { 1: 'Google Play', 2: 'Google Maps', 3: 'Google Search', 4: 'Google Shopping', 5: 'YouTube' };
+
+const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Record RPC responses of a page until detach() is called
+ * @param {Page} page - Puppeteer page
+ * @returns {object} - { take(method), clear(), settle(), detach() }
+ */
+function captureRpcResponses(page) {
+  let responses = [];
+  const pending = new Set();
+
+  const onResponse = (response) => {
+    const match = response.url().match(RPC_URL_PATTERN);
+    if (!match || response.request().method() === 'OPTIONS') return;
+
+    const read = response.text()
+      .then(text => {
+        const body = parseRpcBody(text);
+        if (body) responses.push({ service: match[1], method: match[2], body });
+      })
+      .catch(() => {})
+      .finally(() => pending.delete(read));
+    pending.add(read);
+  };
+
+  page.on('response', onResponse);
+
+  return {
+    // Bodies of captured responses of one RPC method, oldest first
+    take(method) {
+      return responses.filter(r => r.method === method).map(r => r.body);
+    },
+    clear() {
+      responses = [];
+    },
+    // Wait for response bodies that are still being read
+    async settle() {
+      await Promise.all([...pending]);
+    },
+    detach() {
+      page.off('response', onResponse);
+    }
+  };
+}
+
+/**
+ * Parse an RPC response body, stripping the )]}' anti-XSSI prefix if present
+ */
+function parseRpcBody(text) {
+  try {
+    return JSON.parse(text.replace(/^\)\]\}'\s*/, ''));
+  } catch {
+    return null;
+  }
+}
+
+function toNumber(value) {
+  const n = typeof value === 'string' ? parseInt(value) : value;
+  return Number.isFinite(n) ? n : null;
+}
+
+// { "1": "1699999999" } (seconds) → "Nov 14, 2023", same style as the page's English dates
+function formatTimestamp(value) {
+  const seconds = toNumber(value?.[FIELDS.timestamp.seconds]);
+  if (!seconds) return null;
+  return new Date(seconds * 1000).toLocaleDateString('en-US', {
+    timeZone: 'UTC', month: 'short', day: 'numeric', year: 'numeric'
+  });
+}
+
+// Two-letter region code → English name; other values are not recognised
+function regionName(code) {
+  if (typeof code !== 'string' || !/^[A-Z]{2}$/.test(code)) return null;
+  try {
+    return regionNames.of(code);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Creatives from SearchCreatives responses
+ * @param {object} creative - One entry of the response's creative list
+ */
+function parseCreative(creative) {
+  const f = FIELDS.creative;
+  if (!creative || typeof creative !== 'object') return null;
+
+  const creativeId = /^CR\d+$/.test(creative[f.creativeId]) ? creative[f.creativeId] : null;
+  const advertiserId = /^AR\d+$/.test(creative[f.advertiserId]) ? creative[f.advertiserId] : null;
+  if (!creativeId && !advertiserId) return null;
+
+  const regions = (Array.isArray(creative[f.regions]) ? creative[f.regions] : [])
+    .map(r => regionName(typeof r === 'object' ? r?.['1'] : r))
+    .filter(Boolean);
+
+  // Unknown platform codes are dropped rather than guessed
+  const platforms = (Array.isArray(creative[f.platforms]) ? creative[f.platforms] : [])
+    .map(p => PLATFORM_CODES[toNumber(typeof p === 'object' ? p?.['1'] : p)])
+    .filter(Boolean);
+
+  return {
+    creativeId,
+    advertiserId,
+    advertiserName: typeof creative[f.advertiserName] === 'string' ? creative[f.advertiserName] : null,
+    format: FORMAT_CODES[toNumber(creative[f.format])] || null,
+    firstShown: formatTimestamp(creative[f.firstShown]),
+    lastShown: formatTimestamp(creative[f.lastShown]),
+    shownInRegions: regions.length > 0 ? regions.join(', ') : null,
+    platforms: platforms.length > 0 ? [...new Set(platforms)] : null
+  };
+}
+
+/**
+ * Combine all SearchCreatives responses of a domain search
+ * @param {object[]} bodies - Response bodies, oldest first
+ * @returns {object|null} - { totalAds, creatives } or null if nothing usable was captured
+ */
+function parseSearchResults(bodies) {
+  if (bodies.length === 0) return null;
+
+  let totalAds = null;
+  const creatives = new Map();
+
+  for (const body of bodies) {
+    for (const key of FIELDS.search.totalAds) {
+      const total = toNumber(body[key]);
+      if (total !== null) {
+        totalAds = Math.max(totalAds || 0, total);
+        break;
+      }
+    }
+    for (const entry of body[FIELDS.search.creatives] || []) {
+      const creative = parseCreative(entry);
+      if (creative?.creativeId) creatives.set(creative.creativeId, creative);
+    }
+  }
+
+  if (totalAds === null && creatives.size === 0) return null;
+  return { totalAds, creatives: [...creatives.values()] };
+}
+
+/**
+ * Advertiser fields from a GetAdvertiserById response
+ * @returns {object|null} - { id, name, location }
+ */
+function parseAdvertiser(bodies) {
+  const f = FIELDS.advertiser;
+  for (const body of bodies.slice().reverse()) {
+    const root = body?.[f.root];
+    if (!root || !/^AR\d+$/.test(root[f.id])) continue;
+    return {
+      id: root[f.id],
+      name: typeof root[f.name] === 'string' ? root[f.name] : null,
+      location: regionName(root[f.country])
+    };
+  }
+  return null;
+}
+
+/**
+ * Creative fields from a GetCreativeById response
+ */
+function parseCreativeDetails(bodies) {
+  for (const body of bodies.slice().reverse()) {
+    const creative = parseCreative(body?.['1']);
+    if (creative) return creative;
+  }
+  return null;
+}
+
+/**
+ * Copy a field into target, preferring the network value over the DOM value,
+ * and record which one was used in sources
+ */
+function pickField(target, sources, name, networkValue, domValue) {
+  if (networkValue !== null && networkValue !== undefined) {
+    target[name] = networkValue;
+    sources[name] = 'network';
+  } else if (domValue !== null && domValue !== undefined) {
+    target[name] = domValue;
+    sources[name] = 'dom';
+  } else {
+    target[name] = domValue ?? null;
+  }
+}
+
+module.exports = {
+  captureRpcResponses,
+  parseRpcBody,
+  parseSearchResults,
+  parseAdvertiser,
+  parseCreativeDetails,
+  pickField
+};
@@ -0,0 +1,153 @@
+/**
+ * Scan error classification and retries
+ * A failed scan is classified (navigation timeout, consent or CAPTCHA interstitial,
+ * selector drift, browser crash, network error...) and retried with exponential
+ * backoff and jitter according to its class's policy. "no-results" is not a failure:
+ * it marks a scan whose page positively said the domain has no ads, as opposed to a
+ * page the scraper could not read. "cancelled" marks a scan stopped by its caller or
+ * its deadline (see scanSignal() in scraper.js); it is never retried.
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+
+const ERROR_CLASSES = [
+  'timeout',
+  'no-results',
+  'consent',
+  'captcha',
+  'selector-drift',
+  'browser-crash',
+  'network',
+  'invalid-options',
+  'cancelled',
+  'unknown'
+];
+
+// retries: extra attempts after the first; delays in ms (doubled per attempt, ±50% jitter)
+const DEFAULT_POLICIES = {
+  'timeout': { retries: 2, baseDelay: 5000, maxDelay: 30000 },
+  'no-results': { retries: 0, baseDelay: 0, maxDelay: 0 },
+  'consent': { retries: 2, baseDelay: 2000, maxDelay: 10000 },
+  'captcha': { retries: 1, baseDelay: 60000, maxDelay: 120000 },
+  'selector-drift': { retries: 1, baseDelay: 3000, maxDelay: 3000 },
+  'browser-crash': { retries: 2, baseDelay: 1000, maxDelay: 10000 },
+  'network': { retries: 3, baseDelay: 2000, maxDelay: 30000 },
+  'invalid-options': { retries: 0, baseDelay: 0, maxDelay: 0 },
+  'cancelled': { retries: 0, baseDelay: 0, maxDelay: 0 },
+  'unknown': { retries: 1, baseDelay: 2000, maxDelay: 10000 }
+};
+
+// SCRAPE_RETRY_POLICIES='{"timeout":{"retries":4},"captcha":{"retries":0}}' overrides single fields
+const RETRY_POLICIES = mergePolicies(DEFAULT_POLICIES, process.env.SCRAPE_RETRY_POLICIES);
+
+function mergePolicies(defaults, json) {
+  if (!json) return defaults;
+  try {
+    const overrides = JSON.parse(json);
+    const merged = {};
+    for (const [errorClass, policy] of Object.entries(defaults)) {
+      merged[errorClass] = { ...policy, ...overrides[errorClass] };
+    }
+    return merged;
+  } catch (error) {
+    console.error('[Retry] Ignoring invalid SCRAPE_RETRY_POLICIES:', error.message);
+    return defaults;
+  }
+}
+
+/**
+ * Error tagged with its class, for failures the scraper detects itself
+ */
+function scanError(errorClass, message) {
+  const error = new Error(message);
+  error.errorClass = errorClass;
+  return error;
+}
+
+/**
+ * Class of an error thrown during a scan
+ */
+function classifyError(error) {
+  if (error?.errorClass) return error.errorClass;
+  if (error?.name === 'AbortError') return 'cancelled';
+
+  const message = String(error?.message || error || '');
+  if (error?.name === 'TimeoutError' || /timeout|timed out/i.test(message)) return 'timeout';
+  if (/net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|socket hang up|fetch failed/i.test(message)) return 'network';
+  if (/Target closed|Session closed|Protocol error|disconnected|Page crashed|Failed to launch|Navigating frame was detached|Execution context was destroyed/i.test(message)) return 'browser-crash';
+  return 'unknown';
+}
+
+/**
+ * Error message of a scan stopped by its AbortSignal
+ */
+function abortMessage(signal) {
+  const reason = signal?.reason;
+  if (reason?.name === 'TimeoutError') return 'Scan deadline exceeded';
+  const detail = reason instanceof Error ? reason.message : reason;
+  return detail ? `Scan cancelled (${detail})` : 'Scan cancelled';
+}
+
+/**
+ * Result of a scan stopped by its AbortSignal
+ * @param {object} target - { domain } or { advertiserId }
+ */
+function cancelledResult(signal, target) {
+  return { success: false, error: abortMessage(signal), errorClass: 'cancelled', ...target };
+}
+
+/**
+ * Whether a result class is a failure worth another attempt later (e.g. a job re-queue)
+ */
+function isRetryable(errorClass) {
+  return (RETRY_POLICIES[errorClass]?.retries || 0) > 0;
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): baseDelay × 2^(attempt-1), capped, ±50% jitter
+ */
+function backoffDelay(policy, attempt) {
+  const delay = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay);
+  return Math.round(delay * (0.5 + Math.random()));
+}
+
+/**
+ * Run a scan attempt until it succeeds or its error class runs out of retries
+ * @param {Function} attempt - (attemptNumber) => { success, error, errorClass, ... }
+ * @param {string} label - Name for the log (domain or advertiser ID)
+ * @param {AbortSignal} signal - Stops the retries; a wait for the next attempt ends early
+ * @returns {Promise<object>} - The last attempt's result, with errorClass and attempts set
+ */
+async function withRetries(attempt, label, signal) {
+  let retriesUsed = 0;
+  for (let number = 1; ; number++) {
+    const result = await attempt(number);
+    result.errorClass = result.errorClass || null;
+    result.attempts = number;
+    if (result.success) return result;
+
+    const policy = RETRY_POLICIES[result.errorClass] || RETRY_POLICIES.unknown;
+    if (retriesUsed >= policy.retries || signal?.aborted) return result;
+    retriesUsed++;
+
+    const delay = backoffDelay(policy, retriesUsed);
+    console.log(`[Retry] ${label}: ${result.errorClass} (${result.error}), attempt ${number + 1} in ${Math.round(delay / 1000)}s`);
+    try {
+      await sleep(delay, null, { signal });
+    } catch {
+      // Stopped while waiting: report the cancellation instead of the earlier failure
+      return { ...result, error: abortMessage(signal), errorClass: 'cancelled' };
+    }
+  }
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  RETRY_POLICIES,
+  scanError,
+  classifyError,
+  abortMessage,
+  cancelledResult,
+  isRetryable,
+  withRetries
+};
@@ -0,0 +1,112 @@
+/**
+ * Transparency Center filters
+ * Date range, platform and ad format filters are applied through the site's URL
+ * parameters. The applied filters are echoed in scan results (data.filters) so the
+ * history, change detection and Sheets rows record exactly what was counted.
+ */
+
+const PLATFORMS = {
+  search: { param: 'SEARCH', label: 'Google Search' },
+  youtube: { param: 'YOUTUBE', label: 'YouTube' },
+  play: { param: 'PLAY', label: 'Google Play' },
+  maps: { param: 'MAPS', label: 'Google Maps' },
+  shopping: { param: 'SHOPPING', label: 'Google Shopping' }
+};
+
+const FORMATS = {
+  text: { param: 'TEXT', label: 'Text' },
+  image: { param: 'IMAGE', label: 'Image' },
+  video: { param: 'VIDEO', label: 'Video' }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(text) {
+  return DATE_PATTERN.test(text) && !isNaN(Date.parse(text)) && new Date(text).toISOString().startsWith(text);
+}
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Filters from scan options ({ dateFrom, dateTo, platform, format })
+ * A range without dateTo stays open-ended (dateTo null) so its filtersKey() does not change
+ * from day to day; filterQuery() sends today as its end date.
+ * @returns {object} - { filters } with unset filters as null, or { error }
+ */
+function parseFilters(options = {}) {
+  const filters = { dateFrom: null, dateTo: null, platform: null, format: null };
+
+  if (options.dateFrom || options.dateTo) {
+    if (!options.dateFrom) return { error: 'dateTo needs a dateFrom' };
+    if (!isValidDate(options.dateFrom)) return { error: `Invalid dateFrom: ${options.dateFrom} (expected YYYY-MM-DD)` };
+    if (options.dateTo && !isValidDate(options.dateTo)) return { error: `Invalid dateTo: ${options.dateTo} (expected YYYY-MM-DD)` };
+
+    filters.dateFrom = options.dateFrom;
+    filters.dateTo = options.dateTo || null;
+    if (filters.dateFrom > (filters.dateTo || today())) return { error: 'dateFrom is after dateTo' };
+  }
+
+  if (options.platform) {
+    const platform = String(options.platform).toLowerCase();
+    if (!PLATFORMS[platform]) return { error: `Unknown platform: ${options.platform}. Expected one of: ${Object.keys(PLATFORMS).join(', ')}` };
+    filters.platform = platform;
+  }
+
+  if (options.format) {
+    const format = String(options.format).toLowerCase();
+    if (!FORMATS[format]) return { error: `Unknown format: ${options.format}. Expected one of: ${Object.keys(FORMATS).join(', ')}` };
+    filters.format = format;
+  }
+
+  return { filters };
+}
+
+/**
+ * URL query parameters of a set of filters ("" when none are set)
+ */
+function filterQuery(filters) {
+  const params = new URLSearchParams();
+  if (filters?.platform) params.set('platform', PLATFORMS[filters.platform].param);
+  if (filters?.format) params.set('format', FORMATS[filters.format].param);
+  if (filters?.dateFrom) {
+    params.set('start-date', filters.dateFrom);
+    params.set('end-date', filters.dateTo || today());
+  }
+  const query = params.toString();
+  return query ? `&${query}` : '';
+}
+
+function hasFilters(filters) {
+  return !!(filters && (filters.dateFrom || filters.platform || filters.format));
+}
+
+/**
+ * Human-readable filters for Sheets rows, e.g. "2025-01-01 – 2025-03-31, YouTube, Video"
+ */
+function describeFilters(filters) {
+  if (!hasFilters(filters)) return 'None';
+  return [
+    filters.dateFrom ? `${filters.dateFrom} – ${filters.dateTo || 'today'}` : null,
+    filters.platform ? PLATFORMS[filters.platform].label : null,
+    filters.format ? FORMATS[filters.format].label : null
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * Stable key of a set of filters; scans are only compared with scans of the same key
+ */
+function filtersKey(filters) {
+  if (!hasFilters(filters)) return '';
+  return ['dateFrom', 'dateTo', 'platform', 'format'].map(k => filters[k] || '').join('|');
+}
+
+module.exports = {
+  PLATFORMS,
+  FORMATS,
+  parseFilters,
+  filterQuery,
+  describeFilters,
+  filtersKey
+};
@@ -0,0 +1,78 @@
+/**
+ * Scan progress events
+ * A scan moves through stages (open the page, navigate, wait for results, "See all ads",
+ * scroll, extract, screenshot, then an advertiser page and creative pages per publisher).
+ * Each stage is reported through the scan's onProgress callback when it starts and ends,
+ * with the publisher / creative it works on and its duration; durations are also summed
+ * per stage into result.timings.
+ */
+
+const STAGES = [
+  'open-page',
+  'navigate',
+  'wait-results',
+  'see-all',
+  'scroll',
+  'extract',
+  'screenshot',
+  'rpc-results',
+  'advertiser-page',
+  'creative-page',
+  'archive-assets'
+];
+
+/**
+ * Stage tracker for one scan (all its attempts)
+ * @param {Function} onProgress - Receives { phase: 'start' | 'end', stage, ... } events; optional
+ * @param {object} target - { domain } or { advertiserId }, added to every event
+ * @returns {object} - { stage(name, details), end(), attempt, timings }
+ */
+function createProgress(onProgress, target) {
+  const startedAt = Date.now();
+  let current = null;
+
+  const emit = (event) => {
+    if (!onProgress) return;
+    try {
+      onProgress({ ...event, ...target, attempt: progress.attempt, elapsedMs: Date.now() - startedAt });
+    } catch (error) {
+      console.error('[Progress] Listener failed:', error.message);
+    }
+  };
+
+  const progress = {
+    attempt: 1,
+    // stage -> { count, totalMs, maxMs }
+    timings: {},
+
+    /**
+     * End the current stage and start the next one
+     * @param {object} details - e.g. { publisherIndex, publisherCount, publisherId, creativeIndex, creativeCount, creativeId }
+     */
+    stage(name, details = {}) {
+      progress.end();
+      current = { stage: name, details, startedAt: Date.now() };
+      emit({ phase: 'start', stage: name, ...details });
+    },
+
+    // End the current stage, if any
+    end() {
+      if (!current) return;
+      const { stage, details } = current;
+      const durationMs = Date.now() - current.startedAt;
+      current = null;
+
+      const timing = progress.timings[stage] || (progress.timings[stage] = { count: 0, totalMs: 0, maxMs: 0 });
+      timing.count++;
+      timing.totalMs += durationMs;
+      timing.maxMs = Math.max(timing.maxMs, durationMs);
+      emit({ phase: 'end', stage, ...details, durationMs });
+    }
+  };
+  return progress;
+}
+
+module.exports = {
+  STAGES,
+  createProgress
+};
@@ -0,0 +1,141 @@
+/**
+ * Scan response projection
+ * /scrape and /scrape-batch answer with a compact result by default: the fields a Sheets
+ * row is built from, one summary per publisher and a link to the stored screenshot.
+ * include= adds the heavy parts back (ads, screenshot, rawText, adImages, or all of it);
+ * fields= picks exact paths from the full result instead.
+ */
+
+const INCLUDE_OPTIONS = ['ads', 'screenshot', 'rawText', 'adImages', 'all'];
+const FIELD_PATTERN = /^\w+(\.\w+)*$/;
+
+// "a,b" or ["a", "b"] (query strings, JSON bodies) as a list
+function toList(value) {
+  if (value === undefined || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read include= and fields= from a query string or request body
+ * @returns {object} - { include: Set, fields: string[]|null, error }
+ */
+function parseProjection(input = {}) {
+  const include = toList(input.include);
+  const fields = toList(input.fields);
+
+  const unknown = include.find(option => !INCLUDE_OPTIONS.includes(option));
+  if (unknown) {
+    return { error: `Unknown include option: ${unknown} (expected ${INCLUDE_OPTIONS.join(', ')})` };
+  }
+  const invalid = fields.find(field => !FIELD_PATTERN.test(field));
+  if (invalid) {
+    return { error: `Invalid field: ${invalid} (expected a dotted path like data.totalAds)` };
+  }
+  return { include: new Set(include), fields: fields.length > 0 ? fields : null, error: null };
+}
+
+/**
+ * The given dotted paths of a value; a path through an array applies to each element
+ * (data.publishers.name -> every publisher's name)
+ */
+function pickFields(source, paths) {
+  if (Array.isArray(source)) return source.map(item => pickFields(item, paths));
+  if (source === null || typeof source !== 'object') return source;
+
+  const picked = {};
+  const nested = {};
+  for (const field of paths) {
+    const [key, ...rest] = field.split('.');
+    if (!(key in source)) continue;
+    if (rest.length === 0) {
+      picked[key] = source[key];
+    } else {
+      (nested[key] = nested[key] || []).push(rest.join('.'));
+    }
+  }
+  for (const [key, rest] of Object.entries(nested)) {
+    if (!(key in picked)) picked[key] = pickFields(source[key], rest);
+  }
+  return picked;
+}
+
+// Ad without its element / detail page screenshots unless they were asked for
+function projectAd(ad, include) {
+  if (include.has('screenshot')) return ad;
+  const { screenshot, detailScreenshot, ...rest } = ad;
+  return rest;
+}
+
+// Publisher summary: its details, creative IDs and the first ad a Sheets row shows
+function projectPublisher(pub, include) {
+  const ads = pub.ads || [];
+  const firstAd = ads[0];
+  const summary = {
+    id: pub.id,
+    name: pub.name,
+    verified: pub.verified,
+    location: pub.location,
+    lastSeenDate: pub.lastSeenDate,
+    lastSeenDateIso: pub.lastSeenDateIso || null,
+    shownInRegions: pub.shownInRegions,
+    platforms: pub.platforms || [],
+    adFormats: pub.adFormats || [],
+    adsInView: ads.length,
+    creativeIds: ads.map(ad => ad.creativeId).filter(Boolean),
+    firstAd: firstAd ? { creativeId: firstAd.creativeId, format: firstAd.format, adText: firstAd.adText } : null,
+    fieldSources: pub.fieldSources
+  };
+  if (include.has('screenshot') && pub.screenshot) summary.screenshot = pub.screenshot;
+  return summary;
+}
+
+function projectData(data, include) {
+  const projected = {
+    domain: data.domain,
+    region: data.region,
+    scrapedAt: data.scrapedAt,
+    filters: data.filters,
+    locale: data.locale,
+    extraction: data.extraction,
+    hasResults: data.hasResults,
+    noResultsShown: data.noResultsShown || false,
+    totalAds: data.totalAds,
+    totalAdsText: data.totalAdsText,
+    totalAdsRange: data.totalAdsRange,
+    adsInView: data.ads?.length || 0,
+    adFormats: data.adFormats || [],
+    lastSeenDate: data.lastSeenDate,
+    lastSeenDateIso: data.lastSeenDateIso || null,
+    shownInRegions: data.shownInRegions,
+    advertiser: data.advertiser,
+    inventory: data.inventory,
+    fieldSources: data.fieldSources,
+    publishers: (data.publishers || []).map(pub => projectPublisher(pub, include))
+  };
+  if (include.has('ads')) projected.ads = (data.ads || []).map(ad => projectAd(ad, include));
+  if (include.has('screenshot')) projected.screenshot = data.screenshot;
+  if (include.has('rawText')) projected.rawText = data.rawText;
+  if (include.has('adImages')) projected.adImages = data.adImages;
+  return projected;
+}
+
+/**
+ * Shape a scanDomain() result for an API response
+ * @param {object} result - Full scan result
+ * @param {object} projection - From parseProjection()
+ */
+function projectScanResult(result, { include = new Set(), fields = null } = {}) {
+  if (fields) {
+    return { success: result.success, error: result.error, ...pickFields(result, fields) };
+  }
+  if (include.has('all') || !result.data) return result;
+  return { ...result, data: projectData(result.data, include) };
+}
+
+module.exports = {
+  INCLUDE_OPTIONS,
+  parseProjection,
+  projectScanResult
+};
@@ -0,0 +1,333 @@
+/**
+ * Named scan schedules
+ * Each schedule has its own domain list, schedule expression, timezone, region,
+ * batch size and Sheets target. Stored in data/schedules.json.
+ *
+ * Schedule expressions:
+ *   "*\/30 8-18 * * 1-5"          standard 5-field cron (minute hour day month weekday)
+ *   "weekdays 08:00"              Mon-Fri at 08:00
+ *   "sun-thu 08:00"               day names, lists and ranges
+ *   "daily 06:30" / "weekends 10:00" / "hourly"
+ *   "every 60 minutes"            interval, counted from the end of the previous run
+ * An IANA timezone can be appended ("weekdays 08:00 Asia/Jerusalem"); otherwise the
+ * schedule's timezone (default Asia/Jerusalem) is used.
+ */
+
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./store');
+const { parseRegions, validateRegions } = require('./region-sweep');
+const { parseFilters } = require('./scan-filters');
+const { validateLocale } = require('./locale-packs');
+
+const SCHEDULES_FILE = 'schedules.json';
+const DEFAULT_TIMEZONE = 'Asia/Jerusalem';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const FIELD_RANGES = {
+  minute: [0, 59],
+  hour: [0, 23],
+  dayOfMonth: [1, 31],
+  month: [1, 12],
+  dayOfWeek: [0, 7]
+};
+
+/**
+ * Expression parsing
+ */
+
+// Parse one cron field ("*", "1,5", "1-5", "*/15", "mon-fri") into a Set of numbers
+function parseField(text, name) {
+  const [min, max] = FIELD_RANGES[name];
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [rangeText, stepText] = part.split('/');
+    const step = stepText ? parseInt(stepText) : 1;
+    if (!(step > 0)) throw new Error(`Invalid step in ${name}: ${part}`);
+
+    let start;
+    let end;
+    if (rangeText === '*') {
+      start = min;
+      end = max;
+    } else {
+      const [a, b] = rangeText.split('-').map(v => toNumber(v, name));
+      start = a;
+      end = b === undefined ? (stepText ? max : a) : b;
+    }
+    if (isNaN(start) || isNaN(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid ${name} value: ${part}`);
+    }
+    for (let v = start; v <= end; v += step) values.add(v);
+  }
+
+  // Cron allows 7 for Sunday
+  if (name === 'dayOfWeek' && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+  return values;
+}
+
+function toNumber(value, name) {
+  if (name === 'dayOfWeek' && DAY_NAMES.includes(value.toLowerCase())) {
+    return DAY_NAMES.indexOf(value.toLowerCase());
+  }
+  return /^\d+$/.test(value) ? parseInt(value) : NaN;
+}
+
+function isTimezone(text) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: text });
+    return /[/]/.test(text) || text.toUpperCase() === 'UTC';
+  } catch {
+    return false;
+  }
+}
+
+// "weekdays 08:00" style shortcuts → 5-field cron
+function shortcutToCron(words) {
+  if (words.length === 1 && words[0] === 'hourly') return '0 * * * *';
+  if (words.length !== 2) return null;
+
+  const [days, time] = words;
+  const timeMatch = time.match(/^(\d{1,2}):(\d{2})$/);
+  if (!timeMatch) return null;
+  const hour = parseInt(timeMatch[1]);
+  const minute = parseInt(timeMatch[2]);
+
+  let dayField;
+  if (days === 'daily') dayField = '*';
+  else if (days === 'weekdays') dayField = '1-5';
+  else if (days === 'weekends') dayField = '0,6';
+  else if (/^[a-z,-]+$/.test(days)) dayField = days;
+  else return null;
+
+  return `${minute} ${hour} * * ${dayField}`;
+}
+
+/**
+ * Parse a schedule expression
+ * @param {string} expression - Cron, shortcut or "every N minutes|hours"
+ * @param {string} timezone - Used when the expression has no timezone suffix
+ * @returns {object} - { type: 'cron', fields, timezone } or { type: 'interval', minutes, timezone }
+ * @throws {Error} - If the expression is invalid
+ */
+function parseSchedule(expression, timezone = DEFAULT_TIMEZONE) {
+  const words = String(expression || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const original = String(expression || '').trim().split(/\s+/);
+  let tz = timezone || DEFAULT_TIMEZONE;
+
+  if (words.length > 1 && isTimezone(original[original.length - 1])) {
+    tz = original[original.length - 1];
+    words.pop();
+  }
+  if (!isTimezone(tz)) {
+    throw new Error(`Unknown timezone: ${tz}`);
+  }
+  if (words.length === 0) {
+    throw new Error('Empty schedule expression');
+  }
+
+  const intervalMatch = words.join(' ').match(/^every (\d+) (minutes?|hours?)$/);
+  if (intervalMatch) {
+    const minutes = parseInt(intervalMatch[1]) * (intervalMatch[2].startsWith('hour') ? 60 : 1);
+    if (minutes < 1) throw new Error('Interval must be at least 1 minute');
+    return { type: 'interval', minutes, timezone: tz };
+  }
+
+  const cron = words.length === 5 ? words.join(' ') : shortcutToCron(words);
+  if (!cron) {
+    throw new Error(`Unrecognised schedule expression: ${expression}`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = cron.split(' ');
+  return {
+    type: 'cron',
+    timezone: tz,
+    fields: {
+      minute: parseField(minute, 'minute'),
+      hour: parseField(hour, 'hour'),
+      dayOfMonth: parseField(dayOfMonth, 'dayOfMonth'),
+      month: parseField(month, 'month'),
+      dayOfWeek: parseField(dayOfWeek, 'dayOfWeek')
+    },
+    // Standard cron: if both day fields are restricted, either may match
+    dayOfMonthAny: dayOfMonth === '*',
+    dayOfWeekAny: dayOfWeek === '*'
+  };
+}
+
+const formatters = {};
+
+// Wall-clock parts of an instant in a timezone
+function zonedParts(date, timezone) {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    });
+  }
+  const parts = {};
+  for (const { type, value } of formatters[timezone].formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase().substring(0, 3))
+  };
+}
+
+function dayMatches(schedule, p) {
+  const { fields } = schedule;
+  if (!fields.month.has(p.month)) return false;
+  const domMatch = fields.dayOfMonth.has(p.day);
+  const dowMatch = fields.dayOfWeek.has(p.weekday);
+  if (schedule.dayOfMonthAny && schedule.dayOfWeekAny) return true;
+  if (schedule.dayOfMonthAny) return dowMatch;
+  if (schedule.dayOfWeekAny) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Next run time of a schedule expression
+ * @param {string} expression - Schedule expression
+ * @param {string} timezone - Default timezone
+ * @param {Date} after - Interval schedules count from here (end of the last run); cron looks for the first match after it
+ * @returns {Date|null} - null if nothing matches within a year
+ */
+function getNextRunTime(expression, timezone, after = new Date()) {
+  const schedule = parseSchedule(expression, timezone);
+
+  if (schedule.type === 'interval') {
+    return new Date(after.getTime() + schedule.minutes * 60 * 1000);
+  }
+
+  // Walk forward minute by minute, skipping whole hours/days that cannot match
+  let t = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = t + 366 * 24 * 60 * 60000;
+  while (t < limit) {
+    const p = zonedParts(new Date(t), schedule.timezone);
+    if (!dayMatches(schedule, p)) {
+      // To 23:00, then to midnight: a 23-hour DST day would make a whole-day jump skip past midnight
+      t += ((p.hour < 23 ? 22 - p.hour : 0) * 60 + (60 - p.minute)) * 60000;
+    } else if (!schedule.fields.hour.has(p.hour)) {
+      t += (60 - p.minute) * 60000;
+    } else if (!schedule.fields.minute.has(p.minute)) {
+      t += 60000;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
+
+/**
+ * Storage
+ */
+
+function listSchedules() {
+  return readJson(SCHEDULES_FILE, []);
+}
+
+function getSchedule(id) {
+  return listSchedules().find(s => s.id === id) || null;
+}
+
+/**
+ * Check a schedule definition; returns an error message or null
+ */
+function validateSchedule(input) {
+  if (!input.name) return 'Missing schedule name';
+  if (!Array.isArray(input.domains) || input.domains.length === 0) return 'Schedule needs a non-empty domains array';
+  const batchSize = input.batchSize ?? 5;
+  if (!(batchSize >= 1 && batchSize <= 20)) return 'Batch size must be between 1 and 20';
+  const filterError = parseFilters(input.scrape || {}).error || validateLocale(input.scrape?.locale);
+  if (filterError) return filterError;
+  if (input.regions?.length > 0) {
+    const regionsError = validateRegions(parseRegions(input.regions));
+    if (regionsError) return regionsError;
+  }
+  try {
+    parseSchedule(input.cron, input.timezone);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+function normalizeSchedule(input, id) {
+  return {
+    id: id,
+    name: input.name,
+    enabled: input.enabled !== false,
+    cron: input.cron,
+    timezone: input.timezone || DEFAULT_TIMEZONE,
+    domains: input.domains,
+    region: input.region || 'anywhere',
+    // Regions to sweep each domain across (null = no sweep)
+    regions: input.regions?.length > 0 ? parseRegions(input.regions) : null,
+    batchSize: input.batchSize || 5,
+    appsScriptUrl: input.appsScriptUrl || null,
+    // Scraper options for every domain of the run, e.g. { maxAds: 500, platform: 'youtube' }
+    scrape: input.scrape || {},
+    lastRunTime: input.lastRunTime || null,
+    lastJobId: input.lastJobId || null,
+    createdAt: input.createdAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Create a schedule
+ * @returns {object} - { success, schedule } or { success: false, error }
+ */
+function createSchedule(input, id = null) {
+  const error = validateSchedule(input);
+  if (error) return { success: false, error };
+
+  const schedule = normalizeSchedule(input, id || crypto.randomBytes(4).toString('hex'));
+  const others = listSchedules().filter(s => s.id !== schedule.id);
+  writeJson(SCHEDULES_FILE, [...others, schedule]);
+  return { success: true, schedule };
+}
+
+function updateSchedule(id, input) {
+  const schedules = listSchedules();
+  const index = schedules.findIndex(s => s.id === id);
+  if (index === -1) return { success: false, error: 'Schedule not found', notFound: true };
+
+  const merged = { ...schedules[index], ...input };
+  const error = validateSchedule(merged);
+  if (error) return { success: false, error };
+
+  schedules[index] = normalizeSchedule(merged, id);
+  writeJson(SCHEDULES_FILE, schedules);
+  return { success: true, schedule: schedules[index] };
+}
+
+function deleteSchedule(id) {
+  const schedules = listSchedules();
+  const remaining = schedules.filter(s => s.id !== id);
+  if (remaining.length === schedules.length) return { success: false, error: 'Schedule not found', notFound: true };
+  writeJson(SCHEDULES_FILE, remaining);
+  return { success: true };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  parseSchedule,
+  getNextRunTime,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+};
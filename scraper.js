@@ -1,352 +1,664 @@
-const puppeteer = require('puppeteer');
+const { setTimeout: sleep } = require('timers/promises');
+const { acquirePage, releasePage } = require('./browser-pool');
+const {
+  captureRpcResponses, parseSearchResults, parseAdvertiser, parseCreativeDetails, pickField
+} = require('./rpc-extractor');
+const { parseFilters, filterQuery } = require('./scan-filters');
+const { LOCALE, resolvePack, validateLocale, getLabels, toIsoDate, localeQuery, acceptLanguage } = require('./locale-packs');
+const {
+  extractResultsPage, extractAdvertiserPage, extractPageLanguage, extractPageText, applyAdCount, dedupeAds,
+  readAdvertiserText, readCreativeText
+} = require('./extractors');
+const { RECORD_SNAPSHOTS, createRecorder, recordPage, saveRecording } = require('./snapshots');
+const { ARCHIVE_ASSETS, archiveAdAssets } = require('./asset-store');
+const { scanError, classifyError, cancelledResult, withRetries } = require('./scan-errors');
+const { pickProxy, reportProxyResult, describeProxy } = require('./proxy-pool');
+const { ROTATE_FINGERPRINTS, pickProfile } = require('./fingerprints');
+const { BASE_URL, searchUrl, advertiserUrl, creativeUrl } = require('./transparency-urls');
+const { createProgress } = require('./scan-progress');
+
+// "network": read fields from the site's RPC responses, falling back to the page text.
+// "dom": page text only.
+const EXTRACTION_MODE = process.env.SCRAPE_EXTRACTION || 'network';
+
+// Ads to collect by scrolling the results list (0 = only what "See all ads" renders)
+const MAX_ADS = parseInt(process.env.SCRAPE_MAX_ADS) || 0;
+const MAX_SCROLL_TIME = parseInt(process.env.SCRAPE_MAX_SCROLL_TIME) || 120000;
+// Creative detail pages per publisher: a number (first N), "all", or "new"
+const DETAIL_DEPTH = process.env.SCRAPE_DETAIL_DEPTH || 1;
+// Upper bound on creative detail pages visited for one domain
+const MAX_DETAIL_PAGES = parseInt(process.env.SCRAPE_MAX_DETAIL_PAGES) || 200;
+// Scroll rounds without new creatives before the list is considered complete
+const SCROLL_IDLE_ROUNDS = 3;
+// Screenshots are clipped to this height, however long the scrolled page gets
+const SCREENSHOT_MAX_HEIGHT = parseInt(process.env.SCREENSHOT_MAX_HEIGHT) || 4000;
+// "page": one screenshot of the results page. "elements": also each creative, the
+// advertiser pages and the creative detail pages, attached to their ad / publisher.
+const SCREENSHOT_MODE = process.env.SCRAPE_SCREENSHOTS || 'page';
+// Upper bound on creative element screenshots for one scan
+const MAX_ELEMENT_SCREENSHOTS = parseInt(process.env.SCRAPE_MAX_ELEMENT_SCREENSHOTS) || 100;
+// Deadline for one scan, retries included, in ms (0 = none)
+const MAX_SCAN_TIME = parseInt(process.env.SCRAPE_MAX_SCAN_TIME) || 0;
 
 /**
- * Translate Hebrew values to English
+ * Signal that stops a scan when the caller's signal fires or maxScanTime runs out
+ * @returns {AbortSignal|undefined} - undefined when the scan can't be stopped
  */
-const hebrewToEnglish = {
-  // Countries
-  'הולנד': 'Netherlands',
-  'ישראל': 'Israel',
-  'ארצות הברית': 'United States',
-  'בריטניה': 'United Kingdom',
-  'גרמניה': 'Germany',
-  'צרפת': 'France',
-  'ספרד': 'Spain',
-  'איטליה': 'Italy',
-  'קנדה': 'Canada',
-  'אוסטרליה': 'Australia',
-  'יפן': 'Japan',
-  'סין': 'China',
-  'הודו': 'India',
-  'ברזיל': 'Brazil',
-  'רוסיה': 'Russia',
-  'מקסיקו': 'Mexico',
-  'פולין': 'Poland',
-  'טורקיה': 'Turkey',
-  'אוקראינה': 'Ukraine',
-  'שוויץ': 'Switzerland',
-  'אוסטריה': 'Austria',
-  'בלגיה': 'Belgium',
-  'שוודיה': 'Sweden',
-  'נורבגיה': 'Norway',
-  'דנמרק': 'Denmark',
-  'פינלנד': 'Finland',
-  'פורטוגל': 'Portugal',
-  'יוון': 'Greece',
-  'צ\'כיה': 'Czech Republic',
-  'רומניה': 'Romania',
-  'הונגריה': 'Hungary',
-  'אירלנד': 'Ireland',
-  'ניו זילנד': 'New Zealand',
-  'סינגפור': 'Singapore',
-  'הונג קונג': 'Hong Kong',
-  'דרום קוריאה': 'South Korea',
-  'תאילנד': 'Thailand',
-  'מלזיה': 'Malaysia',
-  'אינדונזיה': 'Indonesia',
-  'פיליפינים': 'Philippines',
-  'וייטנאם': 'Vietnam',
-  'ארגנטינה': 'Argentina',
-  'קולומביה': 'Colombia',
-  'צ\'ילה': 'Chile',
-  'פרו': 'Peru',
-  'מצרים': 'Egypt',
-  'דרום אפריקה': 'South Africa',
-  'איחוד האמירויות': 'United Arab Emirates',
-  'סעודיה': 'Saudi Arabia',
-  // Regions/Shown in
-  'בכל מקום': 'Everywhere',
-  'כל המקומות': 'All locations',
-  // Hebrew months
-  'בינו׳': 'Jan',
-  'בפבר׳': 'Feb',
-  'במרץ': 'Mar',
-  'באפר׳': 'Apr',
-  'במאי': 'May',
-  'ביוני': 'Jun',
-  'ביולי': 'Jul',
-  'באוג׳': 'Aug',
-  'בספט׳': 'Sep',
-  'באוק׳': 'Oct',
-  'בנוב׳': 'Nov',
-  'בדצמ׳': 'Dec'
-};
-
-function translateToEnglish(text) {
-  if (!text) return text;
-  let result = text;
-  for (const [hebrew, english] of Object.entries(hebrewToEnglish)) {
-    result = result.replace(new RegExp(hebrew, 'g'), english);
+function scanSignal(signal, maxScanTime) {
+  const signals = [signal, maxScanTime > 0 ? AbortSignal.timeout(maxScanTime) : null].filter(Boolean);
+  return signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+}
+
+// Wait that ends early, throwing, when the scan is stopped
+function pause(ms, signal) {
+  return sleep(ms, null, { signal });
+}
+
+/**
+ * Close the scan's page as soon as its signal fires, so a pending navigation or
+ * evaluate fails right away instead of running to its own timeout
+ * @returns {Function} - Removes the listener once the scan is over
+ */
+function closeOnAbort(page, signal) {
+  if (!signal) return () => {};
+  const close = () => {
+    console.log('  Scan stopped, closing its page');
+    page.close().catch(() => {});
+  };
+  if (signal.aborted) {
+    close();
+    return () => {};
+  }
+  signal.addEventListener('abort', close, { once: true });
+  return () => signal.removeEventListener('abort', close);
+}
+
+/**
+ * Keep scrolling the results list until maxAds creatives are rendered, the list
+ * stops growing, or maxScrollTime runs out
+ * @returns {object} - { rendered, complete, timedOut, scrollTimeMs }
+ */
+async function scrollForMoreAds(page, maxAds, maxScrollTime, loadMoreLabels) {
+  const startedAt = Date.now();
+  const deadline = startedAt + maxScrollTime;
+  const countCreatives = () => page.evaluate(() => document.querySelectorAll('creative-preview').length);
+
+  let count = await countCreatives();
+  let idleRounds = 0;
+
+  while (count < maxAds && idleRounds < SCROLL_IDLE_ROUNDS && Date.now() < deadline) {
+    await page.evaluate((labels) => {
+      window.scrollTo(0, document.body.scrollHeight);
+      // Some layouts end the list with a "Load more" button instead of loading on scroll
+      const more = Array.from(document.querySelectorAll('button, [role="button"]'))
+        .find(btn => labels.some(label => btn.textContent.toLowerCase().includes(label.toLowerCase())));
+      if (more) more.click();
+    }, loadMoreLabels);
+
+    const previous = count;
+    await page.waitForFunction(
+      (before) => document.querySelectorAll('creative-preview').length > before,
+      { timeout: Math.max(Math.min(5000, deadline - Date.now()), 1) },
+      previous
+    ).catch(() => {});
+
+    count = await countCreatives();
+    idleRounds = count > previous ? 0 : idleRounds + 1;
+  }
+
+  return {
+    rendered: count,
+    complete: idleRounds >= SCROLL_IDLE_ROUNDS,
+    timedOut: count < maxAds && idleRounds < SCROLL_IDLE_ROUNDS,
+    scrollTimeMs: Date.now() - startedAt
+  };
+}
+
+/**
+ * Merge SearchCreatives results into the DOM-extracted search page data.
+ * Network values win; creatives the page did not render are added.
+ */
+function mergeSearchResults(data, network, region) {
+  pickField(data, data.fieldSources, 'totalAds', network?.totalAds ?? null, data.totalAds > 0 ? data.totalAds : null);
+  data.totalAds = data.totalAds || 0;
+  if (data.fieldSources.totalAds === 'network') {
+    // The RPC count is exact, unlike the page's "About 2K"
+    data.totalAdsRange = { isApproximate: false, lower: data.totalAds, upper: data.totalAds };
+  }
+
+  const creatives = new Map((network?.creatives || []).map(c => [c.creativeId, c]));
+
+  for (const ad of data.ads) {
+    const creative = creatives.get(ad.creativeId);
+    creatives.delete(ad.creativeId);
+    ad.fieldSources = {};
+    for (const field of ['advertiserId', 'advertiserName', 'format', 'firstShown', 'lastShown']) {
+      pickField(ad, ad.fieldSources, field, creative?.[field] ?? null, ad[field] ?? null);
+    }
+  }
+
+  for (const creative of creatives.values()) {
+    const ad = {
+      index: data.ads.length,
+      creativeId: creative.creativeId,
+      position: data.ads.length + 1,
+      totalInView: null,
+      url: creative.advertiserId ? creativeUrl(creative.advertiserId, creative.creativeId, region) : null,
+      verified: false,
+      dimensions: null,
+      imageUrl: null,
+      videoUrl: null,
+      posterUrl: null,
+      adText: '',
+      fieldSources: {}
+    };
+    for (const field of ['advertiserId', 'advertiserName', 'format', 'firstShown', 'lastShown']) {
+      pickField(ad, ad.fieldSources, field, creative[field], null);
+    }
+    data.ads.push(ad);
+  }
+
+  data.adFormats = [...new Set(data.ads.map(ad => ad.format).filter(Boolean))];
+  data.hasResults = data.ads.length > 0 || data.totalAds > 0;
+}
+
+/**
+ * Ads of a publisher whose detail page should be visited
+ * @param {string|number} depth - First N per publisher, "all", or "new" (not in knownCreativeIds)
+ */
+function selectAdsForDetails(ads, depth, knownCreativeIds) {
+  const withId = ads.filter(ad => ad.creativeId);
+  if (depth === 'all') return withId;
+  if (depth === 'new') return withId.filter(ad => !knownCreativeIds.has(ad.creativeId));
+  return withId.slice(0, depth);
+}
+
+/**
+ * Visit a creative's detail page and read its first/last shown dates, format,
+ * regions and platforms (RPC payload first, page text as fallback)
+ * @returns {object} - Detail fields, with fieldSources
+ */
+async function fetchCreativeDetails(page, capture, advertiserId, creativeId, settings, recorder) {
+  capture?.clear();
+  await page.goto(creativeUrl(advertiserId, creativeId, settings.region, localeQuery(settings.locale)), {
+    waitUntil: 'networkidle2',
+    timeout: settings.timeout
+  });
+  await pause(2000, settings.signal);
+  await recordPage(recorder, page, `creative-${creativeId}`);
+
+  const text = await page.evaluate(extractPageText);
+  const adDetails = readCreativeText(text, settings.labels, settings.pack);
+
+  let networkCreative = null;
+  if (capture) {
+    await capture.settle();
+    networkCreative = parseCreativeDetails(capture.take('GetCreativeById'));
   }
+
+  const details = {};
+  const sources = {};
+  pickField(details, sources, 'firstShown', networkCreative?.firstShown ?? null, adDetails.firstShown);
+  pickField(details, sources, 'lastShown', networkCreative?.lastShown ?? null, adDetails.lastShown);
+  pickField(details, sources, 'format', networkCreative?.format ?? null, adDetails.format);
+  pickField(details, sources, 'shownInRegions', networkCreative?.shownInRegions ?? null, adDetails.shownIn);
+  pickField(details, sources, 'platforms', networkCreative?.platforms ?? null, adDetails.platforms);
+  details.fieldSources = sources;
+  return details;
+}
+
+// "network", "dom" or "network+dom" for a field summarised over several ads
+function combinedSource(ads, field) {
+  const sources = new Set(ads.map(ad => ad.fieldSources?.[field]).filter(Boolean));
+  return sources.size > 0 ? [...sources].sort().reverse().join('+') : undefined;
+}
+
+/**
+ * Publisher-level lastSeenDate, shownInRegions, platforms and formats from its ads
+ */
+function summarizePublisherAds(pub) {
+  const shown = pub.ads.filter(ad => ad.lastShown);
+  if (shown.length > 0) {
+    // Most recent "last shown" of any creative (dates that don't parse rank last)
+    const latest = shown.reduce((best, ad) => {
+      const date = toIsoDate(ad.lastShown) || '';
+      return date > best.date ? { date, ad } : best;
+    }, { date: null, ad: shown[0] }).ad;
+    pub.lastSeenDate = latest.lastShown;
+    pub.fieldSources.lastSeenDate = latest.fieldSources.lastShown;
+  }
+
+  const withRegions = pub.ads.filter(ad => ad.shownInRegions);
+  if (withRegions.length > 0) {
+    const regions = new Set(withRegions.flatMap(ad => ad.shownInRegions.split(/,\s*/)));
+    pub.shownInRegions = [...regions].join(', ');
+    pub.fieldSources.shownInRegions = combinedSource(withRegions, 'shownInRegions');
+  }
+
+  const withPlatforms = pub.ads.filter(ad => ad.platforms?.length > 0);
+  pub.platforms = [...new Set(withPlatforms.flatMap(ad => ad.platforms))];
+  if (withPlatforms.length > 0) {
+    pub.fieldSources.platforms = combinedSource(withPlatforms, 'platforms');
+  }
+
+  const formats = new Set(pub.adFormats);
+  pub.ads.forEach(ad => { if (ad.format) formats.add(ad.format); });
+  pub.adFormats = Array.from(formats);
+}
+
+/**
+ * Scan options with their defaults applied; `error` is set when the filters or locale are invalid
+ */
+function resolveScanOptions(options) {
+  const depth = options.detailDepth ?? DETAIL_DEPTH;
+  const locale = options.locale || LOCALE;
+  const forcedPack = locale === 'auto' ? null : resolvePack(locale);
+  const { filters, error } = parseFilters(options);
+  return {
+    region: options.region || 'anywhere',
+    timeout: options.timeout || 30000,
+    extraction: options.extraction || EXTRACTION_MODE,
+    maxScrollTime: parseInt(options.maxScrollTime) || MAX_SCROLL_TIME,
+    maxScanTime: parseInt(options.maxScanTime) || MAX_SCAN_TIME,
+    maxAds: options.maxAds === 'all' ? Infinity : (parseInt(options.maxAds) || MAX_ADS),
+    detailDepth: ['all', 'new'].includes(depth) ? depth : Math.max(parseInt(depth) || 0, 0),
+    knownCreativeIds: new Set(options.knownCreativeIds || []),
+    screenshots: options.screenshots || SCREENSHOT_MODE,
+    archiveAssets: options.archiveAssets === undefined ? ARCHIVE_ASSETS : ['true', '1'].includes(String(options.archiveAssets)),
+    record: options.record === undefined ? RECORD_SNAPSHOTS : ['true', '1'].includes(String(options.record)),
+    filters,
+    locale,
+    // Locale pack the page is read with; set from the page language by detectLocale() unless forced
+    pack: forcedPack,
+    labels: getLabels(forcedPack),
+    // Set once the scan starts (see scanSignal() and scan-progress.js)
+    signal: undefined,
+    progress: undefined,
+    error: error || validateLocale(locale) || undefined
+  };
+}
+
+/**
+ * Run one scan attempt as a new session with its own proxy (see proxy-pool.js) and
+ * browser profile (see fingerprints.js); both are recorded in result.session.
+ * In record mode the session's pages are saved with its result (see snapshots.js).
+ * @param {object} target - { domain } or { advertiserId }
+ */
+async function withSession(settings, target, attempt) {
+  const session = {
+    proxy: null,
+    profile: pickProfile(),
+    recorder: settings.record ? createRecorder(target.domain || target.advertiserId) : null
+  };
+  const result = await attempt(session);
+  reportProxyResult(session.proxy, result);
+  result.session = { proxy: describeProxy(session.proxy), profile: session.profile };
+  saveRecording(session.recorder, { ...target, region: settings.region, locale: settings.locale, filters: settings.filters, baseUrl: BASE_URL }, result);
   return result;
 }
 
+// Page for a scan session, going out through the session's proxy
+function acquireSessionPage(session, settings) {
+  session.proxy = pickProxy(settings.region);
+  if (session.proxy) console.log(`  Proxy: ${session.proxy.id}`);
+  return acquirePage({ proxyServer: session.proxy?.server, isolated: ROTATE_FINGERPRINTS });
+}
+
+async function preparePage(page, settings, session) {
+  const { profile, proxy } = session;
+  if (proxy?.credentials) {
+    await page.authenticate(proxy.credentials);
+  }
+
+  // Set a realistic user agent and viewport
+  await page.setUserAgent(profile.userAgent);
+  await page.setViewport(profile.viewport);
+
+  // A forced locale is requested with hl= in every URL and with Accept-Language
+  const language = acceptLanguage(settings.locale) || profile.acceptLanguage;
+  if (language) {
+    await page.setExtraHTTPHeaders({ 'Accept-Language': language });
+  }
+}
+
+/**
+ * Pick the locale pack from the page language (unless a locale was forced)
+ * @returns {object} - { pageLanguage, pack, forced } for the result
+ */
+async function detectLocale(page, settings) {
+  const pageLanguage = await page.evaluate(extractPageLanguage);
+  const forced = settings.locale !== 'auto';
+  if (!forced) {
+    settings.pack = resolvePack(pageLanguage);
+    settings.labels = getLabels(settings.pack);
+  }
+  console.log(`  Page language: ${pageLanguage || 'unknown'}, locale pack: ${settings.pack || 'all'}${forced ? ' (forced)' : ''}`);
+  return { pageLanguage, pack: settings.pack, forced };
+}
+
+/**
+ * ISO-8601 dates ("2025-10-05") next to the display dates of ads and publishers:
+ * firstShownIso, lastShownIso and lastSeenDateIso (null when a date can't be read)
+ */
+function addIsoDates(data) {
+  for (const ad of data.ads || []) {
+    ad.firstShownIso = toIsoDate(ad.firstShown);
+    ad.lastShownIso = toIsoDate(ad.lastShown);
+  }
+  for (const item of [data, ...(data.publishers || [])]) {
+    if ('lastSeenDate' in item) item.lastSeenDateIso = toIsoDate(item.lastSeenDate);
+  }
+}
+
+/**
+ * Name, location and verification from the advertiser page the browser is on
+ */
+async function readAdvertiserPage(page, settings) {
+  const { name, text } = await page.evaluate(extractAdvertiserPage);
+  return { name, ...readAdvertiserText(text, settings.labels, settings.pack) };
+}
+
+// Scroll the results list when more ads than the first screen were requested
+async function loadMoreAds(page, settings) {
+  if (!(settings.maxAds > 0)) return null;
+
+  settings.progress.stage('scroll');
+  const { maxAds, maxScrollTime } = settings;
+  console.log(`  Scrolling for up to ${maxAds === Infinity ? 'all' : maxAds} ads (max ${Math.round(maxScrollTime / 1000)}s)...`);
+  const scroll = await scrollForMoreAds(page, maxAds, maxScrollTime, settings.labels.loadMore);
+  console.log(`  ${scroll.rendered} ads rendered after ${Math.round(scroll.scrollTimeMs / 1000)}s${scroll.timedOut ? ' (time limit reached)' : ''}`);
+  return scroll;
+}
+
+// Consent and CAPTCHA pages Google shows instead of the Transparency Center
+async function checkInterstitial(page, response) {
+  const url = page.url();
+  if (response?.status() === 429) {
+    throw scanError('captcha', `Rate limited by Google (HTTP 429, ${url})`);
+  }
+  if (/consent\.google\.|\/consent\b/.test(url)) {
+    throw scanError('consent', `Consent page shown instead of the Transparency Center (${url})`);
+  }
+  if (/\/sorry\//.test(url)) {
+    throw scanError('captcha', `CAPTCHA page shown instead of the Transparency Center (${url})`);
+  }
+  const captcha = await page.evaluate(() =>
+    !!document.querySelector('iframe[src*="recaptcha"], #captcha-form') ||
+    /unusual traffic/i.test(document.body?.innerText || ''));
+  if (captcha) {
+    throw scanError('captcha', 'CAPTCHA challenge shown on the page');
+  }
+}
+
+/**
+ * Tell a page that said the domain has no ads from a page the scraper could not read
+ * @returns {string|null} - "no-results", or null when ads were found; throws selector-drift otherwise
+ */
+function classifyEmptyResults(data) {
+  if (data.ads.length > 0 || data.totalAds > 0) return null;
+  if (data.noResultsShown) return 'no-results';
+  throw scanError('selector-drift', 'No creatives, ad count or "no ads" message found on the page');
+}
+
+// Screenshot of the top of the page, clipped to SCREENSHOT_MAX_HEIGHT
+async function takeScreenshot(page, maxHeight = SCREENSHOT_MAX_HEIGHT) {
+  await page.evaluate(() => window.scrollTo(0, 0));
+  await new Promise(resolve => setTimeout(resolve, 1000));
+
+  const pageHeight = await page.evaluate(() => document.documentElement.scrollHeight);
+  // The session's profile decides the viewport
+  const viewport = page.viewport() || { width: 1920, height: 1080 };
+  return page.screenshot({
+    encoding: 'base64',
+    clip: { x: 0, y: 0, width: viewport.width, height: Math.min(pageHeight || viewport.height, maxHeight) },
+    captureBeyondViewport: true
+  });
+}
+
+/**
+ * Screenshot each ad's creative-preview element into ad.screenshot (base64 PNG).
+ * Runs on the results page before network-only creatives are merged in, so ad.index
+ * is still the element's position on the page.
+ */
+async function screenshotCreatives(page, ads) {
+  const elements = await page.$$('creative-preview');
+  let count = 0;
+  for (const ad of ads) {
+    if (count >= MAX_ELEMENT_SCREENSHOTS) {
+      console.log(`  Reached ${MAX_ELEMENT_SCREENSHOTS} creative screenshots, skipping the rest`);
+      break;
+    }
+    const element = elements[ad.index];
+    if (!element) continue;
+    try {
+      await element.scrollIntoView();
+      ad.screenshot = await element.screenshot({ encoding: 'base64' });
+      count++;
+    } catch (err) {
+      console.error(`Error taking screenshot of ${ad.creativeId}:`, err.message);
+    }
+  }
+  console.log(`  Captured ${count} creative screenshot(s)`);
+}
+
+// Prefer the structured RPC payloads over the text regexes
+async function applySearchResults(data, capture, settings) {
+  data.extraction = settings.extraction;
+  data.fieldSources = {};
+  let searchResults = null;
+  if (capture) {
+    await capture.settle();
+    searchResults = parseSearchResults(capture.take('SearchCreatives'));
+    console.log(searchResults
+      ? `  RPC: ${searchResults.creatives.length} creatives, total ${searchResults.totalAds ?? 'unknown'}`
+      : '  RPC: no SearchCreatives responses captured, using page text');
+  }
+  mergeSearchResults(data, searchResults, settings.region);
+}
+
+// Cap the ad list at maxAds and describe how complete it is
+function limitInventory(data, maxAds, scroll) {
+  if (maxAds > 0 && data.ads.length > maxAds) {
+    data.ads = data.ads.slice(0, maxAds);
+  }
+  data.inventory = {
+    maxAds: maxAds === Infinity ? 'all' : maxAds,
+    collected: data.ads.length,
+    totalAds: data.totalAds,
+    // Either every ad is in the list or scrolling stopped loading new ones
+    complete: (data.totalAds > 0 && data.ads.length >= data.totalAds) || !!scroll?.complete,
+    scrolled: !!scroll,
+    timedOut: !!scroll?.timedOut,
+    scrollTimeMs: scroll?.scrollTimeMs || 0
+  };
+}
+
+/**
+ * Visit the detail pages of an advertiser's creatives selected by detailDepth
+ * @param {object} budget - { remaining } detail pages left for this scan
+ * @param {object} publisher - { publisherIndex, publisherCount, publisherId } for the progress events
+ */
+async function fetchDetailsForAds(page, capture, advertiserId, ads, settings, budget, recorder, publisher) {
+  const selected = selectAdsForDetails(ads, settings.detailDepth, settings.knownCreativeIds);
+  for (const [index, ad] of selected.entries()) {
+    settings.signal?.throwIfAborted();
+    if (budget.remaining <= 0) {
+      console.log(`  Reached ${MAX_DETAIL_PAGES} creative detail pages, skipping the rest`);
+      break;
+    }
+    budget.remaining--;
+    settings.progress.stage('creative-page', { ...publisher, creativeIndex: index + 1, creativeCount: selected.length, creativeId: ad.creativeId });
+
+    try {
+      console.log(`Fetching ad details for: ${ad.creativeId} (publisher: ${advertiserId})`);
+      const { fieldSources, ...details } = await fetchCreativeDetails(page, capture, advertiserId, ad.creativeId, settings, recorder);
+      for (const [field, value] of Object.entries(details)) {
+        if (value === null) continue;
+        ad[field] = value;
+        ad.fieldSources[field] = fieldSources[field];
+      }
+      ad.detailsFetched = true;
+      if (settings.screenshots === 'elements') {
+        ad.detailScreenshot = await takeScreenshot(page, 1080);
+      }
+    } catch (err) {
+      if (settings.signal?.aborted) throw err;
+      console.error(`Error fetching creative details for ${ad.creativeId}:`, err.message);
+    }
+  }
+}
+
+// Landing domain shown in an ad's text ("Sponsored · example.com"); Google's own hosts are skipped
+function adDomain(ad) {
+  const matches = (ad.adText || '').toLowerCase().match(/\b(?:[a-z0-9-]+\.)+[a-z]{2,}\b/g) || [];
+  const domain = matches
+    .map(m => m.replace(/^www\./, ''))
+    .find(m => !/(^|\.)(google[a-z]*|gstatic|doubleclick|youtube)\.[a-z.]+$/.test(m));
+  return domain || null;
+}
+
+// [{ domain, ads }] ordered by ad count
+function groupByDomain(ads) {
+  const counts = {};
+  for (const ad of ads) {
+    if (ad.domain) counts[ad.domain] = (counts[ad.domain] || 0) + 1;
+  }
+  return Object.entries(counts)
+    .map(([domain, count]) => ({ domain, ads: count }))
+    .sort((a, b) => b.ads - a.ads);
+}
+
 /**
  * Scrape Google Ads Transparency Center for a given domain
+ * Failed attempts are retried according to their error class (see scan-errors.js).
+ * options.signal (an AbortSignal) and options.maxScanTime stop the scan: its page is
+ * closed and the result has errorClass "cancelled".
+ * options.onProgress receives an event as each stage starts and ends (see scan-progress.js);
+ * the summed stage durations are returned as result.timings.
  * @param {string} domain - The domain to search for
  * @param {object} options - Optional settings
- * @returns {object} - Scraped ad data
+ * @returns {object} - Scraped ad data, with errorClass and attempts
  */
 async function scrapeAdTransparency(domain, options = {}) {
-  const { region = 'anywhere', timeout = 30000 } = options;
+  const settings = resolveScanOptions(options);
+  if (settings.error) {
+    return { success: false, error: settings.error, errorClass: 'invalid-options', attempts: 0, domain: domain };
+  }
+  settings.signal = scanSignal(options.signal, settings.maxScanTime);
+  if (settings.signal?.aborted) {
+    return { ...cancelledResult(settings.signal, { domain }), attempts: 0 };
+  }
+  settings.progress = createProgress(options.onProgress, { domain });
+  const result = await withRetries(number => {
+    settings.progress.attempt = number;
+    return withSession(settings, { domain }, session => scrapeDomainOnce(domain, settings, session));
+  }, domain, settings.signal);
+  result.timings = settings.progress.timings;
+  return result;
+}
 
-  const url = `https://adstransparency.google.com/?region=${region}&domain=${encodeURIComponent(domain)}`;
+async function scrapeDomainOnce(domain, settings, session) {
+  const { region, timeout, filters } = settings;
+  const url = searchUrl(domain, region, filterQuery(filters) + localeQuery(settings.locale));
 
-  let browser;
+  let page;
+  let capture = null;
+  let stopWatching = null;
   try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-
-    const page = await browser.newPage();
-
-    // Set a realistic user agent
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-    // Set viewport
-    await page.setViewport({ width: 1920, height: 1080 });
+    // Pages come from the shared browser pool (see browser-pool.js)
+    settings.progress.stage('open-page');
+    page = await acquireSessionPage(session, settings);
+    stopWatching = closeOnAbort(page, settings.signal);
+    if (settings.extraction === 'network') {
+      capture = captureRpcResponses(page);
+    }
+    await preparePage(page, settings, session);
 
     console.log(`Navigating to: ${url}`);
-    await page.goto(url, {
+    settings.progress.stage('navigate');
+    const response = await page.goto(url, {
       waitUntil: 'networkidle2',
       timeout: timeout
     });
+    await checkInterstitial(page, response);
 
     // Wait for content to load - the page uses dynamic rendering
+    settings.progress.stage('wait-results');
     // Wait for either results or "no results" message
-    await page.waitForFunction(() => {
+    await page.waitForFunction((noResultsLabels) => {
       // Check if ads are loaded or no results message appears
       const ads = document.querySelectorAll('creative-preview');
-      const noResults = document.body.innerText.includes('No ads match');
+      const noResults = noResultsLabels.some(label => document.body.innerText.includes(label));
       const advertiserInfo = document.querySelector('[data-advertiser-name]');
       return ads.length > 0 || noResults || advertiserInfo;
-    }, { timeout: timeout }).catch(() => {
+    }, { timeout: timeout }, settings.labels.noResults).catch(() => {
       console.log('Timeout waiting for specific elements, proceeding with available content');
     });
+    const locale = await detectLocale(page, settings);
 
     // Additional wait to ensure dynamic content loads
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    await pause(3000, settings.signal);
 
     // Click "See all ads" link to load more ads for screenshot
+    settings.progress.stage('see-all');
     console.log('Looking for "See all ads" link...');
-    const seeAllClicked = await page.evaluate(() => {
+    const seeAllClicked = await page.evaluate((labels) => {
+      const matches = (el) => labels.some(label => el.textContent.trim().toLowerCase().includes(label.toLowerCase()));
       const links = Array.from(document.querySelectorAll('a'));
       for (const link of links) {
-        const text = link.textContent.trim().toLowerCase();
-        if (text.includes('see all ads') || text.includes('ראו את כל המודעות') ||
-            text.includes('see all') || text.includes('כל המודעות')) {
+        if (matches(link)) {
           link.click();
           return { clicked: true, text: link.textContent.trim() };
         }
       }
       const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
       for (const btn of buttons) {
-        const text = btn.textContent.trim().toLowerCase();
-        if (text.includes('see all') || text.includes('כל המודעות')) {
+        if (matches(btn)) {
           btn.click();
           return { clicked: true, text: btn.textContent.trim() };
         }
       }
       return { clicked: false };
-    });
+    }, settings.labels.seeAll);
 
     if (seeAllClicked.clicked) {
       console.log(`  Clicked: "${seeAllClicked.text}"`);
-      await new Promise(resolve => setTimeout(resolve, 5000));
+      await pause(5000, settings.signal);
       await page.waitForFunction(() => {
         const ads = document.querySelectorAll('creative-preview');
         return ads.length > 10;
       }, { timeout: 15000 }).catch(() => {
         console.log('  Timeout waiting for more ads after "See all ads"...');
       });
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      await pause(2000, settings.signal);
     } else {
       console.log('  "See all ads" link not found, staying on current page');
     }
 
-    // Extract data from the page
-    const data = await page.evaluate((searchDomain, searchRegion) => {
-      const result = {
-        domain: searchDomain,
-        region: searchRegion,
-        scrapedAt: new Date().toISOString(),
-        advertiser: null,
-        totalAds: 0,
-        totalAdsText: '',
-        ads: [],
-        adFormats: [],
-        lastSeenDate: null,
-        rawText: '',
-        hasResults: false
-      };
-
-      // Get the full page text for debugging/analysis
-      result.rawText = document.body.innerText;
-
-      // Check for "no ads" message
-      if (result.rawText.includes('No ads match') ||
-          result.rawText.includes('No results') ||
-          result.rawText.includes('אין מודעות')) {
-        result.hasResults = false;
-        return result;
-      }
-
-      // Extract ad count - handles formats like "2K ads", "בערך 2K מודעות", "About 2K ads"
-      // Note: Hebrew text may have RTL Unicode markers (U+200F)
-      const cleanText = result.rawText.replace(/[\u200F\u200E]/g, ''); // Remove RTL/LTR marks
-
-      const adCountPatterns = [
-        /(\d+(?:\.\d+)?)\s*K\s*(?:ads?|מודעות)/i,  // "2K ads" or "2K מודעות"
-        /(?:about|בערך|approximately)\s*(\d+(?:\.\d+)?)\s*K/i,  // "About 2K"
-        /(\d+(?:,\d+)?)\s*(?:ads?|מודעות)/i  // "2000 ads"
-      ];
-
-      for (const pattern of adCountPatterns) {
-        const match = cleanText.match(pattern);
-        if (match) {
-          let count = match[1].replace(/,/g, '');
-          // Check if this was a K (thousands) match
-          if (pattern.source.includes('K')) {
-            count = parseFloat(count) * 1000;
-          }
-          result.totalAds = Math.round(parseFloat(count));
-          result.totalAdsText = match[0].trim();
-          break;
-        }
-      }
-
-      // Extract advertiser info from creative-preview elements
-      const creativeElements = document.querySelectorAll('creative-preview');
-      if (creativeElements.length > 0) {
-        const firstCreative = creativeElements[0];
-        const link = firstCreative.querySelector('a[href*="/advertiser/"]');
-        if (link) {
-          const href = link.getAttribute('href');
-          const advertiserMatch = href.match(/\/advertiser\/(AR\d+)/);
-
-          result.advertiser = {
-            id: advertiserMatch ? advertiserMatch[1] : null,
-            name: null,
-            verified: false,
-            location: null
-          };
-
-          // Get advertiser name from the creative preview text
-          const nameEl = firstCreative.querySelector('.advertiser-name, [class*="advertiser"]');
-          if (nameEl) {
-            result.advertiser.name = nameEl.textContent.trim();
-          }
-        }
-      }
-
-      // Also look for advertiser name in the page text
-      const advertiserNameMatch = cleanText.match(/\n([A-Za-z0-9][A-Za-z0-9\s]+(?:LTD|LLC|Inc|Corp|Ltd)\.?)\s*\n\s*(?:מאומת|Verified)/i);
-      if (advertiserNameMatch) {
-        if (!result.advertiser) {
-          result.advertiser = { id: null, name: null, verified: false, location: null };
-        }
-        result.advertiser.name = advertiserNameMatch[1].trim();
-        result.advertiser.verified = true;
-      }
-
-      // Extract ad creative details
-      const adElements = document.querySelectorAll('creative-preview');
-      result.ads = Array.from(adElements).map((el, index) => {
-        const link = el.querySelector('a[href*="/creative/"]');
-        const href = link ? link.getAttribute('href') : '';
-        const creativeMatch = href.match(/\/creative\/(CR\d+)/);
-        const advertiserIdMatch = href.match(/\/advertiser\/(AR\d+)/);
-        const ariaLabel = link ? link.getAttribute('aria-label') : '';
-
-        // Parse "מודעה (1 מתוך 80)" or "Ad (1 of 80)"
-        const positionMatch = ariaLabel.match(/(\d+)\s*(?:מתוך|of)\s*(\d+)/);
-
-        // Extract advertiser name from the ad card using CSS selector
-        const advertiserEl = el.querySelector('.advertiser-name');
-        const advertiserName = advertiserEl ? advertiserEl.textContent.trim() : null;
-        const isVerified = el.querySelector('.verified') !== null ||
-                           el.querySelector('.advertiser-name-verified') !== null;
-
-        // Get the ad image URL
-        const imgEl = el.querySelector('img[src*="googlesyndication"], img[src*="googleusercontent"]');
-        const imageUrl = imgEl ? imgEl.src : null;
-
-        // Get video URL if present
-        const videoEl = el.querySelector('video');
-        let videoUrl = null;
-        if (videoEl) {
-          videoUrl = videoEl.src || videoEl.querySelector('source')?.src || null;
-        }
-
-        // Detect ad format for this specific ad
-        const hasVideo = videoEl !== null;
-        const hasImage = imgEl !== null;
-        let adFormat = 'Text';
-        if (hasVideo) adFormat = 'Video';
-        else if (hasImage) adFormat = 'Image';
-
-        // Try to get ad dimensions
-        const adWidth = imgEl ? imgEl.naturalWidth || imgEl.width : null;
-        const adHeight = imgEl ? imgEl.naturalHeight || imgEl.height : null;
-
-        const fullText = el.innerText.trim();
-
-        return {
-          index: index,
-          creativeId: creativeMatch ? creativeMatch[1] : null,
-          advertiserId: advertiserIdMatch ? advertiserIdMatch[1] : null,
-          position: positionMatch ? parseInt(positionMatch[1]) : index + 1,
-          totalInView: positionMatch ? parseInt(positionMatch[2]) : null,
-          url: href ? `https://adstransparency.google.com${href}` : null,
-          advertiserName: advertiserName,
-          verified: isVerified,
-          format: adFormat,
-          dimensions: (adWidth && adHeight) ? { width: adWidth, height: adHeight } : null,
-          imageUrl: imageUrl,
-          videoUrl: videoUrl,
-          adText: fullText.substring(0, 500)
-        };
-      });
-
-      // Collect detected formats from ads
-      const formats = new Set();
-      result.ads.forEach(ad => {
-        if (ad.format) formats.add(ad.format);
-      });
-      result.adFormats = Array.from(formats);
-
-      // Update total if we found it in aria-label
-      if (result.ads.length > 0 && result.ads[0].totalInView) {
-        result.totalAdsInView = result.ads[0].totalInView;
-      }
-
-      // Look for any image sources that might be ad creatives
-      const images = document.querySelectorAll('img[src*="googleusercontent"], img[src*="creative"]');
-      result.adImages = Array.from(images).map(img => ({
-        src: img.src,
-        alt: img.alt
-      })).filter(img => img.src);
-
-      result.hasResults = result.ads.length > 0 || result.totalAds > 0;
-
-      return result;
-    }, domain, region);
+    // Load the rest of the inventory
+    const scroll = await loadMoreAds(page, settings);
 
-    // Take full-page screenshot before navigating to detail pages
-    await page.evaluate(() => window.scrollTo(0, 0));
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    // Extract data from the page
+    settings.progress.stage('extract');
+    await recordPage(session.recorder, page, 'search');
+    const data = await page.evaluate(extractResultsPage, domain, region, settings.labels, BASE_URL);
+    applyAdCount(data, settings.pack);
+    data.locale = locale;
+
+    data.ads = dedupeAds(data.ads);
+
+    // Take a screenshot of the top of the page before navigating to detail pages
+    settings.progress.stage('screenshot');
+    data.screenshot = await takeScreenshot(page);
+    if (settings.screenshots === 'elements') {
+      await screenshotCreatives(page, data.ads);
+    }
 
-    const screenshot = await page.screenshot({
-      encoding: 'base64',
-      fullPage: true
-    });
-    data.screenshot = screenshot;
+    settings.progress.stage('rpc-results');
+    await applySearchResults(data, capture, settings);
+    limitInventory(data, settings.maxAds, scroll);
+    data.filters = filters;
+    const resultClass = classifyEmptyResults(data);
 
     // Group ads by unique advertiser ID to find all publishers for this domain
     const publishersMap = {};
@@ -362,7 +674,8 @@ async function scrapeAdTransparency(domain, options = {}) {
           ads: [],
           lastSeenDate: null,
           adFormats: [],
-          shownInRegions: null
+          shownInRegions: null,
+          fieldSources: { name: ad.fieldSources.advertiserName, verified: 'dom' }
         };
       }
       publishersMap[pubId].ads.push(ad);
@@ -380,113 +693,53 @@ async function scrapeAdTransparency(domain, options = {}) {
         ads: data.ads,
         lastSeenDate: null,
         adFormats: [],
-        shownInRegions: null
+        shownInRegions: null,
+        fieldSources: { name: 'dom', verified: 'dom' }
       });
     }
 
     console.log(`Found ${publishers.length} unique publisher(s) for ${domain}`);
 
-    // For each unique publisher, fetch advertiser details and one creative's details
-    for (const pub of publishers) {
+    // For each unique publisher, fetch advertiser details and creative details
+    const detailBudget = { remaining: MAX_DETAIL_PAGES };
+    for (const [index, pub] of publishers.entries()) {
+      settings.signal?.throwIfAborted();
+      const position = { publisherIndex: index + 1, publisherCount: publishers.length, publisherId: pub.id };
       // Fetch advertiser detail page
+      settings.progress.stage('advertiser-page', position);
       try {
         console.log(`Fetching advertiser details for: ${pub.id} (${pub.name || 'unknown'})`);
-        const advertiserUrl = `https://adstransparency.google.com/advertiser/${pub.id}?region=${region}`;
-
-        await page.goto(advertiserUrl, {
+        capture?.clear();
+        await page.goto(advertiserUrl(pub.id, region, localeQuery(settings.locale)), {
           waitUntil: 'networkidle2',
           timeout: timeout
         });
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        const advertiserDetails = await page.evaluate(() => {
-          const text = document.body.innerText;
-          const cleanText = text.replace(/[\u200F\u200E]/g, '');
-
-          const details = {
-            location: null,
-            verified: false
-          };
-
-          const countryMatch = cleanText.match(/(?:מדינה|Country)[:\s]+([^\n]+)/i);
-          if (countryMatch) {
-            details.location = countryMatch[1].trim();
-          }
+        await pause(2000, settings.signal);
+        await recordPage(session.recorder, page, `advertiser-${pub.id}`);
 
-          if (cleanText.includes('המפרסם אימת את הזהות') ||
-              cleanText.includes('verified') ||
-              cleanText.includes('מאומת')) {
-            details.verified = true;
-          }
+        const advertiserDetails = await readAdvertiserPage(page, settings);
 
-          return details;
-        });
+        let networkAdvertiser = null;
+        if (capture) {
+          await capture.settle();
+          networkAdvertiser = parseAdvertiser(capture.take('GetAdvertiserById'));
+        }
 
-        if (advertiserDetails.location) pub.location = translateToEnglish(advertiserDetails.location);
+        pickField(pub, pub.fieldSources, 'name', networkAdvertiser?.name ?? null, pub.name);
+        pickField(pub, pub.fieldSources, 'location', networkAdvertiser?.location ?? null, advertiserDetails.location);
         if (advertiserDetails.verified) pub.verified = true;
+        if (settings.screenshots === 'elements') {
+          pub.screenshot = await takeScreenshot(page, 1080);
+        }
       } catch (err) {
+        if (settings.signal?.aborted) throw err;
         console.error(`Error fetching advertiser details for ${pub.id}:`, err.message);
       }
 
-      // Fetch creative detail page for the first ad of this publisher
-      const firstAd = pub.ads.find(a => a.creativeId);
-      if (firstAd) {
-        try {
-          console.log(`Fetching ad details for: ${firstAd.creativeId} (publisher: ${pub.id})`);
-          const creativeUrl = `https://adstransparency.google.com/advertiser/${pub.id}/creative/${firstAd.creativeId}?region=${region}`;
-
-          await page.goto(creativeUrl, {
-            waitUntil: 'networkidle2',
-            timeout: timeout
-          });
-          await new Promise(resolve => setTimeout(resolve, 2000));
-
-          const adDetails = await page.evaluate(() => {
-            const text = document.body.innerText;
-            const cleanText = text.replace(/[\u200F\u200E]/g, '');
-
-            const details = {
-              lastSeenDate: null,
-              format: null,
-              shownIn: null
-            };
-
-            const lastShownMatch = cleanText.match(/(?:הוצגה בפעם האחרונה|Last shown)[:\s]+([^\n]+)/i);
-            if (lastShownMatch) {
-              details.lastSeenDate = lastShownMatch[1].trim();
-            }
-
-            const formatMatch = cleanText.match(/(?:פורמט|Format)[:\s]+([^\n]+)/i);
-            if (formatMatch) {
-              let format = formatMatch[1].trim();
-              if (format === 'תמונה') format = 'Image';
-              else if (format === 'טקסט') format = 'Text';
-              else if (format === 'סרטון' || format === 'וידאו') format = 'Video';
-              details.format = format;
-            }
-
-            const shownInMatch = cleanText.match(/(?:הופיעו ב|Shown in)[:\s]+([^\n]+)/i);
-            if (shownInMatch) {
-              details.shownIn = shownInMatch[1].trim();
-            }
-
-            return details;
-          });
-
-          if (adDetails.lastSeenDate) pub.lastSeenDate = translateToEnglish(adDetails.lastSeenDate);
-          if (adDetails.format && !pub.adFormats.includes(adDetails.format)) {
-            pub.adFormats.push(adDetails.format);
-          }
-          if (adDetails.shownIn) pub.shownInRegions = translateToEnglish(adDetails.shownIn);
-        } catch (err) {
-          console.error(`Error fetching creative details for ${firstAd.creativeId}:`, err.message);
-        }
-      }
+      // Fetch creative detail pages (first N of this publisher, all, or only new creatives)
+      await fetchDetailsForAds(page, capture, pub.id, pub.ads, settings, detailBudget, session.recorder, position);
 
-      // Collect formats from this publisher's ads
-      const formats = new Set(pub.adFormats);
-      pub.ads.forEach(ad => { if (ad.format) formats.add(ad.format); });
-      pub.adFormats = Array.from(formats);
+      summarizePublisherAds(pub);
     }
 
     // Store publishers array in data
@@ -507,24 +760,205 @@ async function scrapeAdTransparency(domain, options = {}) {
       publishers.forEach(p => p.adFormats.forEach(f => allFormats.add(f)));
       data.adFormats = Array.from(allFormats);
     }
+    addIsoDates(data);
+
+    if (settings.archiveAssets) {
+      settings.progress.stage('archive-assets');
+      await archiveAdAssets(page, data.ads, { signal: settings.signal, proxy: session.proxy });
+    }
 
     return {
       success: true,
+      errorClass: resultClass,
       data: data
     };
 
   } catch (error) {
+    if (settings.signal?.aborted) {
+      // Whatever failed on the closed page, the scan was stopped
+      console.log(`Scan of ${domain} stopped: ${error.message}`);
+      return cancelledResult(settings.signal, { domain });
+    }
     console.error('Scraping error:', error.message);
+    // The page the scan failed on (e.g. a CAPTCHA or a changed layout)
+    if (page) await recordPage(session.recorder, page, 'error');
     return {
       success: false,
       error: error.message,
+      errorClass: classifyError(error),
       domain: domain
     };
   } finally {
-    if (browser) {
-      await browser.close();
+    settings.progress.end();
+    stopWatching?.();
+    capture?.detach();
+    if (page) {
+      await releasePage(page);
+    }
+  }
+}
+
+/**
+ * Scrape the Transparency Center page of one advertiser
+ * @param {string} advertiserId - Advertiser ID (AR...)
+ * @param {object} options - Same options as scrapeAdTransparency
+ * @returns {object} - { success, data } with the advertiser, its ads and the domains they point to
+ */
+async function scrapeAdvertiser(advertiserId, options = {}) {
+  const settings = resolveScanOptions(options);
+  if (settings.error) {
+    return { success: false, error: settings.error, errorClass: 'invalid-options', attempts: 0, advertiserId: advertiserId };
+  }
+  settings.signal = scanSignal(options.signal, settings.maxScanTime);
+  if (settings.signal?.aborted) {
+    return { ...cancelledResult(settings.signal, { advertiserId }), attempts: 0 };
+  }
+  settings.progress = createProgress(options.onProgress, { advertiserId });
+  const result = await withRetries(number => {
+    settings.progress.attempt = number;
+    return withSession(settings, { advertiserId }, session => scrapeAdvertiserOnce(advertiserId, settings, session));
+  }, advertiserId, settings.signal);
+  result.timings = settings.progress.timings;
+  return result;
+}
+
+async function scrapeAdvertiserOnce(advertiserId, settings, session) {
+  const { region, timeout, filters } = settings;
+
+  const url = advertiserUrl(advertiserId, region, filterQuery(filters) + localeQuery(settings.locale));
+
+  let page;
+  let capture = null;
+  let stopWatching = null;
+  try {
+    settings.progress.stage('open-page');
+    page = await acquireSessionPage(session, settings);
+    stopWatching = closeOnAbort(page, settings.signal);
+    if (settings.extraction === 'network') {
+      capture = captureRpcResponses(page);
+    }
+    await preparePage(page, settings, session);
+
+    console.log(`Navigating to: ${url}`);
+    settings.progress.stage('navigate');
+    const response = await page.goto(url, {
+      waitUntil: 'networkidle2',
+      timeout: timeout
+    });
+    await checkInterstitial(page, response);
+
+    settings.progress.stage('wait-results');
+    await page.waitForFunction((noResultsLabels) => {
+      const ads = document.querySelectorAll('creative-preview');
+      const noResults = noResultsLabels.some(label => document.body.innerText.includes(label));
+      return ads.length > 0 || noResults;
+    }, { timeout: timeout }, settings.labels.noResults).catch(() => {
+      console.log('Timeout waiting for specific elements, proceeding with available content');
+    });
+    const locale = await detectLocale(page, settings);
+
+    await pause(3000, settings.signal);
+
+    const scroll = await loadMoreAds(page, settings);
+
+    settings.progress.stage('extract');
+    await recordPage(session.recorder, page, `advertiser-${advertiserId}`);
+    const data = await page.evaluate(extractResultsPage, null, region, settings.labels, BASE_URL);
+    applyAdCount(data, settings.pack);
+    const advertiserDetails = await readAdvertiserPage(page, settings);
+
+    data.ads = dedupeAds(data.ads);
+    settings.progress.stage('screenshot');
+    data.screenshot = await takeScreenshot(page);
+    if (settings.screenshots === 'elements') {
+      await screenshotCreatives(page, data.ads);
+    }
+
+    settings.progress.stage('rpc-results');
+    await applySearchResults(data, capture, settings);
+    limitInventory(data, settings.maxAds, scroll);
+    const resultClass = classifyEmptyResults(data);
+
+    let networkAdvertiser = null;
+    if (capture) {
+      networkAdvertiser = parseAdvertiser(capture.take('GetAdvertiserById'));
+    }
+
+    const advertiser = {
+      id: advertiserId,
+      name: null,
+      verified: advertiserDetails.verified || data.ads.some(ad => ad.verified),
+      location: null,
+      fieldSources: { verified: 'dom' }
+    };
+    const domName = advertiserDetails.name || data.ads.find(ad => ad.advertiserName)?.advertiserName || null;
+    pickField(advertiser, advertiser.fieldSources, 'name', networkAdvertiser?.name ?? null, domName);
+    pickField(advertiser, advertiser.fieldSources, 'location', networkAdvertiser?.location ?? null, advertiserDetails.location);
+
+    for (const ad of data.ads) {
+      if (!ad.advertiserId) ad.advertiserId = advertiserId;
+      if (!ad.advertiserName) ad.advertiserName = advertiser.name;
+      ad.domain = adDomain(ad);
+    }
+
+    const position = { publisherIndex: 1, publisherCount: 1, publisherId: advertiserId };
+    await fetchDetailsForAds(page, capture, advertiserId, data.ads, settings, { remaining: MAX_DETAIL_PAGES }, session.recorder, position);
+
+    const formats = new Set(data.adFormats);
+    data.ads.forEach(ad => { if (ad.format) formats.add(ad.format); });
+    addIsoDates({ ads: data.ads });
+
+    if (settings.archiveAssets) {
+      settings.progress.stage('archive-assets');
+      await archiveAdAssets(page, data.ads, { signal: settings.signal, proxy: session.proxy });
+    }
+
+    return {
+      success: true,
+      errorClass: resultClass,
+      data: {
+        advertiserId,
+        region,
+        filters,
+        locale,
+        scrapedAt: data.scrapedAt,
+        advertiser,
+        hasResults: data.hasResults,
+        totalAds: data.totalAds,
+        totalAdsText: data.totalAdsText,
+        totalAdsRange: data.totalAdsRange,
+        domains: groupByDomain(data.ads),
+        ads: data.ads,
+        adFormats: Array.from(formats),
+        inventory: data.inventory,
+        extraction: data.extraction,
+        fieldSources: data.fieldSources,
+        screenshot: data.screenshot
+      }
+    };
+
+  } catch (error) {
+    if (settings.signal?.aborted) {
+      console.log(`Scan of ${advertiserId} stopped: ${error.message}`);
+      return cancelledResult(settings.signal, { advertiserId });
+    }
+    console.error('Scraping error:', error.message);
+    // The page the scan failed on (e.g. a CAPTCHA or a changed layout)
+    if (page) await recordPage(session.recorder, page, 'error');
+    return {
+      success: false,
+      error: error.message,
+      errorClass: classifyError(error),
+      advertiserId: advertiserId
+    };
+  } finally {
+    settings.progress.end();
+    stopWatching?.();
+    capture?.detach();
+    if (page) {
+      await releasePage(page);
     }
   }
 }
 
-module.exports = { scrapeAdTransparency };
+module.exports = { scrapeAdTransparency, scrapeAdvertiser };
@@ -0,0 +1,63 @@
+/**
+ * Scan screenshots
+ * The results page screenshot of each scan is kept as data/screenshots/<scanId>.png, so
+ * API responses can link to it (GET /scans/:id/screenshot) instead of inlining it as
+ * base64. Only the newest SCREENSHOT_KEEP screenshots are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolvePath, listFiles } = require('./store');
+
+const SCREENSHOTS_DIR = 'screenshots';
+const SCREENSHOT_KEEP = parseInt(process.env.SCREENSHOT_KEEP) || 500;
+const SCAN_ID_PATTERN = /^[a-z0-9]+-[a-f0-9]{6}$/;
+
+function screenshotFile(scanId) {
+  return resolvePath(`${SCREENSHOTS_DIR}/${scanId}.png`);
+}
+
+function isValidScanId(scanId) {
+  return SCAN_ID_PATTERN.test(scanId || '');
+}
+
+// Scan IDs start with their time in base 36, so file names sort oldest first
+function pruneScreenshots() {
+  const files = listFiles(SCREENSHOTS_DIR, '.png').sort();
+  for (const name of files.slice(0, Math.max(files.length - SCREENSHOT_KEEP, 0))) {
+    fs.unlinkSync(resolvePath(name));
+  }
+}
+
+/**
+ * Save a scan's screenshot
+ * @param {string} base64 - PNG as returned by the scraper
+ * @returns {boolean} - false when it could not be written
+ */
+function saveScreenshot(scanId, base64) {
+  try {
+    const filePath = screenshotFile(scanId);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, Buffer.from(base64, 'base64'));
+    pruneScreenshots();
+    return true;
+  } catch (error) {
+    console.error(`[Screenshots] Could not save screenshot of scan ${scanId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * File of a scan's screenshot, or null when there is none (or it was pruned)
+ */
+function getScreenshotPath(scanId) {
+  if (!isValidScanId(scanId)) return null;
+  const filePath = screenshotFile(scanId);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = {
+  isValidScanId,
+  saveScreenshot,
+  getScreenshotPath
+};
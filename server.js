@@ -5,25 +5,46 @@
 
 const express = require('express');
 const path = require('path');
-const { scrapeAdTransparency } = require('./scraper');
+const EventEmitter = require('events');
+const { scrapeAdTransparency, scrapeAdvertiser } = require('./scraper');
+const { mapConcurrent, getPoolStatus, closePool } = require('./browser-pool');
+const { readJson, removeJson } = require('./store');
+const {
+  recordScan, getDomainHistory, getAdvertiserHistory, listHistoryDomains, getLatestScan, getKnownCreativeIds,
+  validateTimeRange, isAdvertiserId
+} = require('./history-store');
+const { CHANGE_TYPES, diffScans, recordChanges, getChanges } = require('./change-detector');
+const {
+  getRules, getRule, createRule, updateRule, deleteRule, processScanAlerts, sendTestAlert, getSentAlerts
+} = require('./alerts');
+const {
+  parseSchedule, getNextRunTime, listSchedules, getSchedule, createSchedule, updateSchedule, deleteSchedule
+} = require('./schedules');
+const {
+  createJob, getJob, saveJob, listJobs, findUnfinishedJob, claimItems, completeItem, failItem, releaseItem, finishJob,
+  cancelJob, getJobProgress, recordStageTiming, getJobRows, getJobSweeps
+} = require('./job-queue');
+const { parseFilters, filterQuery, describeFilters } = require('./scan-filters');
+const { validateLocale, stripVerifiedLabels } = require('./locale-packs');
+const { isValidHash, getAsset, findSimilarAssets } = require('./asset-store');
+const { isValidScanId, saveScreenshot, getScreenshotPath } = require('./screenshot-store');
+const { parseProjection, projectScanResult } = require('./scan-response');
+const { classifyError, isRetryable } = require('./scan-errors');
+const { isBlockingClass, recordScanOutcome, getBreakerStatus, waitWhileBlocked, resetBreaker } = require('./circuit-breaker');
+const { checkProxies, startProxyHealthChecks, getProxyStatus } = require('./proxy-pool');
+const { BASE_URL, searchUrl } = require('./transparency-urls');
+const { DEFAULT_REGIONS, parseRegions, validateRegions, sweepDomain, toRegionRows } = require('./region-sweep');
 const { getAuthUrl, handleAuthCallback, isAuthenticated, uploadToDrive } = require('./drive-uploader');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Auto-run scheduler state
-let autoRunState = {
-  enabled: false,
-  intervalMinutes: 1,
-  isRunning: false,
-  lastRunTime: null,
-  nextRunTime: null,
-  lastResults: null,
-  scheduledTask: null,
-  appsScriptUrl: null,
-  domains: [],
-  batchSize: 5
-};
+// Live state of each schedule (id -> { timer, isRunning, currentJobId, nextRunTime })
+const scheduleRuntime = new Map();
+
+// Schedule managed by the legacy /auto-run endpoints, and its pre-schedules config file
+const AUTO_RUN_SCHEDULE_ID = 'auto-run';
+const LEGACY_AUTO_RUN_FILE = 'auto-run.json';
 
 // Format date in Israeli timezone with timezone indicator (same as frontend)
 function formatIsraeliDate(date) {
@@ -48,14 +69,20 @@ function formatIsraeliDate(date) {
 }
 
 // Middleware
-app.use(express.json({ limit: '50mb' }));
-
-// Serve static files (HTML, screenshots, JSON results)
-app.use(express.static(path.join(__dirname)));
+// Request bodies are domain lists and settings; only screenshot uploads carry a base64 image
+// (a page screenshot is clipped to SCREENSHOT_MAX_HEIGHT)
+app.use('/upload-screenshot', express.json({ limit: process.env.SCREENSHOT_BODY_LIMIT || '20mb' }));
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '1mb' }));
+
+// Serve the UI only: the repo root also holds DATA_DIR (jobs, alert rules, history) and Drive credentials
+const INDEX_FILE = path.join(__dirname, 'index.html');
+app.get(['/', '/index.html'], (req, res) => {
+  res.sendFile(INDEX_FILE);
+});
 
 // Health check
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  res.json({ status: 'ok', timestamp: new Date().toISOString(), site: BASE_URL, pool: getPoolStatus(), breaker: getBreakerStatus(), proxies: getProxyStatus() });
 });
 
 /**
@@ -221,9 +248,84 @@ app.post('/proxy', async (req, res) => {
   }
 });
 
+// Scraper options that can be passed through /scrape, /scrape-batch, /jobs and schedules.
+// Record mode (SCRAPE_RECORD) is left out: it writes page snapshots to disk and is for developers only.
+const SCRAPE_OPTION_KEYS = ['extraction', 'maxAds', 'maxScrollTime', 'maxScanTime', 'detailDepth', 'dateFrom', 'dateTo', 'platform', 'format', 'locale', 'archiveAssets', 'screenshots'];
+
+// Known scraper options from a query string or request body
+function pickScrapeOptions(input = {}) {
+  const options = {};
+  for (const key of SCRAPE_OPTION_KEYS) {
+    if (input[key] === undefined || input[key] === '') continue;
+    options[key] = /^\d+$/.test(input[key]) ? parseInt(input[key]) : input[key];
+  }
+  return options;
+}
+
+// Invalid filters or locale in scraper options; returns an error message or null
+function scrapeOptionsError(input = {}) {
+  return parseFilters(input).error || validateLocale(input.locale);
+}
+
+// Aborted when the client goes away before its response is sent, which stops the scan it was waiting for
+function requestSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort('client disconnected');
+  });
+  return controller.signal;
+}
+
+// Change events detected after each scan (see change-detector.js)
+const changeEvents = new EventEmitter();
+
+/**
+ * Scrape a domain, keep the result in the local history store and
+ * compare it with the previous scan. Detected changes are attached as result.changes,
+ * the history entry's ID as result.scanId and the stored screenshot's link as result.screenshotUrl.
+ */
+async function scanDomain(domain, options = {}, source = null) {
+  // "new" detail depth only visits creatives missing from this domain's history
+  if (options.detailDepth === 'new') {
+    options = { ...options, knownCreativeIds: getKnownCreativeIds(domain) };
+  }
+  const result = await scrapeAdTransparency(domain, options);
+  result.changes = [];
+  // A stopped scan says nothing about the domain or about blocking
+  if (result.errorClass === 'cancelled') return result;
+  recordScanOutcome(domain, result);
+
+  try {
+    const previous = getLatestScan(domain, options.region || 'anywhere', parseFilters(options).filters);
+    const entry = recordScan(domain, result, { region: options.region, source });
+    result.scanId = entry.id;
+    if (result.data?.screenshot && saveScreenshot(entry.id, result.data.screenshot)) {
+      result.screenshotUrl = `/scans/${entry.id}/screenshot`;
+    }
+    const changes = diffScans(previous, entry);
+
+    if (changes.length > 0) {
+      recordChanges(domain, changes);
+      console.log(`[Changes] ${domain}: ${changes.map(c => c.type).join(', ')}`);
+      changes.forEach(change => changeEvents.emit('change', change));
+    }
+    result.changes = changes;
+  } catch (error) {
+    console.error(`[History] Could not record scan of ${domain}:`, error.message);
+  }
+  return result;
+}
+
+// Scan a domain in each region; region scans skip creative detail pages to keep sweeps short
+function sweepRegions(domain, regions, scrapeOptions = {}, source = null) {
+  return sweepDomain(domain, regions, (d, region) => scanDomain(d, { ...scrapeOptions, detailDepth: 0, region }, source));
+}
+
 /**
- * GET /scrape?domain=example.com&region=anywhere
- * Query a single domain
+ * GET /scrape?domain=example.com&region=anywhere&extraction=network&maxAds=500&maxScrollTime=120000
+ *   &dateFrom=2025-01-01&dateTo=2025-03-31&platform=youtube&format=video&include=ads,screenshot
+ * Query a single domain. The response is compact unless include= or fields= ask for more
+ * (see scan-response.js).
  */
 app.get('/scrape', async (req, res) => {
   const { domain, region = 'anywhere' } = req.query;
@@ -235,10 +337,94 @@ app.get('/scrape', async (req, res) => {
     });
   }
 
+  const optionsError = scrapeOptionsError(req.query);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  const projection = parseProjection(req.query);
+  if (projection.error) {
+    return res.status(400).json({ success: false, error: projection.error });
+  }
+
   console.log(`[${new Date().toISOString()}] Scraping: ${domain}`);
 
   try {
-    const result = await scrapeAdTransparency(domain, { region });
+    const result = await scanDomain(domain, { ...pickScrapeOptions(req.query), region, signal: requestSignal(res) }, 'scrape');
+
+    res.json(projectScanResult(result, projection));
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /sweep?domain=example.com&regions=IL,US,GB,DE
+ * Scan a domain in several regions and return per-region totals, publishers and formats.
+ * Without regions, SWEEP_REGIONS (default IL,US,GB,DE) is used.
+ */
+app.get('/sweep', async (req, res) => {
+  const { domain } = req.query;
+  const regions = req.query.regions ? parseRegions(req.query.regions) : DEFAULT_REGIONS;
+
+  if (!domain) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing required parameter: domain'
+    });
+  }
+
+  const regionsError = validateRegions(regions);
+  if (regionsError) {
+    return res.status(400).json({ success: false, error: regionsError });
+  }
+
+  const optionsError = scrapeOptionsError(req.query);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  console.log(`[${new Date().toISOString()}] Sweeping: ${domain} (${regions.join(', ')})`);
+
+  try {
+    const sweep = await sweepRegions(domain, regions, { ...pickScrapeOptions(req.query), signal: requestSignal(res) }, 'sweep');
+    res.json({ success: true, filters: parseFilters(req.query).filters, ...sweep });
+  } catch (error) {
+    console.error('Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /scrape-advertiser?id=AR123...&region=anywhere&maxAds=500&detailDepth=1
+ * Scan one advertiser: name, verification, location, its creatives and the domains they point to
+ */
+app.get('/scrape-advertiser', async (req, res) => {
+  const { id, region = 'anywhere' } = req.query;
+
+  if (!isAdvertiserId(id)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Missing or invalid parameter: id (expected AR...)'
+    });
+  }
+
+  const optionsError = scrapeOptionsError(req.query);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  console.log(`[${new Date().toISOString()}] Scraping advertiser: ${id}`);
+
+  try {
+    const result = await scrapeAdvertiser(id, { ...pickScrapeOptions(req.query), region, signal: requestSignal(res) });
 
     res.json(result);
   } catch (error) {
@@ -252,8 +438,8 @@ app.get('/scrape', async (req, res) => {
 
 /**
  * POST /scrape-batch
- * Body: { domains: ["domain1.com", "domain2.com"], region: "anywhere" }
- * Scrape multiple domains
+ * Body: { domains: ["domain1.com", "domain2.com"], region: "anywhere", extraction, maxAds, maxScrollTime, include, fields }
+ * Scrape multiple domains; each result is shaped like a /scrape response
  */
 app.post('/scrape-batch', async (req, res) => {
   const { domains, region = 'anywhere' } = req.body;
@@ -272,23 +458,38 @@ app.post('/scrape-batch', async (req, res) => {
     });
   }
 
-  console.log(`[${new Date().toISOString()}] Batch scraping ${domains.length} domains`);
-
-  const results = [];
+  const optionsError = scrapeOptionsError(req.body);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
 
-  for (const domain of domains) {
-    console.log(`  Processing: ${domain}`);
-    const result = await scrapeAdTransparency(domain, { region });
+  const projection = parseProjection(req.body);
+  if (projection.error) {
+    return res.status(400).json({ success: false, error: projection.error });
+  }
 
-    results.push({
-      domain,
-      ...result
+  const breaker = getBreakerStatus();
+  if (breaker.blocked) {
+    return res.status(503).json({
+      success: false,
+      error: `Scanning paused after repeated blocking by Google; resumes at ${breaker.resumeAt}`,
+      breaker
     });
-
-    // Small delay between requests to be respectful
-    await new Promise(resolve => setTimeout(resolve, 1000));
   }
 
+  const concurrency = getPoolStatus().concurrency;
+  console.log(`[${new Date().toISOString()}] Batch scraping ${domains.length} domains (${concurrency} at a time)`);
+
+  const signal = requestSignal(res);
+  const results = await mapConcurrent(domains, concurrency, async (domain) => {
+    console.log(`  Processing: ${domain}`);
+    const result = await scanDomain(domain, { ...pickScrapeOptions(req.body), region, signal }, 'scrape-batch');
+    return {
+      domain,
+      ...projectScanResult(result, projection)
+    };
+  });
+
   res.json({
     success: true,
     count: results.length,
@@ -328,18 +529,19 @@ async function uploadScreenshotToDriveAPI(base64, domain) {
 }
 
 /**
- * Auto-run scheduler functions
+ * Scheduled scan functions
  */
 
-// Send a single batch to Google Sheets
-async function sendBatchToSheets(batch) {
+// Send a single batch to Google Sheets (regionRows go to the REGIONS tab)
+async function sendBatchToSheets(batch, appsScriptUrl, regionRows = []) {
   try {
     const bodyStr = JSON.stringify({
       action: 'saveResults',
-      results: batch
+      results: batch,
+      ...(regionRows.length > 0 ? { regions: regionRows } : {})
     });
 
-    let response = await fetch(autoRunState.appsScriptUrl, {
+    let response = await fetch(appsScriptUrl, {
       method: 'POST',
       redirect: 'manual',
       headers: {
@@ -383,237 +585,599 @@ async function sendBatchToSheets(batch) {
       return { success: false, savedCount: 0 };
     }
   } catch (error) {
-    console.error('[Auto-Run]   Send error:', error.message);
+    console.error('[Sheets] Send error:', error.message);
     return { success: false, savedCount: 0 };
   }
 }
 
-// Run a batch scan on the server
-async function runScheduledScan() {
-  if (autoRunState.isRunning) {
-    console.log('[Auto-Run] Scan already in progress, skipping...');
-    return;
+// Upload a screenshot for a Sheets row to Drive; returns its URL, or null when there is
+// no screenshot, Drive isn't authorized or the upload fails
+async function uploadRowScreenshot(base64, name, logPrefix) {
+  if (!base64 || !isAuthenticated()) return null;
+  console.log(`${logPrefix}   Uploading screenshot for ${name} to Drive...`);
+  try {
+    const uploadResult = await uploadScreenshotToDriveAPI(base64, name);
+    if (uploadResult.success && uploadResult.downloadUrl) {
+      console.log(`${logPrefix}   Screenshot uploaded: ${uploadResult.downloadUrl}`);
+      return uploadResult.downloadUrl;
+    }
+  } catch (uploadErr) {
+    console.error(`${logPrefix}   Screenshot upload failed: ${uploadErr.message}`);
   }
+  return null;
+}
 
-  if (!autoRunState.domains || autoRunState.domains.length === 0) {
-    console.log('[Auto-Run] No domains configured, skipping...');
-    return;
-  }
+// Display (Israel time) and ISO-8601 scan time of a Sheets row
+function scanTimestamps(date = new Date()) {
+  return { scanDate: formatIsraeliDate(date), scanDateIso: date.toISOString() };
+}
 
-  autoRunState.isRunning = true;
-  autoRunState.lastRunTime = new Date().toISOString();
+// Total Ads of a Sheets row with its approximation bounds ("About 2K" is 1,500-2,499)
+function adCountFields(data) {
+  const range = data.totalAdsRange;
+  return {
+    totalAds: data.totalAds || 0,
+    totalAdsApproximate: !!range?.isApproximate,
+    totalAdsLower: range?.lower ?? data.totalAds ?? 0,
+    totalAdsUpper: range?.upper ?? data.totalAds ?? 0
+  };
+}
 
-  const batchSize = autoRunState.batchSize || 5;
-  const totalDomains = autoRunState.domains.length;
-  const totalBatches = Math.ceil(totalDomains / batchSize);
-  const allResults = [];
-  let savedTotal = 0;
-  let failedBatches = 0;
+// Proxy and browser profile a Sheets row was scanned with
+function sessionFields(result) {
+  return {
+    proxy: result.session?.proxy?.id || 'direct',
+    profile: result.session?.profile?.id || '-'
+  };
+}
 
-  console.log(`[Auto-Run] Starting scan: ${totalDomains} domains, ${totalBatches} batches (size: ${batchSize})`);
-
-  for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
-    const start = batchIndex * batchSize;
-    const end = Math.min(start + batchSize, totalDomains);
-    const batchDomains = autoRunState.domains.slice(start, end);
-    const batchNum = batchIndex + 1;
-    const batchResults = [];
-
-    console.log(`[Auto-Run] Batch ${batchNum}/${totalBatches} — Scanning ${batchDomains.length} domains...`);
-
-    // Scan this batch
-    for (const domain of batchDomains) {
-      console.log(`[Auto-Run]   Scanning: ${domain}`);
-      try {
-        const result = await scrapeAdTransparency(domain, { region: 'anywhere' });
-
-        if (result.success && result.data) {
-          // Upload screenshot to Drive via Drive API
-          let screenshotDriveUrl = '-';
-          if (result.data.screenshot && isAuthenticated()) {
-            console.log(`[Auto-Run]   Uploading screenshot for ${domain} to Drive...`);
-            try {
-              const uploadResult = await uploadScreenshotToDriveAPI(result.data.screenshot, domain);
-              if (uploadResult.success && uploadResult.downloadUrl) {
-                screenshotDriveUrl = uploadResult.downloadUrl;
-                console.log(`[Auto-Run]   Screenshot uploaded: ${screenshotDriveUrl}`);
-              }
-            } catch (uploadErr) {
-              console.error(`[Auto-Run]   Screenshot upload failed: ${uploadErr.message}`);
-            }
-            // Free memory
-            delete result.data.screenshot;
-          }
+/**
+ * Sheets row of a failed scan: the columns of a success row, with null where there is no value
+ * @param {object} failure - { error, errorClass, attempts, session }
+ */
+function errorRow(domain, transparencyUrl, filtersText, failure) {
+  return {
+    domain,
+    publisherName: '-', publisherId: '-', creativeId: '-',
+    publisherVerified: false, publisherLocation: '-',
+    totalAds: 0, totalAdsApproximate: null, totalAdsLower: null, totalAdsUpper: null,
+    adsInView: 0, adFormats: [],
+    lastSeenDate: '-', lastSeenDateIso: null,
+    adImageUrl: '-', adText: '-',
+    adsTransparencyUrl: transparencyUrl,
+    filters: filtersText,
+    ...scanTimestamps(),
+    status: 'error', error: failure.error,
+    errorClass: failure.errorClass, attempts: failure.attempts || 1,
+    ...sessionFields(failure)
+  };
+}
 
-          const publishers = result.data.publishers || [];
-          const adsInView = result.data.ads?.length || 0;
-
-          if (publishers.length > 0) {
-            // Create one row per unique publisher
-            for (const pub of publishers) {
-              const firstAd = pub.ads?.[0];
-              const crId = firstAd?.creativeId;
-              const rawAdText = firstAd?.adText || '-';
-              const cleanAdText = rawAdText !== '-' ? rawAdText.replace(/מאומת/g, '').trim() : '-';
-              const row = {
-                domain,
-                publisherName: pub.name || '-',
-                publisherId: pub.id || '-',
-                creativeId: crId || '-',
-                publisherVerified: pub.verified || false,
-                publisherLocation: pub.location || '-',
-                totalAds: result.data.totalAds || 0,
-                adsInView: adsInView,
-                adFormats: pub.adFormats || [],
-                lastSeenDate: pub.lastSeenDate || '-',
-                adImageUrl: screenshotDriveUrl,
-                adText: cleanAdText,
-                adsTransparencyUrl: `https://adstransparency.google.com/?region=anywhere&domain=${domain}`,
-                scanDate: formatIsraeliDate(new Date()),
-                status: 'success'
-              };
-              batchResults.push(row);
-              allResults.push(row);
-            }
-          } else {
-            // Fallback: single row (no publishers found)
-            const rawAdText = result.data.ads?.[0]?.adText || '-';
-            const cleanAdText = rawAdText !== '-' ? rawAdText.replace(/מאומת/g, '').trim() : '-';
-            const firstAd = result.data.ads?.[0];
-            const pubId = result.data.advertiser?.id;
-            const crId = firstAd?.creativeId;
-            const row = {
-              domain,
-              publisherName: result.data.advertiser?.name || '-',
-              publisherId: pubId || '-',
-              creativeId: crId || '-',
-              publisherVerified: result.data.advertiser?.verified || false,
-              publisherLocation: result.data.advertiser?.location || '-',
-              totalAds: result.data.totalAds || 0,
-              adsInView: adsInView,
-              adFormats: result.data.adFormats || [],
-              lastSeenDate: result.data.lastSeenDate || '-',
-              adImageUrl: screenshotDriveUrl,
-              adText: cleanAdText,
-              adsTransparencyUrl: `https://adstransparency.google.com/?region=anywhere&domain=${domain}`,
-              scanDate: formatIsraeliDate(new Date()),
-              status: 'success'
-            };
-            batchResults.push(row);
-            allResults.push(row);
-          }
-        } else {
+// Scan one domain and build its Sheets rows (one per publisher)
+async function scanDomainToRows(domain, options = {}) {
+  const { region = 'anywhere', logPrefix = '[Auto-Run]', source = 'auto-run', scrapeOptions = {}, signal, onProgress } = options;
+  const { filters } = parseFilters(scrapeOptions);
+  const transparencyUrl = searchUrl(domain, region, filterQuery(filters));
+  const filtersText = describeFilters(filters);
+  const rows = [];
+
+  console.log(`${logPrefix}   Scanning: ${domain}`);
+  try {
+    const result = await scanDomain(domain, { ...scrapeOptions, region, signal, onProgress }, source);
+
+    if (result.success && result.data) {
+      // Alerts are delivered in the background: a slow webhook or SMTP server must not hold up the scans
+      processScanAlerts(domain, result.data, result.changes).catch(alertErr => {
+        console.error(`[Alerts] Evaluation failed for ${domain}: ${alertErr.message}`);
+      });
+
+      // Upload screenshot to Drive via Drive API
+      const screenshotDriveUrl = await uploadRowScreenshot(result.data.screenshot, domain, logPrefix) || '-';
+      // Free memory
+      delete result.data.screenshot;
+
+      const publishers = result.data.publishers || [];
+      const adsInView = result.data.ads?.length || 0;
+
+      if (publishers.length > 0) {
+        // Create one row per unique publisher
+        for (const pub of publishers) {
+          const firstAd = pub.ads?.[0];
+          const crId = firstAd?.creativeId;
+          const rawAdText = firstAd?.adText || '-';
+          const cleanAdText = rawAdText !== '-' ? stripVerifiedLabels(rawAdText).trim() : '-';
+          // With screenshots=elements the row links to its own ad instead of the whole results page
+          const adScreenshotUrl = await uploadRowScreenshot(firstAd?.screenshot || firstAd?.detailScreenshot, `${domain}_${crId}`, logPrefix);
           const row = {
             domain,
-            publisherName: '-', publisherId: '-', creativeId: '-',
-            publisherVerified: false, publisherLocation: '-',
-            totalAds: 0, adsInView: 0, adFormats: [],
-            lastSeenDate: '-', adImageUrl: '-', adText: '-',
-            adsTransparencyUrl: `https://adstransparency.google.com/?region=anywhere&domain=${domain}`,
-            scanDate: formatIsraeliDate(new Date()),
-            status: 'error', error: result.error
+            publisherName: pub.name || '-',
+            publisherId: pub.id || '-',
+            creativeId: crId || '-',
+            publisherVerified: pub.verified || false,
+            publisherLocation: pub.location || '-',
+            ...adCountFields(result.data),
+            adsInView: adsInView,
+            adFormats: pub.adFormats || [],
+            lastSeenDate: pub.lastSeenDate || '-',
+            lastSeenDateIso: pub.lastSeenDateIso || null,
+            adImageUrl: adScreenshotUrl || screenshotDriveUrl,
+            adText: cleanAdText,
+            adsTransparencyUrl: transparencyUrl,
+            filters: filtersText,
+            ...scanTimestamps(),
+            status: 'success',
+            error: null,
+            errorClass: result.errorClass || null,
+            attempts: result.attempts || 1,
+            ...sessionFields(result)
           };
-          batchResults.push(row);
-          allResults.push(row);
+          rows.push(row);
         }
-      } catch (error) {
+      } else {
+        // Fallback: single row (no publishers found)
+        const rawAdText = result.data.ads?.[0]?.adText || '-';
+        const cleanAdText = rawAdText !== '-' ? stripVerifiedLabels(rawAdText).trim() : '-';
+        const firstAd = result.data.ads?.[0];
+        const pubId = result.data.advertiser?.id;
+        const crId = firstAd?.creativeId;
+        const adScreenshotUrl = await uploadRowScreenshot(firstAd?.screenshot || firstAd?.detailScreenshot, `${domain}_${crId}`, logPrefix);
         const row = {
           domain,
-          publisherName: '-', publisherId: '-', creativeId: '-',
-          publisherVerified: false, publisherLocation: '-',
-          totalAds: 0, adsInView: 0, adFormats: [],
-          lastSeenDate: '-', adImageUrl: '-', adText: '-',
-          adsTransparencyUrl: `https://adstransparency.google.com/?region=anywhere&domain=${domain}`,
-          scanDate: formatIsraeliDate(new Date()),
-          status: 'error', error: error.message
+          publisherName: result.data.advertiser?.name || '-',
+          publisherId: pubId || '-',
+          creativeId: crId || '-',
+          publisherVerified: result.data.advertiser?.verified || false,
+          publisherLocation: result.data.advertiser?.location || '-',
+          ...adCountFields(result.data),
+          adsInView: adsInView,
+          adFormats: result.data.adFormats || [],
+          lastSeenDate: result.data.lastSeenDate || '-',
+          lastSeenDateIso: result.data.lastSeenDateIso || null,
+          adImageUrl: adScreenshotUrl || screenshotDriveUrl,
+          adText: cleanAdText,
+          adsTransparencyUrl: transparencyUrl,
+          filters: filtersText,
+          ...scanTimestamps(),
+          status: 'success',
+          error: null,
+          errorClass: result.errorClass || null,
+          attempts: result.attempts || 1,
+          ...sessionFields(result)
         };
-        batchResults.push(row);
-        allResults.push(row);
+        rows.push(row);
       }
 
-      await new Promise(resolve => setTimeout(resolve, 500));
+      for (const item of [...(result.data.ads || []), ...publishers]) {
+        delete item.screenshot;
+        delete item.detailScreenshot;
+      }
+    } else {
+      rows.push(errorRow(domain, transparencyUrl, filtersText, {
+        ...result,
+        errorClass: result.errorClass || 'unknown'
+      }));
     }
+  } catch (error) {
+    rows.push(errorRow(domain, transparencyUrl, filtersText, { error: error.message, errorClass: classifyError(error) }));
+  }
 
-    // Send this batch to Sheets immediately
-    if (autoRunState.appsScriptUrl && batchResults.length > 0) {
-      console.log(`[Auto-Run] Batch ${batchNum}/${totalBatches} — Sending ${batchResults.length} results to Sheets...`);
-      const sendResult = await sendBatchToSheets(batchResults);
-      if (sendResult.success) {
-        savedTotal += sendResult.savedCount;
-        console.log(`[Auto-Run]   Batch ${batchNum}: Success (${sendResult.savedCount} saved)`);
-      } else {
-        failedBatches++;
-        console.log(`[Auto-Run]   Batch ${batchNum}: Failed`);
-      }
+  return rows;
+}
+
+// In-memory handles for jobs being processed right now (id -> job)
+const activeJobs = new Map();
+// Abort controllers of the scans those jobs are running (id -> AbortController), used by "stop now"
+const jobAborts = new Map();
+
+// Per-job progress events, keyed by job ID (consumed by the SSE stream)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+function emitJobEvent(job, type, data = {}) {
+  jobEvents.emit(job.id, {
+    type,
+    jobId: job.id,
+    time: new Date().toISOString(),
+    progress: getJobProgress(job),
+    ...data
+  });
+}
+
+/**
+ * Process a persistent job: scan its pending domains in batches through the
+ * browser pool, re-queue failures, and send each finished batch to Sheets.
+ * Pauses while the blocking circuit breaker is open; stops early when the job is cancelled
+ * (see stopJob()).
+ */
+async function processJob(job, logPrefix) {
+  const batchSize = job.options.batchSize || 5;
+  const abort = new AbortController();
+  const scanOptions = {
+    region: job.options.region || 'anywhere',
+    logPrefix,
+    source: job.type,
+    // Re-picked so jobs saved with options the API no longer accepts (record) resume without them
+    scrapeOptions: pickScrapeOptions(job.options.scrape),
+    signal: abort.signal,
+    // Stage events of the scraper go to the job's event stream as domain-stage
+    onProgress: (event) => {
+      if (event.phase === 'end') recordStageTiming(job, event.stage, event.durationMs);
+      emitJobEvent(job, 'domain-stage', event);
     }
+  };
+  let batchNum = 0;
+  let savedTotal = 0;
+  let failedBatches = 0;
 
-    // Delay between batches
-    if (batchIndex < totalBatches - 1) {
+  // Domains wait for the same cooldown while the breaker is open
+  let breakerWait = null;
+  const waitForBreaker = () => {
+    if (!getBreakerStatus().blocked) return true;
+    if (!breakerWait) {
+      const { resumeAt } = getBreakerStatus();
+      console.log(`${logPrefix} Blocked by Google, pausing until ${resumeAt}`);
+      emitJobEvent(job, 'job-blocked', { resumeAt });
+      breakerWait = waitWhileBlocked(() => job.status !== 'running').then(resumed => {
+        breakerWait = null;
+        if (resumed) {
+          console.log(`${logPrefix} Resuming after blocking cooldown`);
+          emitJobEvent(job, 'job-resumed');
+        }
+        return resumed;
+      });
+    }
+    return breakerWait;
+  };
+
+  activeJobs.set(job.id, job);
+  jobAborts.set(job.id, abort);
+  console.log(`${logPrefix} Starting job ${job.id}: ${job.items.length} domains, batch size ${batchSize} (max ${job.maxRetries} retries per domain)`);
+  emitJobEvent(job, 'job-start');
+
+  try {
+    while (job.status === 'running') {
+      const batchItems = claimItems(job, batchSize);
+      if (batchItems.length === 0) break;
+      batchNum++;
+      const batchResults = [];
+      const batchRegionRows = [];
+
+      console.log(`${logPrefix} Batch ${batchNum} — Scanning ${batchItems.length} domains...`);
+
+      // Scan this batch, several domains at once through the browser pool
+      await mapConcurrent(batchItems, getPoolStatus().concurrency, async (item) => {
+        if (!await waitForBreaker()) {
+          releaseItem(job, item);
+          return;
+        }
+        emitJobEvent(job, 'domain-start', { domain: item.domain, attempt: item.attempts });
+        const rows = await scanDomainToRows(item.domain, scanOptions);
+        const errorRow = rows.find(r => r.status === 'error');
+
+        // Stopped by "stop now": the domain is dropped like the pending ones, not failed.
+        // A scan that ran past maxScanTime is failed below (cancelled scans are not retried).
+        if (errorRow?.errorClass === 'cancelled' && abort.signal.aborted) {
+          releaseItem(job, item);
+          emitJobEvent(job, 'domain-cancelled', { domain: item.domain, error: errorRow.error });
+          return;
+        }
+
+        // A block that opened the breaker doesn't count as an attempt: the domain is retried after the cooldown
+        if (errorRow && isBlockingClass(errorRow.errorClass) && getBreakerStatus().blocked) {
+          releaseItem(job, item);
+          emitJobEvent(job, 'domain-retry', { domain: item.domain, attempt: item.attempts, error: errorRow.error });
+          return;
+        }
+
+        // Error classes without a retry policy (e.g. invalid options) are failed right away
+        if (errorRow && failItem(job, item, errorRow.error, rows, isRetryable(errorRow.errorClass))) {
+          console.log(`${logPrefix}   ${item.domain} failed (attempt ${item.attempts}), re-queued`);
+          emitJobEvent(job, 'domain-retry', { domain: item.domain, attempt: item.attempts, error: errorRow.error });
+          return;
+        }
+        // Region breakdown of domains that scanned successfully
+        let sweep = null;
+        if (!errorRow && job.options.regions?.length > 0) {
+          sweep = await sweepRegions(item.domain, job.options.regions, { ...scanOptions.scrapeOptions, signal: abort.signal }, job.type);
+          batchRegionRows.push(...toRegionRows(sweep, formatIsraeliDate(new Date())));
+        }
+
+        if (!errorRow) completeItem(job, item, rows, sweep);
+        batchResults.push(...rows);
+        emitJobEvent(job, 'domain-done', { domain: item.domain, state: item.state, rows, sweep });
+      });
+
+      // Send this batch to Sheets immediately
+      if (job.options.appsScriptUrl && batchResults.length > 0) {
+        console.log(`${logPrefix} Batch ${batchNum} — Sending ${batchResults.length} results to Sheets...`);
+        const sendResult = await sendBatchToSheets(batchResults, job.options.appsScriptUrl, batchRegionRows);
+        if (sendResult.success) {
+          savedTotal += sendResult.savedCount;
+          console.log(`${logPrefix}   Batch ${batchNum}: Success (${sendResult.savedCount} saved)`);
+        } else {
+          failedBatches++;
+          console.log(`${logPrefix}   Batch ${batchNum}: Failed`);
+        }
+        emitJobEvent(job, 'batch-sent', { batchNum, success: sendResult.success, savedCount: sendResult.savedCount });
+      }
+
+      // Delay between batches
       await new Promise(resolve => setTimeout(resolve, 1000));
     }
+
+    if (job.status === 'running') {
+      finishJob(job);
+    }
+  } finally {
+    activeJobs.delete(job.id);
+    jobAborts.delete(job.id);
   }
 
-  autoRunState.lastResults = allResults;
-  console.log(`[Auto-Run] Done! ${allResults.length} domains, ${savedTotal} saved to Sheets, ${failedBatches} failed batches.`);
+  const progress = getJobProgress(job);
+  console.log(`${logPrefix} ${job.status === 'cancelled' ? 'Cancelled.' : 'Done!'} ${progress.done} domains ok, ${progress.failed} failed, ${savedTotal} saved to Sheets, ${failedBatches} failed batches.`);
+  emitJobEvent(job, job.status === 'cancelled' ? 'job-cancelled' : 'job-done', { savedTotal, failedBatches });
+
+  return { savedTotal, failedBatches };
+}
+
+/**
+ * Schedules
+ * Every named schedule (schedules.js) has its own timer. A run is a persistent job of
+ * type "schedule:<id>", so a run interrupted by a restart resumes with the domains it
+ * had not finished yet.
+ */
+
+// Longest single timer; later runs re-arm once a day until they are due
+const MAX_TIMER_MS = 24 * 60 * 60 * 1000;
+
+function getRuntime(id) {
+  if (!scheduleRuntime.has(id)) {
+    scheduleRuntime.set(id, { timer: null, isRunning: false, currentJobId: null, nextRunTime: null });
+  }
+  return scheduleRuntime.get(id);
+}
 
-  autoRunState.isRunning = false;
-  updateNextRunTime();
-  scheduleNextRun();
+function scheduleJobType(id) {
+  return `schedule:${id}`;
 }
 
-function updateNextRunTime() {
-  if (autoRunState.enabled && autoRunState.intervalMinutes > 0) {
-    const next = new Date();
-    next.setMinutes(next.getMinutes() + autoRunState.intervalMinutes);
-    autoRunState.nextRunTime = next.toISOString();
+// Run a schedule's scan now; the next run is armed when it finishes
+async function runSchedule(id) {
+  const schedule = getSchedule(id);
+  if (!schedule) return;
+
+  const runtime = getRuntime(id);
+  const logPrefix = `[Schedule ${schedule.name}]`;
+  if (runtime.isRunning) {
+    console.log(`${logPrefix} Scan already in progress, skipping...`);
+    return;
+  }
+
+  let job = findUnfinishedJob(scheduleJobType(id));
+
+  if (job) {
+    const progress = getJobProgress(job);
+    console.log(`${logPrefix} Resuming interrupted run ${job.id}: ${progress.done + progress.failed}/${progress.total} domains already finished`);
   } else {
-    autoRunState.nextRunTime = null;
+    job = createJob(scheduleJobType(id), schedule.domains, {
+      appsScriptUrl: schedule.appsScriptUrl,
+      batchSize: schedule.batchSize,
+      region: schedule.region,
+      regions: schedule.regions,
+      scrape: pickScrapeOptions(schedule.scrape)
+    });
   }
+
+  runtime.isRunning = true;
+  runtime.currentJobId = job.id;
+  updateSchedule(id, { lastRunTime: new Date().toISOString(), lastJobId: job.id });
+
+  try {
+    await processJob(job, logPrefix);
+  } catch (error) {
+    console.error(`${logPrefix} Scan failed:`, error.message);
+  }
+
+  runtime.isRunning = false;
+  runtime.currentJobId = null;
+  scheduleNextRun(id);
 }
 
-function scheduleNextRun() {
-  if (!autoRunState.enabled) {
+// Arm (or clear) a schedule's timer. Interval schedules count from `after`,
+// which is the end of the previous run.
+function scheduleNextRun(id, after = new Date()) {
+  const runtime = getRuntime(id);
+  clearTimeout(runtime.timer);
+  runtime.timer = null;
+  runtime.nextRunTime = null;
+
+  const schedule = getSchedule(id);
+  if (!schedule || !schedule.enabled) {
     return;
   }
 
-  // Clear any existing scheduled task
-  if (autoRunState.scheduledTask) {
-    clearTimeout(autoRunState.scheduledTask);
-    autoRunState.scheduledTask = null;
+  const next = getNextRunTime(schedule.cron, schedule.timezone, after);
+  if (!next) {
+    console.log(`[Schedule ${schedule.name}] No upcoming run for "${schedule.cron}"`);
+    return;
   }
+  runtime.nextRunTime = next.toISOString();
 
-  const intervalMs = autoRunState.intervalMinutes * 60 * 1000;
+  const delay = next.getTime() - Date.now();
+  if (delay > MAX_TIMER_MS) {
+    runtime.timer = setTimeout(() => scheduleNextRun(id, after), MAX_TIMER_MS);
+  } else {
+    runtime.timer = setTimeout(() => runSchedule(id), Math.max(delay, 0));
+  }
+}
 
-  autoRunState.scheduledTask = setTimeout(() => {
-    runScheduledScan();
-  }, intervalMs);
+// Schedule definition plus its live state
+function getScheduleSummary(schedule) {
+  const runtime = getRuntime(schedule.id);
+  const currentJob = runtime.currentJobId ? findJob(runtime.currentJobId) : null;
+  return {
+    ...schedule,
+    domainsCount: schedule.domains.length,
+    isRunning: runtime.isRunning,
+    nextRunTime: runtime.nextRunTime,
+    queue: currentJob ? { jobId: currentJob.id, ...getJobProgress(currentJob) } : null
+  };
 }
 
-function startAutoRun() {
-  stopAutoRun(); // Clear any existing
+/**
+ * GET /schedules
+ * List schedules with their next run time and live progress
+ */
+app.get('/schedules', (req, res) => {
+  res.json({ success: true, schedules: listSchedules().map(getScheduleSummary) });
+});
 
-  if (autoRunState.intervalMinutes < 1) {
-    return { success: false, error: 'Interval must be at least 1 minute' };
+/**
+ * POST /schedules
+ * Body: { name, cron: "weekdays 08:00 Asia/Jerusalem", timezone, domains: [...], region, regions: ["IL", "US"], batchSize, appsScriptUrl, enabled }
+ */
+app.post('/schedules', (req, res) => {
+  const result = createSchedule(req.body);
+  if (!result.success) {
+    return res.status(400).json(result);
   }
+  scheduleNextRun(result.schedule.id);
+  console.log(`[Schedule ${result.schedule.name}] Created: "${result.schedule.cron}", next run ${getRuntime(result.schedule.id).nextRunTime || 'none'}`);
+  res.status(201).json({ success: true, schedule: getScheduleSummary(result.schedule) });
+});
 
-  autoRunState.enabled = true;
+/**
+ * PUT /schedules/:id
+ * Update any schedule fields (e.g. { enabled: false })
+ */
+app.put('/schedules/:id', (req, res) => {
+  const result = updateSchedule(req.params.id, req.body);
+  if (!result.success) {
+    return res.status(result.notFound ? 404 : 400).json(result);
+  }
+  scheduleNextRun(result.schedule.id);
+  res.json({ success: true, schedule: getScheduleSummary(result.schedule) });
+});
 
-  console.log(`[Auto-Run] Scheduler started. Running every ${autoRunState.intervalMinutes} minutes (after each scan completes).`);
+/**
+ * DELETE /schedules/:id
+ * Remove a schedule. A run in progress finishes; no further runs are started.
+ */
+app.delete('/schedules/:id', (req, res) => {
+  const result = deleteSchedule(req.params.id);
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+  scheduleNextRun(req.params.id);
+  scheduleRuntime.delete(req.params.id);
+  res.json(result);
+});
 
-  // Run immediately on start
-  runScheduledScan();
+/**
+ * POST /schedules/:id/run
+ * Start a schedule's scan now; progress can be followed at /jobs/:jobId/events
+ */
+app.post('/schedules/:id/run', (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  const runtime = getRuntime(schedule.id);
+  if (runtime.isRunning) {
+    return res.status(409).json({ success: false, error: 'Schedule is already running', jobId: runtime.currentJobId });
+  }
 
-  return { success: true };
-}
+  runSchedule(schedule.id);
+
+  res.status(202).json({
+    success: true,
+    jobId: runtime.currentJobId,
+    eventsUrl: `/jobs/${runtime.currentJobId}/events`
+  });
+});
+
+/**
+ * POST /schedules/:id/stop
+ * Body: { mode: "after-current" | "now" }
+ * Stop the schedule's run in progress (see DELETE /jobs/:id); later runs still start on time
+ */
+app.post('/schedules/:id/stop', (req, res) => {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) {
+    return res.status(404).json({ success: false, error: 'Schedule not found' });
+  }
+  const modeError = stopModeError(req.body.mode);
+  if (modeError) {
+    return res.status(400).json({ success: false, error: modeError });
+  }
+  const { currentJobId } = getRuntime(schedule.id);
+  const job = currentJobId && findJob(currentJobId);
+  if (!job || job.status !== 'running') {
+    return res.status(409).json({ success: false, error: 'Schedule is not running' });
+  }
+
+  stopJob(job, req.body.mode, `[Schedule ${schedule.name}]`);
+  res.json({ success: true, jobId: job.id, schedule: getScheduleSummary(schedule) });
+});
+
+/**
+ * GET /breaker
+ * Blocking circuit breaker state (see circuit-breaker.js)
+ */
+app.get('/breaker', (req, res) => {
+  res.json({ success: true, breaker: getBreakerStatus() });
+});
+
+/**
+ * POST /breaker/reset
+ * Resume scanning before the cooldown ends, e.g. after changing the network or solving the CAPTCHA
+ */
+app.post('/breaker/reset', (req, res) => {
+  res.json({ success: true, breaker: resetBreaker() });
+});
 
-function stopAutoRun() {
-  if (autoRunState.scheduledTask) {
-    clearTimeout(autoRunState.scheduledTask);
-    autoRunState.scheduledTask = null;
+/**
+ * GET /proxies
+ * Outbound proxies and their health (see proxy-pool.js)
+ */
+app.get('/proxies', (req, res) => {
+  res.json({ success: true, proxies: getProxyStatus() });
+});
+
+/**
+ * POST /proxies/check
+ * Health-check all proxies now; proxies that pass go back into rotation
+ */
+app.post('/proxies/check', async (req, res) => {
+  res.json({ success: true, proxies: await checkProxies() });
+});
+
+/**
+ * Legacy auto-run endpoints
+ * Kept for existing clients; they manage a single interval schedule with the ID "auto-run".
+ */
+
+function getAutoRunStatus() {
+  const schedule = getSchedule(AUTO_RUN_SCHEDULE_ID);
+  if (!schedule) {
+    return {
+      enabled: false, intervalMinutes: null, isRunning: false, lastRunTime: null, nextRunTime: null, domainsCount: 0, queue: null,
+      blocked: getBreakerStatus().blocked, breaker: getBreakerStatus()
+    };
   }
-  autoRunState.enabled = false;
-  autoRunState.nextRunTime = null;
-  console.log('[Auto-Run] Scheduler stopped.');
+  const summary = getScheduleSummary(schedule);
+  const parsed = parseSchedule(schedule.cron, schedule.timezone);
+  return {
+    enabled: summary.enabled,
+    intervalMinutes: parsed.type === 'interval' ? parsed.minutes : null,
+    isRunning: summary.isRunning,
+    lastRunTime: summary.lastRunTime,
+    nextRunTime: summary.nextRunTime,
+    domainsCount: summary.domainsCount,
+    queue: summary.queue,
+    blocked: getBreakerStatus().blocked,
+    breaker: getBreakerStatus()
+  };
 }
 
 /**
@@ -621,14 +1185,7 @@ function stopAutoRun() {
  * Get current auto-run status
  */
 app.get('/auto-run/status', (req, res) => {
-  res.json({
-    enabled: autoRunState.enabled,
-    intervalMinutes: autoRunState.intervalMinutes,
-    isRunning: autoRunState.isRunning,
-    lastRunTime: autoRunState.lastRunTime,
-    nextRunTime: autoRunState.nextRunTime,
-    domainsCount: autoRunState.domains?.length || 0
-  });
+  res.json(getAutoRunStatus());
 });
 
 /**
@@ -647,27 +1204,64 @@ app.post('/auto-run/start', (req, res) => {
     return res.status(400).json({ success: false, error: 'Interval must be at least 1 minute' });
   }
 
-  autoRunState.intervalMinutes = intervalMinutes;
-  autoRunState.appsScriptUrl = appsScriptUrl;
-  autoRunState.domains = domains;
-  autoRunState.batchSize = batchSize || 5;
+  const input = {
+    name: 'Auto-Run',
+    enabled: true,
+    cron: `every ${intervalMinutes} minutes`,
+    domains,
+    appsScriptUrl,
+    batchSize: batchSize || 5
+  };
+  const result = getSchedule(AUTO_RUN_SCHEDULE_ID)
+    ? updateSchedule(AUTO_RUN_SCHEDULE_ID, input)
+    : createSchedule(input, AUTO_RUN_SCHEDULE_ID);
+  if (!result.success) {
+    return res.status(400).json(result);
+  }
+
+  // A new domain list replaces an interrupted run instead of resuming it
+  const runtime = getRuntime(AUTO_RUN_SCHEDULE_ID);
+  const unfinished = !runtime.isRunning && findUnfinishedJob(scheduleJobType(AUTO_RUN_SCHEDULE_ID));
+  if (unfinished && unfinished.items.map(i => i.domain).join('\n') !== domains.join('\n')) {
+    finishJob(unfinished, 'abandoned');
+  }
+
+  console.log(`[Schedule Auto-Run] Started. Running every ${intervalMinutes} minutes (after each scan completes).`);
 
-  const result = startAutoRun();
+  // Run immediately on start
+  scheduleNextRun(AUTO_RUN_SCHEDULE_ID);
+  runSchedule(AUTO_RUN_SCHEDULE_ID);
 
+  const status = getAutoRunStatus();
   res.json({
-    ...result,
-    intervalMinutes: autoRunState.intervalMinutes,
-    nextRunTime: autoRunState.nextRunTime,
-    domainsCount: autoRunState.domains.length
+    success: true,
+    intervalMinutes: status.intervalMinutes,
+    nextRunTime: status.nextRunTime,
+    domainsCount: status.domainsCount
   });
 });
 
 /**
  * POST /auto-run/stop
- * Stop auto-run scheduler
+ * Body: { mode: "after-current" | "now" }
+ * Stop auto-run scheduler, including the run in progress (see DELETE /jobs/:id)
  */
 app.post('/auto-run/stop', (req, res) => {
-  stopAutoRun();
+  const { mode } = req.body;
+  const modeError = stopModeError(mode);
+  if (modeError) {
+    return res.status(400).json({ success: false, error: modeError });
+  }
+  if (getSchedule(AUTO_RUN_SCHEDULE_ID)) {
+    updateSchedule(AUTO_RUN_SCHEDULE_ID, { enabled: false });
+    scheduleNextRun(AUTO_RUN_SCHEDULE_ID);
+    const { currentJobId } = getRuntime(AUTO_RUN_SCHEDULE_ID);
+    const job = currentJobId && findJob(currentJobId);
+    if (job?.status === 'running') {
+      stopJob(job, mode, '[Schedule Auto-Run]');
+    }
+    console.log('[Schedule Auto-Run] Stopped.');
+  }
   res.json({ success: true, enabled: false });
 });
 
@@ -676,13 +1270,481 @@ app.post('/auto-run/stop', (req, res) => {
  * Get last auto-run results
  */
 app.get('/auto-run/results', (req, res) => {
+  const schedule = getSchedule(AUTO_RUN_SCHEDULE_ID);
+  const job = schedule?.lastJobId ? findJob(schedule.lastJobId) : null;
   res.json({
     success: true,
-    lastRunTime: autoRunState.lastRunTime,
-    results: autoRunState.lastResults || []
+    lastRunTime: schedule?.lastRunTime || null,
+    results: job ? getJobRows(job) : []
   });
 });
 
+/**
+ * GET /history?domain=example.com&from=2026-01-01&to=2026-01-31&region=US
+ * Time series of a domain's scans (ad counts, publishers, formats) in one region
+ * (default "anywhere") with one set of filters (dateFrom, dateTo, platform, format; default none).
+ * Without a domain, lists the domains that have history.
+ */
+app.get('/history', (req, res) => {
+  const { domain, from, to } = req.query;
+
+  const rangeError = validateTimeRange(from, to);
+  if (rangeError) {
+    return res.status(400).json({ success: false, error: rangeError });
+  }
+
+  if (!domain) {
+    return res.json({ success: true, domains: listHistoryDomains() });
+  }
+
+  const regions = parseRegions(req.query.region || 'anywhere');
+  const regionError = regions.length > 1 ? 'Only one region per history series' : validateRegions(regions);
+  if (regionError) {
+    return res.status(400).json({ success: false, error: regionError });
+  }
+
+  const { filters, error: filterError } = parseFilters(req.query);
+  if (filterError) {
+    return res.status(400).json({ success: false, error: filterError });
+  }
+
+  res.json({ success: true, ...getDomainHistory(domain, { from, to, region: regions[0], filters }) });
+});
+
+/**
+ * GET /history/advertiser/:id?from=...&to=...
+ * Time series of an advertiser across every scanned domain
+ */
+app.get('/history/advertiser/:id', (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+
+  if (!isAdvertiserId(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid advertiser ID (expected AR...)' });
+  }
+
+  const rangeError = validateTimeRange(from, to);
+  if (rangeError) {
+    return res.status(400).json({ success: false, error: rangeError });
+  }
+
+  res.json({ success: true, ...getAdvertiserHistory(id, { from, to }) });
+});
+
+/**
+ * GET /scans/:id/screenshot
+ * PNG screenshot of a scan's results page (the scanId / screenshotUrl of a /scrape response)
+ */
+app.get('/scans/:id/screenshot', (req, res) => {
+  const { id } = req.params;
+
+  if (!isValidScanId(id)) {
+    return res.status(400).json({ success: false, error: 'Invalid scan ID' });
+  }
+
+  const filePath = getScreenshotPath(id);
+  if (!filePath) {
+    return res.status(404).json({ success: false, error: 'Screenshot not found (the scan had none, or it was pruned)' });
+  }
+
+  res.type('png');
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(filePath);
+});
+
+/**
+ * GET /assets/:hash
+ * An archived creative asset (image, video poster or video) by SHA-256
+ */
+app.get('/assets/:hash', (req, res) => {
+  const { hash } = req.params;
+
+  if (!isValidHash(hash)) {
+    return res.status(400).json({ success: false, error: 'Invalid asset hash (expected a SHA-256 hex digest)' });
+  }
+
+  const asset = getAsset(hash);
+  if (!asset) {
+    return res.status(404).json({ success: false, error: 'Asset not found' });
+  }
+
+  res.type(asset.meta.contentType);
+  res.set('Cache-Control', 'public, max-age=31536000, immutable');
+  res.sendFile(asset.filePath);
+});
+
+/**
+ * GET /assets/:hash/similar?distance=10
+ * Archived images that are near-duplicates of an asset (by perceptual hash)
+ */
+app.get('/assets/:hash/similar', (req, res) => {
+  const { hash } = req.params;
+  const distance = req.query.distance !== undefined ? parseInt(req.query.distance) : undefined;
+
+  if (!isValidHash(hash)) {
+    return res.status(400).json({ success: false, error: 'Invalid asset hash (expected a SHA-256 hex digest)' });
+  }
+  if (distance !== undefined && !(distance >= 0 && distance <= 64)) {
+    return res.status(400).json({ success: false, error: 'distance must be between 0 and 64' });
+  }
+
+  const similar = findSimilarAssets(hash, distance);
+  if (!similar) {
+    return res.status(404).json({ success: false, error: 'Asset not found' });
+  }
+
+  res.json({ success: true, hash, count: similar.length, similar });
+});
+
+/**
+ * GET /changes?domain=example.com&type=new-creatives&from=...&to=...
+ * Change events detected between consecutive scans, newest first
+ */
+app.get('/changes', (req, res) => {
+  const { domain, type, from, to } = req.query;
+
+  if (type && !CHANGE_TYPES.includes(type)) {
+    return res.status(400).json({ success: false, error: `Unknown change type. Expected one of: ${CHANGE_TYPES.join(', ')}` });
+  }
+
+  const rangeError = validateTimeRange(from, to);
+  if (rangeError) {
+    return res.status(400).json({ success: false, error: rangeError });
+  }
+
+  const changes = getChanges({ domain, type, from, to });
+  res.json({ success: true, count: changes.length, changes });
+});
+
+/**
+ * Alert rules
+ * GET/POST /alerts/rules, PUT/DELETE /alerts/rules/:id, POST /alerts/rules/:id/test
+ */
+app.get('/alerts/rules', (req, res) => {
+  res.json({ success: true, rules: getRules() });
+});
+
+app.post('/alerts/rules', (req, res) => {
+  const result = createRule(req.body);
+  res.status(result.success ? 201 : 400).json(result);
+});
+
+app.put('/alerts/rules/:id', (req, res) => {
+  const result = updateRule(req.params.id, req.body);
+  res.status(result.success ? 200 : result.notFound ? 404 : 400).json(result);
+});
+
+app.delete('/alerts/rules/:id', (req, res) => {
+  const result = deleteRule(req.params.id);
+  res.status(result.success ? 200 : 404).json(result);
+});
+
+app.post('/alerts/rules/:id/test', async (req, res) => {
+  const rule = getRule(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ success: false, error: 'Rule not found' });
+  }
+  const deliveries = await sendTestAlert(rule);
+  res.json({ success: deliveries.every(d => d.success), deliveries });
+});
+
+/**
+ * GET /alerts?limit=100
+ * Alerts that were sent, newest first
+ */
+app.get('/alerts', (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  res.json({ success: true, alerts: getSentAlerts(limit) });
+});
+
+/**
+ * Job API
+ * Long scans run in the background as persistent jobs; clients poll or stream progress.
+ */
+
+// Summary of a job without its per-domain result rows
+function getJobSummary(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    options: {
+      region: job.options.region,
+      regions: job.options.regions || null,
+      batchSize: job.options.batchSize,
+      sendToSheets: !!job.options.appsScriptUrl,
+      scrape: job.options.scrape || {}
+    },
+    progress: getJobProgress(job),
+    stageStats: job.stageStats || {}
+  };
+}
+
+// Prefer the live in-memory job over its (possibly older) file on disk
+function findJob(id) {
+  return activeJobs.get(id) || getJob(id);
+}
+
+const STOP_MODES = ['after-current', 'now'];
+
+/**
+ * Stop a running job. "after-current" lets the domains being scanned finish and drops
+ * the rest; "now" also aborts the scans in progress (their pages are closed).
+ */
+function stopJob(job, mode = 'after-current', logPrefix = `[Job ${job.id}]`) {
+  cancelJob(job);
+  if (mode === 'now') {
+    jobAborts.get(job.id)?.abort('stopped by user');
+  }
+  console.log(`${logPrefix} Cancelled (${mode === 'now' ? 'stopping now' : 'after the domains in progress'})`);
+  // Jobs that are not being processed right now will never emit their own final event
+  if (!activeJobs.has(job.id)) {
+    emitJobEvent(job, 'job-cancelled');
+  }
+}
+
+// Stop mode from a request ("after-current" when not given); returns an error message or null
+function stopModeError(mode) {
+  return mode === undefined || STOP_MODES.includes(mode) ? null : `Invalid mode: ${mode} (expected ${STOP_MODES.join(' or ')})`;
+}
+
+function startApiJob(job) {
+  processJob(job, `[Job ${job.id}]`).catch(error => {
+    console.error(`[Job ${job.id}] Failed:`, error.message);
+  });
+}
+
+/**
+ * POST /jobs
+ * Body: { domains: [...], region: "anywhere", regions: ["IL", "US"], appsScriptUrl: "...", batchSize: 5, maxAds, maxScrollTime, extraction }
+ * Queue a scan and return its job ID immediately. With `regions`, every domain is also swept across those regions.
+ */
+app.post('/jobs', (req, res) => {
+  const { domains, region = 'anywhere', appsScriptUrl, batchSize } = req.body;
+  const regions = req.body.regions ? parseRegions(req.body.regions) : null;
+
+  if (!domains || !Array.isArray(domains) || domains.length === 0) {
+    return res.status(400).json({ success: false, error: 'Missing or invalid domains array' });
+  }
+
+  // A batch size that claims nothing would finish the job without scanning
+  const size = batchSize ?? 5;
+  if (!(size >= 1 && size <= 20)) {
+    return res.status(400).json({ success: false, error: 'Batch size must be between 1 and 20' });
+  }
+
+  const regionsError = regions && validateRegions(regions);
+  if (regionsError) {
+    return res.status(400).json({ success: false, error: regionsError });
+  }
+
+  const optionsError = scrapeOptionsError(req.body);
+  if (optionsError) {
+    return res.status(400).json({ success: false, error: optionsError });
+  }
+
+  const job = createJob('api', domains, {
+    region,
+    regions,
+    appsScriptUrl: appsScriptUrl || null,
+    batchSize: Number(size),
+    scrape: pickScrapeOptions(req.body)
+  });
+  startApiJob(job);
+
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    statusUrl: `/jobs/${job.id}`,
+    eventsUrl: `/jobs/${job.id}/events`,
+    job: getJobSummary(job)
+  });
+});
+
+/**
+ * GET /jobs
+ * List jobs (newest first), without result rows
+ */
+app.get('/jobs', (req, res) => {
+  const jobs = listJobs().map(job => getJobSummary(activeJobs.get(job.id) || job));
+  res.json({ success: true, jobs });
+});
+
+/**
+ * GET /jobs/:id
+ * Job status, per-domain state and result rows
+ */
+app.get('/jobs/:id', (req, res) => {
+  const job = findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.json({
+    success: true,
+    job: getJobSummary(job),
+    domains: job.items.map(item => ({ domain: item.domain, state: item.state, attempts: item.attempts, error: item.error })),
+    results: getJobRows(job),
+    sweeps: getJobSweeps(job)
+  });
+});
+
+/**
+ * DELETE /jobs/:id?mode=after-current|now
+ * Cancel a job. By default domains already being scanned finish and the rest are dropped;
+ * with mode=now their scans are aborted too and they end up cancelled.
+ */
+app.delete('/jobs/:id', (req, res) => {
+  const job = findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+  const modeError = stopModeError(req.query.mode);
+  if (modeError) {
+    return res.status(400).json({ success: false, error: modeError });
+  }
+  if (job.status !== 'running') {
+    return res.status(409).json({ success: false, error: `Job already ${job.status}` });
+  }
+
+  stopJob(job, req.query.mode);
+
+  res.json({ success: true, job: getJobSummary(job) });
+});
+
+/**
+ * GET /jobs/:id/events
+ * Server-Sent Events stream of per-domain progress.
+ * Sends a "snapshot" event first, then job-start, domain-start, domain-stage (each scraper
+ * stage starting and ending, see scan-progress.js), domain-retry, domain-done,
+ * domain-cancelled, batch-sent and finally job-done or job-cancelled.
+ */
+app.get('/jobs/:id/events', (req, res) => {
+  const job = findJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (event) => {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  send({
+    type: 'snapshot',
+    jobId: job.id,
+    time: new Date().toISOString(),
+    job: getJobSummary(job),
+    progress: getJobProgress(job),
+    domains: job.items.map(item => ({ domain: item.domain, state: item.state })),
+    results: getJobRows(job),
+    sweeps: getJobSweeps(job)
+  });
+
+  if (job.status !== 'running') {
+    return res.end();
+  }
+
+  const onEvent = (event) => {
+    send(event);
+    if (event.type === 'job-done' || event.type === 'job-cancelled') {
+      cleanup();
+      res.end();
+    }
+  };
+  // Comment line keeps proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    jobEvents.off(job.id, onEvent);
+  };
+
+  jobEvents.on(job.id, onEvent);
+  req.on('close', cleanup);
+});
+
+// Resume API jobs that were interrupted by a restart
+function resumeApiJobs() {
+  for (const job of listJobs()) {
+    if (job.type === 'api' && job.status === 'running') {
+      const resumed = findUnfinishedJob('api', job.id);
+      console.log(`[Job ${resumed.id}] Resuming interrupted job`);
+      startApiJob(resumed);
+    }
+  }
+}
+
+// auto-run.json from before named schedules becomes the "auto-run" schedule
+function migrateAutoRunConfig() {
+  const config = readJson(LEGACY_AUTO_RUN_FILE);
+  if (!config) return;
+
+  if (!getSchedule(AUTO_RUN_SCHEDULE_ID) && config.domains?.length > 0) {
+    createSchedule({
+      name: 'Auto-Run',
+      enabled: !!config.enabled,
+      cron: `every ${config.intervalMinutes || 1} minutes`,
+      domains: config.domains,
+      appsScriptUrl: config.appsScriptUrl || null,
+      batchSize: config.batchSize || 5
+    }, AUTO_RUN_SCHEDULE_ID);
+    console.log('[Schedules] Migrated auto-run settings to the "auto-run" schedule');
+  }
+
+  const legacyJob = findUnfinishedJob('auto-run');
+  if (legacyJob) {
+    legacyJob.type = scheduleJobType(AUTO_RUN_SCHEDULE_ID);
+    saveJob(legacyJob);
+  }
+  removeJson(LEGACY_AUTO_RUN_FILE);
+}
+
+// Arm every schedule's timer and resume interrupted runs
+function restoreSchedules() {
+  migrateAutoRunConfig();
+
+  for (const schedule of listSchedules()) {
+    if (findUnfinishedJob(scheduleJobType(schedule.id))) {
+      runSchedule(schedule.id);
+    } else {
+      scheduleNextRun(schedule.id);
+    }
+  }
+
+  const enabled = listSchedules().filter(s => s.enabled);
+  if (enabled.length > 0) {
+    console.log(`[Schedules] ${enabled.length} schedule(s) enabled: ${enabled.map(s => `${s.name} (${s.cron})`).join(', ')}`);
+  }
+}
+
+// Bodies over the limit or not valid JSON get the API's error shape instead of Express's HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: `Request body is over the ${err.limit} byte limit` });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ success: false, error: 'Request body is not valid JSON' });
+  }
+  next(err);
+});
+
+// Close pooled browsers on shutdown
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    console.log(`Received ${signal}, closing browser pool...`);
+    await closePool();
+    process.exit(0);
+  });
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log('='.repeat(50));
@@ -694,14 +1756,38 @@ app.listen(PORT, () => {
   console.log(`  GET  /health`);
   console.log(`  GET  /auth                  — Authorize Google Drive`);
   console.log(`  GET  /drive-status          — Check Drive auth status`);
-  console.log(`  GET  /scrape?domain=example.com`);
+  console.log(`  GET  /scrape?domain=example.com&include=ads,screenshot`);
+  console.log(`  GET  /scrape-advertiser?id=AR...`);
+  console.log(`  GET  /sweep?domain=example.com&regions=IL,US,GB,DE`);
   console.log(`  POST /scrape-batch  { domains: [...] }`);
   console.log(`  POST /upload-screenshot  { base64, domain }`);
+  console.log(`  GET  /schedules  POST /schedules  PUT|DELETE /schedules/:id`);
+  console.log(`  POST /schedules/:id/run      — Run a schedule now`);
+  console.log(`  POST /schedules/:id/stop     — Stop a schedule's run (mode: after-current | now)`);
+  console.log(`  GET  /breaker  POST /breaker/reset — Blocking circuit breaker`);
+  console.log(`  GET  /proxies  POST /proxies/check — Outbound proxies and health checks`);
   console.log(`  GET  /auto-run/status`);
   console.log(`  POST /auto-run/start  { intervalMinutes, appsScriptUrl, domains }`);
   console.log(`  POST /auto-run/stop`);
   console.log(`  GET  /auto-run/results`);
+  console.log(`  POST /jobs  { domains, region, appsScriptUrl, batchSize }`);
+  console.log(`  GET  /jobs/:id              — Job status and results`);
+  console.log(`  GET  /jobs/:id/events       — Live progress (Server-Sent Events)`);
+  console.log(`  DELETE /jobs/:id            — Cancel job (?mode=after-current | now)`);
+  console.log(`  GET  /history?domain=example.com&from=&to=`);
+  console.log(`  GET  /history/advertiser/:id`);
+  console.log(`  GET  /changes?domain=&type=`);
+  console.log(`  GET  /scans/:id/screenshot  — Screenshot of a scan (PNG)`);
+  console.log(`  GET  /assets/:hash          — Archived creative asset (/similar for near-duplicates)`);
+  console.log(`  GET  /alerts/rules  POST /alerts/rules  PUT|DELETE /alerts/rules/:id`);
+  console.log(`  GET  /alerts                — Sent alerts`);
   console.log('');
+  console.log(`Browser pool: ${getPoolStatus().concurrency} concurrent page(s) — set SCAN_CONCURRENCY to change`);
+  console.log(`Transparency Center: ${BASE_URL}`);
   console.log(`Drive Auth: ${isAuthenticated() ? 'Authenticated' : 'Not authenticated — visit http://localhost:${PORT}/auth'}`);
   console.log('='.repeat(50));
+
+  startProxyHealthChecks();
+  restoreSchedules();
+  resumeApiJobs();
 });
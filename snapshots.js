@@ -0,0 +1,130 @@
+/**
+ * Page snapshots
+ * In record mode every page a scan reads (search results, advertiser and creative pages)
+ * is saved as HTML under data/snapshots/<domain or advertiser>/<time>/, next to a
+ * result.json with the scan options and result. loadSnapshot() turns a saved page back
+ * into a document the extractors (see extractors.js) can read without a browser.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolvePath, writeJson } = require('./store');
+
+const RECORD_SNAPSHOTS = ['true', '1'].includes(String(process.env.SCRAPE_RECORD || '').toLowerCase());
+
+const SNAPSHOTS_DIR = 'snapshots';
+
+// Elements that start and end a line in innerText
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BODY', 'DD', 'DETAILS', 'DIALOG', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER',
+  'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'TR', 'UL'
+]);
+// Elements whose text is never rendered
+const HIDDEN_TAGS = new Set(['HEAD', 'NOSCRIPT', 'SCRIPT', 'STYLE', 'TEMPLATE']);
+const LINE_BREAK = '\u0000';
+
+/**
+ * Approximation of the browser's innerText for a document without layout:
+ * block elements are on their own lines and whitespace is collapsed
+ */
+function renderedText(root) {
+  let text = '';
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      text += node.textContent.replace(/\s+/g, ' ');
+      return;
+    }
+    if (node.nodeType !== 1 || HIDDEN_TAGS.has(node.tagName)) return;
+    if (node.tagName === 'BR') {
+      text += '\n';
+      return;
+    }
+    const block = BLOCK_TAGS.has(node.tagName);
+    if (block) text += LINE_BREAK;
+    node.childNodes.forEach(walk);
+    if (block) text += LINE_BREAK;
+  };
+  walk(root);
+
+  return text
+    .replace(/ *\u0000[\u0000 ]*/g, '\n')
+    .replace(/ *\n */g, '\n')
+    .replace(/ {2,}/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse saved page HTML into a document for the extractors
+ * @returns {Document}
+ */
+function loadSnapshot(html) {
+  // Only needed offline, so the server doesn't load a second DOM implementation
+  const { parseHTML } = require('linkedom');
+  const { document, HTMLElement } = parseHTML(html);
+
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() { return renderedText(this); }
+  });
+  // linkedom has no <video> element class, so video.src and video.poster are missing
+  for (const attribute of ['src', 'poster']) {
+    Object.defineProperty(HTMLElement.prototype, attribute, {
+      configurable: true,
+      get() { return this.tagName === 'VIDEO' ? this.getAttribute(attribute) || '' : undefined; }
+    });
+  }
+  return document;
+}
+
+/**
+ * Start recording the pages of one scan attempt
+ * @param {string} id - Domain or advertiser ID, the recording's directory name
+ * @returns {object} - Recorder for recordPage() and saveRecording()
+ */
+function createRecorder(id) {
+  const recordedAt = new Date().toISOString();
+  const dir = path.join(SNAPSHOTS_DIR, id.replace(/[^\w.-]/g, '_'), recordedAt.replace(/[:.]/g, '-'));
+  fs.mkdirSync(resolvePath(dir), { recursive: true });
+  return { id, dir, recordedAt, pages: [] };
+}
+
+/**
+ * Save the HTML of the page the browser is on
+ * @param {string} name - File name without extension: "search", "advertiser-AR...", "creative-CR..."
+ */
+async function recordPage(recorder, page, name) {
+  if (!recorder) return;
+  try {
+    fs.writeFileSync(resolvePath(path.join(recorder.dir, `${name}.html`)), await page.content());
+    recorder.pages.push({ name, url: page.url() });
+  } catch (error) {
+    console.error(`[Snapshots] Could not record ${name}:`, error.message);
+  }
+}
+
+/**
+ * Write result.json next to the recorded pages (screenshots left out)
+ * @param {object} options - Scan settings the pages were read with (region, locale, filters...)
+ */
+function saveRecording(recorder, options, result) {
+  if (!recorder) return;
+  const data = result.data && JSON.parse(JSON.stringify(result.data, (key, value) =>
+    ['screenshot', 'detailScreenshot'].includes(key) ? undefined : value));
+  writeJson(path.join(recorder.dir, 'result.json'), {
+    id: recorder.id,
+    recordedAt: recorder.recordedAt,
+    options,
+    pages: recorder.pages,
+    result: { ...result, data }
+  });
+  console.log(`  Recorded ${recorder.pages.length} page(s) in ${resolvePath(recorder.dir)}`);
+}
+
+module.exports = {
+  RECORD_SNAPSHOTS,
+  loadSnapshot,
+  createRecorder,
+  recordPage,
+  saveRecording
+};
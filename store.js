@@ -0,0 +1,102 @@
+/**
+ * Local JSON file storage
+ * Everything the server persists between restarts lives under DATA_DIR (default: ./data)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+function resolvePath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+/**
+ * Read a JSON file from the data directory, returning fallback if missing or unreadable
+ */
+function readJson(name, fallback = null) {
+  const filePath = resolvePath(name);
+  if (!fs.existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`[Store] Could not read ${name}:`, error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file to the data directory.
+ * Writes to a temp file first so a crash mid-write never leaves a truncated file.
+ */
+function writeJson(name, data) {
+  const filePath = resolvePath(name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * List JSON file names in a data subdirectory
+ */
+function listJson(dir) {
+  return listFiles(dir, '.json');
+}
+
+/**
+ * Append one record to a JSON-lines file in the data directory
+ */
+function appendJsonLine(name, record) {
+  const filePath = resolvePath(name);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Read all records of a JSON-lines file (skipping lines that don't parse)
+ */
+function readJsonLines(name) {
+  const filePath = resolvePath(name);
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * List file names with the given extension in a data subdirectory
+ */
+function listFiles(dir, extension) {
+  const dirPath = resolvePath(dir);
+  if (!fs.existsSync(dirPath)) return [];
+  return fs.readdirSync(dirPath)
+    .filter(f => f.endsWith(extension))
+    .map(f => path.join(dir, f));
+}
+
+function removeJson(name) {
+  const filePath = resolvePath(name);
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+module.exports = {
+  DATA_DIR,
+  resolvePath,
+  readJson,
+  writeJson,
+  listJson,
+  listFiles,
+  appendJsonLine,
+  readJsonLines,
+  removeJson
+};
@@ -1,6 +1,8 @@
 /**
- * Test script for the Google Ads Transparency scraper
- * Run with: node test.js
+ * Live test script for the Google Ads Transparency scraper
+ * Run with: npm run test:live [domain]
+ * The scanned pages are recorded under data/snapshots (see snapshots.js); copy a recording
+ * into test/fixtures/ and run npm run test:update to turn it into an offline regression case.
  */
 
 const { scrapeAdTransparency } = require('./scraper');
@@ -16,7 +18,7 @@ async function runTest() {
   console.log('');
 
   const startTime = Date.now();
-  const result = await scrapeAdTransparency(testDomain);
+  const result = await scrapeAdTransparency(testDomain, { record: true });
   const duration = ((Date.now() - startTime) / 1000).toFixed(2);
 
   console.log(`\nScraping completed in ${duration}s`);
@@ -47,14 +49,6 @@ async function runTest() {
         console.log(`      Advertiser: ${ad.advertiserName}`);
         console.log(`      URL: ${ad.url}`);
       });
-
-      // Save HTML for inspection
-      const htmlPath = `ads_html_${testDomain.replace(/\./g, '_')}.html`;
-      const htmlContent = data.ads.map((ad, i) =>
-        `<!-- AD ${i + 1} -->\n${ad.html}\n\n`
-      ).join('<hr>\n');
-      fs.writeFileSync(htmlPath, `<html><body>\n${htmlContent}\n</body></html>`);
-      console.log(`\nAd HTML saved: ${htmlPath}`);
     }
 
     // Save screenshot if available
@@ -0,0 +1,261 @@
+/**
+ * Alert rule tests against a local webhook receiver and a local SMTP stand-in
+ * Covers delivery to both channels, de-duplication while a condition holds, alerting
+ * again once it cleared, retrying only the channels that failed, keeping undelivered
+ * change alerts, and giving up on a webhook that does not answer.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+
+// The store reads DATA_DIR when it is loaded
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-test-'));
+process.env.ALERT_TIMEOUT = '500';
+const { createRule, processScanAlerts } = require('../alerts');
+
+// Webhook receiver: records JSON bodies, answers 500 while `failing` is set and never answers /hang
+function startReceiver() {
+  const receiver = { posts: [], failing: false };
+  receiver.server = http.createServer((req, res) => {
+    if (req.url === '/hang') return;
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (receiver.failing) {
+        res.writeHead(500).end();
+        return;
+      }
+      receiver.posts.push(JSON.parse(body));
+      res.writeHead(200).end('ok');
+    });
+  });
+  return new Promise(resolve => receiver.server.listen(0, '127.0.0.1', () => resolve(receiver)));
+}
+
+// Just enough SMTP for nodemailer without TLS: records recipients and message bodies,
+// rejects recipients while `failing` is set
+function startSmtpServer() {
+  const smtp = { messages: [], sockets: new Set(), failing: false };
+  smtp.server = net.createServer(socket => {
+    smtp.sockets.add(socket);
+    socket.on('close', () => smtp.sockets.delete(socket));
+
+    let buffer = '';
+    let message = null;
+    let recipients = [];
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (message) {
+          if (line === '.') {
+            smtp.messages.push({ to: recipients, body: message.join('\n') });
+            message = null;
+            recipients = [];
+            socket.write('250 OK queued\r\n');
+          } else {
+            message.push(line);
+          }
+          continue;
+        }
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'RCPT' && smtp.failing) {
+          socket.write('550 Mailbox unavailable\r\n');
+        } else if (command === 'RCPT') {
+          recipients.push(line.match(/<(.*)>/)?.[1]);
+          socket.write('250 OK\r\n');
+        } else if (command === 'DATA') {
+          message = [];
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => smtp.server.listen(0, '127.0.0.1', () => resolve(smtp)));
+}
+
+let receiver;
+let smtp;
+let webhookUrl;
+
+test.before(async () => {
+  receiver = await startReceiver();
+  smtp = await startSmtpServer();
+  webhookUrl = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(smtp.server.address().port);
+  process.env.SMTP_IGNORE_TLS = 'true';
+});
+
+test.after(() => {
+  receiver.server.closeAllConnections();
+  receiver.server.close();
+  for (const socket of smtp.sockets) socket.destroy();
+  smtp.server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('rules with non-array recipients are rejected', () => {
+  const result = createRule({
+    name: 'String webhook',
+    condition: { type: 'total-ads-above', threshold: 1 },
+    webhooks: 'https://hooks.example.com/a'
+  });
+  assert.strictEqual(result.success, false);
+  assert.match(result.error, /webhooks must be an array/);
+
+  const emails = createRule({
+    name: 'String email',
+    condition: { type: 'total-ads-above', threshold: 1 },
+    emails: 'analyst@example.com'
+  });
+  assert.strictEqual(emails.success, false);
+  assert.match(emails.error, /emails must be an array/);
+});
+
+test('a condition alerts once, is de-duplicated while it holds and alerts again after it clears', async () => {
+  const { rule } = createRule({
+    name: 'Too many ads',
+    condition: { type: 'total-ads-above', threshold: 10 },
+    domains: ['dedup.example.com'],
+    webhooks: [webhookUrl],
+    emails: ['analyst@example.com']
+  });
+  const domain = 'dedup.example.com';
+
+  const first = await processScanAlerts(domain, { totalAds: 25 });
+  assert.strictEqual(first.length, 1);
+  assert.strictEqual(first[0].delivered, true);
+  assert.deepStrictEqual(first[0].deliveries.map(d => [d.channel, d.success]), [['webhook', true], ['email', true]]);
+
+  assert.strictEqual(receiver.posts.length, 1);
+  assert.strictEqual(receiver.posts[0].alert.ruleId, rule.id);
+  assert.strictEqual(receiver.posts[0].alert.domain, domain);
+  assert.match(receiver.posts[0].text, /25 ads \(above 10\)/);
+
+  assert.strictEqual(smtp.messages.length, 1);
+  assert.deepStrictEqual(smtp.messages[0].to, ['analyst@example.com']);
+  assert.match(smtp.messages[0].body, /25 ads \(above 10\)/);
+
+  // Still above the threshold: nothing new
+  assert.deepStrictEqual(await processScanAlerts(domain, { totalAds: 30 }), []);
+  assert.strictEqual(receiver.posts.length, 1);
+  assert.strictEqual(smtp.messages.length, 1);
+
+  // Cleared, then above again: alerts again
+  assert.deepStrictEqual(await processScanAlerts(domain, { totalAds: 5 }), []);
+  const again = await processScanAlerts(domain, { totalAds: 40 });
+  assert.strictEqual(again.length, 1);
+  assert.strictEqual(receiver.posts.length, 2);
+  assert.strictEqual(smtp.messages.length, 2);
+});
+
+test('an alert no channel delivered is retried on the next scan', async () => {
+  createRule({
+    name: 'Unverified publisher',
+    condition: { type: 'unverified-publisher' },
+    domains: ['retry.example.com'],
+    webhooks: [webhookUrl]
+  });
+  const domain = 'retry.example.com';
+  const data = { publishers: [{ id: 'AR123', name: 'Someone', verified: false }] };
+  const postsBefore = receiver.posts.length;
+
+  receiver.failing = true;
+  const failed = await processScanAlerts(domain, data);
+  assert.strictEqual(failed.length, 1);
+  assert.strictEqual(failed[0].delivered, false);
+  assert.match(failed[0].deliveries[0].error, /HTTP 500/);
+
+  receiver.failing = false;
+  const retried = await processScanAlerts(domain, data);
+  assert.strictEqual(retried.length, 1);
+  assert.strictEqual(retried[0].delivered, true);
+  assert.strictEqual(receiver.posts.length, postsBefore + 1);
+  assert.strictEqual(receiver.posts.at(-1).alert.matches[0].advertiserId, 'AR123');
+
+  // Delivered now, so the next scan is de-duplicated
+  assert.deepStrictEqual(await processScanAlerts(domain, data), []);
+});
+
+test('only the channel that failed gets the alert again', async () => {
+  createRule({
+    name: 'Publisher abroad',
+    condition: { type: 'location-not-in', countries: ['Israel'] },
+    domains: ['channels.example.com'],
+    webhooks: [webhookUrl],
+    emails: ['analyst@example.com']
+  });
+  const domain = 'channels.example.com';
+  const data = { publishers: [{ id: 'AR7', name: 'Abroad', verified: true, location: 'Cyprus' }] };
+  const postsBefore = receiver.posts.length;
+  const messagesBefore = smtp.messages.length;
+
+  smtp.failing = true;
+  const first = await processScanAlerts(domain, data);
+  assert.strictEqual(first[0].delivered, false);
+  assert.deepStrictEqual(first[0].deliveries.map(d => [d.channel, d.success]), [['webhook', true], ['email', false]]);
+  assert.strictEqual(receiver.posts.length, postsBefore + 1);
+
+  smtp.failing = false;
+  const retried = await processScanAlerts(domain, data);
+  assert.strictEqual(retried[0].delivered, true);
+  assert.deepStrictEqual(retried[0].deliveries.map(d => d.channel), ['email']);
+  assert.strictEqual(receiver.posts.length, postsBefore + 1);
+  assert.strictEqual(smtp.messages.length, messagesBefore + 1);
+
+  assert.deepStrictEqual(await processScanAlerts(domain, data), []);
+});
+
+test('an undelivered change alert is sent on the next scan, which has no such change', async () => {
+  createRule({
+    name: 'New advertisers',
+    condition: { type: 'change', changeTypes: ['advertiser-appeared'] },
+    domains: ['changes.example.com'],
+    webhooks: [webhookUrl]
+  });
+  const domain = 'changes.example.com';
+  const change = { type: 'advertiser-appeared', domain, advertiserId: 'AR9', advertiserName: 'Newcomer', scannedAt: '2025-03-01T10:00:00.000Z' };
+
+  receiver.failing = true;
+  const failed = await processScanAlerts(domain, {}, [change]);
+  assert.strictEqual(failed[0].delivered, false);
+
+  receiver.failing = false;
+  const retried = await processScanAlerts(domain, {}, []);
+  assert.strictEqual(retried.length, 1);
+  assert.strictEqual(retried[0].delivered, true);
+  assert.match(receiver.posts.at(-1).text, /New advertiser Newcomer on changes\.example\.com/);
+
+  assert.deepStrictEqual(await processScanAlerts(domain, {}, []), []);
+});
+
+test('a webhook that never answers times out instead of holding up later alerts', async () => {
+  const hangingUrl = webhookUrl.replace('/hook', '/hang');
+  createRule({
+    name: 'Hanging receiver',
+    condition: { type: 'total-ads-above', threshold: 1 },
+    domains: ['hang.example.com'],
+    webhooks: [hangingUrl]
+  });
+
+  const startedAt = Date.now();
+  const [alert] = await processScanAlerts('hang.example.com', { totalAds: 5 });
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.strictEqual(alert.delivered, false);
+  assert.match(alert.deliveries[0].error, /did not answer within 500ms/);
+});
@@ -0,0 +1,92 @@
+/**
+ * Asset archive downloads against a local server standing in for an ad-serving host
+ * (the Transparency Center's own host is allowed, as it is for the mock site)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+process.env.ASSET_MAX_BYTES = '1024';
+
+let server;
+let origin;
+let assets;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === '/video.mp4') {
+      res.writeHead(200, { 'Content-Type': 'video/mp4' }).end(Buffer.alloc(512, 1));
+    } else if (req.url === '/moved') {
+      res.writeHead(302, { Location: '/video.mp4' }).end();
+    } else if (req.url === '/elsewhere') {
+      res.writeHead(302, { Location: 'http://169.254.169.254/latest/meta-data' }).end();
+    } else if (req.url === '/huge') {
+      // No Content-Length: the limit has to be enforced while reading
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      const chunk = Buffer.alloc(400, 2);
+      const interval = setInterval(() => res.write(chunk), 5);
+      res.on('close', () => clearInterval(interval));
+    } else if (req.url === '/slow') {
+      res.writeHead(200, { 'Content-Type': 'video/mp4' });
+      res.write(Buffer.alloc(10));
+    } else {
+      res.writeHead(404).end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+  // Read when asset-store.js is loaded
+  process.env.TRANSPARENCY_BASE_URL = origin;
+  assets = require('../asset-store');
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function videoAd(creativeId, videoUrl) {
+  return { creativeId, videoUrl };
+}
+
+test('an asset is archived once by its SHA-256, following redirects on allowed hosts', async () => {
+  const ads = [videoAd('CR1', `${origin}/video.mp4`), videoAd('CR2', `${origin}/moved`)];
+  await assets.archiveAdAssets(null, ads);
+
+  assert.strictEqual(ads[0].assets.video.size, 512);
+  assert.strictEqual(ads[0].assets.video.contentType, 'video/mp4');
+  assert.strictEqual(ads[1].assets.video.hash, ads[0].assets.video.hash);
+
+  const archived = assets.getAsset(ads[0].assets.video.hash);
+  assert.deepStrictEqual(archived.meta.urls, [`${origin}/video.mp4`, `${origin}/moved`]);
+});
+
+test('hosts that do not serve ads are not fetched, directly or through a redirect', async () => {
+  const ads = [videoAd('CR3', 'http://169.254.169.254/latest/meta-data'), videoAd('CR4', `${origin}/elsewhere`)];
+  await assets.archiveAdAssets(null, ads);
+  assert.match(ads[0].assets.video.error, /Not an ad-serving host: 169\.254\.169\.254/);
+  assert.match(ads[1].assets.video.error, /Not an ad-serving host: 169\.254\.169\.254/);
+});
+
+test('a body over ASSET_MAX_BYTES is cut off while reading', async () => {
+  const ads = [videoAd('CR5', `${origin}/huge`)];
+  await assets.archiveAdAssets(null, ads);
+  assert.match(ads[0].assets.video.error, /over 1024 bytes/);
+});
+
+test('a stopped scan stops its download and archiving', async () => {
+  const controller = new AbortController();
+  const ads = [videoAd('CR6', `${origin}/slow`), videoAd('CR7', `${origin}/video.mp4`)];
+  setTimeout(() => controller.abort('stopped'), 100);
+
+  const startedAt = Date.now();
+  await assert.rejects(assets.archiveAdAssets(null, ads, { signal: controller.signal }));
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.strictEqual(ads[1].assets, undefined);
+});
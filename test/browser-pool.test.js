@@ -0,0 +1,84 @@
+/**
+ * Browser pool recycling and shutdown, with puppeteer.launch() replaced by in-memory
+ * browsers (no Chromium needed)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const puppeteer = require('puppeteer');
+
+const launched = [];
+
+function fakePage() {
+  const page = new EventEmitter();
+  let closed = false;
+  page.isClosed = () => closed;
+  page.close = async () => { closed = true; };
+  page.metrics = async () => ({ JSHeapTotalSize: 10 * 1024 * 1024 });
+  return page;
+}
+
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.newPage = async () => fakePage();
+  browser.close = async () => {
+    if (!browser.connected) return;
+    browser.connected = false;
+    browser.emit('disconnected');
+  };
+  return browser;
+}
+
+// browser-pool.js calls puppeteer.launch() when it needs a browser
+puppeteer.launch = async () => {
+  const browser = fakeBrowser();
+  launched.push(browser);
+  return browser;
+};
+const pool = require('../browser-pool');
+
+test('a recycled browser stays open for its leased pages and is closed after the last one', async () => {
+  pool.configurePool({ concurrency: 3, maxPagesPerBrowser: 2 });
+  const first = await pool.acquirePage();
+  const second = await pool.acquirePage();
+  assert.strictEqual(launched.length, 1);
+
+  // Served its two pages: retired, but `second` is still in use
+  await pool.releasePage(first);
+  assert.strictEqual(launched[0].connected, true);
+
+  const third = await pool.acquirePage();
+  assert.strictEqual(launched.length, 2);
+  assert.strictEqual(pool.getPoolStatus().browsersOpen, 2);
+
+  await pool.releasePage(second);
+  assert.strictEqual(launched[0].connected, false);
+  assert.strictEqual(pool.getPoolStatus().browsersOpen, 1);
+  assert.strictEqual(pool.getPoolStatus().recycled, 1);
+  await pool.releasePage(third);
+});
+
+test('shutdown closes retired browsers that still have leased pages, not only the current one', async () => {
+  pool.configurePool({ concurrency: 3, maxPagesPerBrowser: 1 });
+  const before = launched.length;
+
+  const leased = await pool.acquirePage();
+  const done = await pool.acquirePage();
+  // Both pages came from the same browser, which is retired when `done` is released
+  assert.strictEqual(launched.length, before);
+  await pool.releasePage(done);
+  const retired = launched[before - 1];
+  assert.strictEqual(retired.connected, true);
+
+  await pool.acquirePage();
+  const currentBrowser = launched.at(-1);
+  assert.notStrictEqual(currentBrowser, retired);
+
+  await pool.closePool();
+  assert.strictEqual(retired.connected, false);
+  assert.strictEqual(currentBrowser.connected, false);
+  assert.strictEqual(pool.getPoolStatus().browsersOpen, 0);
+  assert.ok(leased);
+});
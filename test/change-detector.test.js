@@ -0,0 +1,133 @@
+/**
+ * Change detection between two history entries, and reading stored changes by time
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store reads DATA_DIR when it is loaded
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'changes-test-'));
+const { diffScans, recordChanges, getChanges } = require('../change-detector');
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+// History entry with one ad per creative ID: { AR1: ['c1', 'c2'], ... }
+function entry(scannedAt, creativesByAdvertiser, { totalAds, complete = true, publishers = {} } = {}) {
+  const ads = [];
+  for (const [advertiserId, creativeIds] of Object.entries(creativesByAdvertiser)) {
+    for (const creativeId of creativeIds) ads.push({ creativeId, advertiserId, advertiserName: `Name ${advertiserId}` });
+  }
+  return {
+    scannedAt,
+    domain: 'example.com',
+    region: 'anywhere',
+    success: true,
+    totalAds: totalAds ?? ads.length,
+    inventoryComplete: complete,
+    publishers: Object.keys(creativesByAdvertiser).map(id => ({
+      id,
+      name: `Name ${id}`,
+      verified: true,
+      location: 'Israel',
+      adsInView: creativesByAdvertiser[id].length,
+      ...publishers[id]
+    })),
+    ads
+  };
+}
+
+function types(changes) {
+  return changes.map(c => `${c.type}:${c.advertiserId || ''}`).sort();
+}
+
+test('a first scan or a failed scan has no changes', () => {
+  const current = entry('2025-03-02T00:00:00Z', { AR1: ['c1'] });
+  assert.deepStrictEqual(diffScans(null, current), []);
+  assert.deepStrictEqual(diffScans({ ...current, success: false }, current), []);
+});
+
+test('complete lists report appeared and disappeared advertisers and new creatives', () => {
+  const previous = entry('2025-03-01T00:00:00Z', { AR1: ['c1'], AR2: ['c2'] });
+  const current = entry('2025-03-02T00:00:00Z', { AR1: ['c1', 'c3'], AR3: ['c4'] });
+  const changes = diffScans(previous, current, { totalAdsThreshold: 50 });
+
+  assert.deepStrictEqual(types(changes), [
+    'advertiser-appeared:AR3',
+    'advertiser-disappeared:AR2',
+    'new-creatives:AR1',
+    'new-creatives:AR3'
+  ]);
+  const newForAr1 = changes.find(c => c.type === 'new-creatives' && c.advertiserId === 'AR1');
+  assert.deepStrictEqual(newForAr1.creativeIds, ['c3']);
+  assert.strictEqual(newForAr1.previousScannedAt, previous.scannedAt);
+});
+
+test('sampled lists do not produce appeared, disappeared or new-creative events', () => {
+  // Two samples of a large inventory that happened to catch different ads
+  const previous = entry('2025-03-01T00:00:00Z', { AR1: ['c1'], AR2: ['c2'] }, { totalAds: 500, complete: false });
+  const current = entry('2025-03-02T00:00:00Z', { AR1: ['c5'], AR3: ['c6'] }, { totalAds: 500, complete: false });
+  assert.deepStrictEqual(diffScans(previous, current), []);
+});
+
+test('a complete previous list still finds new items in a sampled current list', () => {
+  const previous = entry('2025-03-01T00:00:00Z', { AR1: ['c1'] });
+  const current = entry('2025-03-02T00:00:00Z', { AR1: ['c1'], AR2: ['c2'] }, { totalAds: 2, complete: false });
+  // AR1's other ads may be outside the sample, so nothing disappeared
+  assert.deepStrictEqual(types(diffScans(previous, current, { totalAdsThreshold: 200 })), [
+    'advertiser-appeared:AR2',
+    'new-creatives:AR2'
+  ]);
+});
+
+test('entries recorded without inventoryComplete count as samples', () => {
+  const previous = entry('2025-03-01T00:00:00Z', { AR1: ['c1'] });
+  delete previous.inventoryComplete;
+  const current = entry('2025-03-02T00:00:00Z', { AR2: ['c2'] });
+  assert.deepStrictEqual(types(diffScans(previous, current)), ['advertiser-disappeared:AR1']);
+});
+
+test('total ads changes above the threshold, and from zero, are reported', () => {
+  const previous = entry('2025-03-01T00:00:00Z', { AR1: ['c1'] }, { totalAds: 100 });
+  const small = entry('2025-03-02T00:00:00Z', { AR1: ['c1'] }, { totalAds: 110 });
+  const jump = entry('2025-03-02T00:00:00Z', { AR1: ['c1'] }, { totalAds: 150 });
+  assert.deepStrictEqual(diffScans(previous, small, { totalAdsThreshold: 20 }), []);
+
+  const [change] = diffScans(previous, jump, { totalAdsThreshold: 20 });
+  assert.strictEqual(change.type, 'total-ads-changed');
+  assert.strictEqual(change.changePercent, 50);
+
+  const fromZero = entry('2025-03-01T00:00:00Z', { AR1: ['c1'] }, { totalAds: 0 });
+  assert.strictEqual(diffScans(fromZero, previous)[0].changePercent, null);
+});
+
+test('verification and location changes of advertisers in both scans are reported', () => {
+  const previous = entry('2025-03-01T00:00:00Z', { AR1: ['c1'], AR2: ['c2'] }, { publishers: { AR2: { location: null } } });
+  const current = entry('2025-03-02T00:00:00Z', { AR1: ['c1'], AR2: ['c2'] }, {
+    publishers: { AR1: { verified: false, location: 'Cyprus' }, AR2: { location: 'Israel' } }
+  });
+  const changes = diffScans(previous, current);
+  // A location that was missing before is a failed lookup, not a move
+  assert.deepStrictEqual(types(changes), ['location-changed:AR1', 'verification-changed:AR1']);
+  assert.deepStrictEqual(changes.find(c => c.type === 'location-changed').current, 'Cyprus');
+});
+
+test('stored changes are read newest first, a date-only "to" including that whole day', () => {
+  const at = (scannedAt, type) => ({ domain: 'example.com', scannedAt, type });
+  recordChanges('example.com', [
+    at('2025-03-01T09:00:00.000Z', 'new-creatives'),
+    at('2025-03-01T18:30:00.000Z', 'total-ads-changed'),
+    at('2025-03-02T09:00:00.000Z', 'new-creatives')
+  ]);
+
+  assert.deepStrictEqual(getChanges({ domain: 'example.com', to: '2025-03-01' }).map(c => c.scannedAt), [
+    '2025-03-01T18:30:00.000Z',
+    '2025-03-01T09:00:00.000Z'
+  ]);
+  assert.strictEqual(getChanges({ domain: 'example.com', type: 'new-creatives', from: '2025-03-02' }).length, 1);
+  assert.strictEqual(getChanges({}).length, 3);
+});
@@ -0,0 +1,127 @@
+/**
+ * Circuit breaker transitions (closed, open, half-open) with short cooldowns, and
+ * restoring a persisted breaker after a restart
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+
+// Read when the modules are loaded
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'breaker-test-'));
+process.env.BREAKER_THRESHOLD = '2';
+process.env.BREAKER_COOLDOWN = '200';
+process.env.BREAKER_MAX_COOLDOWN = '300';
+
+let breaker = require('../circuit-breaker');
+
+const BLOCKED = { success: false, errorClass: 'captcha', error: 'Google showed a CAPTCHA' };
+const OK = { success: true };
+
+// Cooldown of an open breaker in ms (opening time and resume time are read a moment apart)
+function cooldown(status) {
+  return Date.parse(status.resumeAt) - Date.parse(status.openedAt);
+}
+
+// A fresh process that only sees the persisted state
+function restart() {
+  for (const module of ['../circuit-breaker', '../store']) {
+    delete require.cache[require.resolve(module)];
+  }
+  breaker = require('../circuit-breaker');
+}
+
+test.beforeEach(() => {
+  breaker.resetBreaker();
+});
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('blocks in a row open the breaker; other failures and a success in between do not', () => {
+  breaker.recordScanOutcome('a.com', BLOCKED);
+  breaker.recordScanOutcome('b.com', { success: false, errorClass: 'timeout' });
+  assert.strictEqual(breaker.getBreakerStatus().state, 'closed');
+  assert.strictEqual(breaker.getBreakerStatus().consecutiveBlocks, 1);
+
+  breaker.recordScanOutcome('c.com', OK);
+  assert.strictEqual(breaker.getBreakerStatus().consecutiveBlocks, 0);
+
+  breaker.recordScanOutcome('d.com', BLOCKED);
+  breaker.recordScanOutcome('e.com', { success: false, errorClass: 'consent', error: 'Consent page' });
+  const status = breaker.getBreakerStatus();
+  assert.strictEqual(status.state, 'open');
+  assert.strictEqual(status.blocked, true);
+  assert.strictEqual(status.trips, 1);
+  assert.strictEqual(status.threshold, 2);
+  assert.strictEqual(status.lastBlock.domain, 'e.com');
+  assert.strictEqual(status.lastBlock.errorClass, 'consent');
+});
+
+test('after the cooldown the breaker is half-open: a block re-opens it for longer, a success closes it', async () => {
+  breaker.recordScanOutcome('a.com', BLOCKED);
+  breaker.recordScanOutcome('b.com', BLOCKED);
+  const first = breaker.getBreakerStatus();
+  assert.ok(cooldown(first) >= 200 && cooldown(first) < 250);
+
+  await sleep(250);
+  assert.strictEqual(breaker.getBreakerStatus().state, 'half-open');
+  assert.strictEqual(breaker.getBreakerStatus().blocked, false);
+
+  // One block is enough to re-open it; the cooldown doubles up to the maximum
+  breaker.recordScanOutcome('c.com', BLOCKED);
+  const second = breaker.getBreakerStatus();
+  assert.strictEqual(second.state, 'open');
+  assert.strictEqual(second.trips, 2);
+  assert.ok(cooldown(second) >= 300 && cooldown(second) < 350);
+
+  await sleep(350);
+  assert.strictEqual(breaker.getBreakerStatus().state, 'half-open');
+  breaker.recordScanOutcome('d.com', OK);
+  const closed = breaker.getBreakerStatus();
+  assert.strictEqual(closed.state, 'closed');
+  assert.strictEqual(closed.trips, 0);
+  assert.strictEqual(closed.lastBlock.domain, 'c.com');
+});
+
+test('waiting ends when the cooldown does, or when the caller stops it', async () => {
+  breaker.recordScanOutcome('a.com', BLOCKED);
+  breaker.recordScanOutcome('b.com', BLOCKED);
+  assert.strictEqual(await breaker.waitWhileBlocked(() => true), false);
+
+  const startedAt = Date.now();
+  assert.strictEqual(await breaker.waitWhileBlocked(), true);
+  assert.ok(Date.now() - startedAt >= 150);
+  assert.strictEqual(breaker.getBreakerStatus().state, 'half-open');
+});
+
+test('a restart keeps an active cooldown and resumes half-open once it has passed', async () => {
+  breaker.recordScanOutcome('a.com', BLOCKED);
+  breaker.recordScanOutcome('b.com', BLOCKED);
+
+  restart();
+  const restored = breaker.getBreakerStatus();
+  assert.strictEqual(restored.state, 'open');
+  assert.strictEqual(restored.blocked, true);
+  assert.strictEqual(restored.trips, 1);
+
+  await sleep(250);
+  restart();
+  assert.strictEqual(breaker.getBreakerStatus().state, 'half-open');
+  // Still half-open: the next block re-opens it with the doubled cooldown
+  breaker.recordScanOutcome('c.com', BLOCKED);
+  assert.strictEqual(breaker.getBreakerStatus().trips, 2);
+});
+
+test('resetting closes an open breaker', () => {
+  breaker.recordScanOutcome('a.com', BLOCKED);
+  breaker.recordScanOutcome('b.com', BLOCKED);
+  const status = breaker.resetBreaker();
+  assert.strictEqual(status.state, 'closed');
+  assert.strictEqual(status.blocked, false);
+  assert.strictEqual(status.consecutiveBlocks, 0);
+});
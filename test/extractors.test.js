@@ -0,0 +1,108 @@
+/**
+ * Golden-file tests for the page extractors (offline, no browser)
+ * Each directory in test/fixtures is a recording made in record mode (see snapshots.js):
+ * page HTML plus a result.json with the options the pages were scanned with. Every page
+ * is extracted again and compared with the case's golden.json.
+ * After an intended extractor change, check the diff and regenerate with: npm run test:update
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { extractSearchSnapshot, extractAdvertiserSnapshot, extractCreativeSnapshot } = require('../extractors');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+function readFixture(caseName, file) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, caseName, file), 'utf8');
+}
+
+// Everything but the fields that differ on every run
+function withoutVolatile(data) {
+  const { scrapedAt, rawText, ...rest } = data;
+  return rest;
+}
+
+// What a scan reads from each recorded page, by the page's file name
+function extractPage(name, html, options) {
+  if (name === 'search') {
+    return withoutVolatile(extractSearchSnapshot(html, options));
+  }
+  if (name.startsWith('advertiser-')) {
+    // An advertiser scan also reads the ads list of its advertiser page
+    return {
+      advertiser: extractAdvertiserSnapshot(html, options),
+      results: withoutVolatile(extractSearchSnapshot(html, { ...options, domain: null }))
+    };
+  }
+  if (name.startsWith('creative-')) {
+    return extractCreativeSnapshot(html, options);
+  }
+  return null;
+}
+
+for (const caseName of fs.readdirSync(FIXTURES_DIR).sort()) {
+  test(`${caseName} matches its golden file`, () => {
+    const { options } = JSON.parse(readFixture(caseName, 'result.json'));
+    const pages = fs.readdirSync(path.join(FIXTURES_DIR, caseName)).filter(file => file.endsWith('.html')).sort();
+
+    const extracted = {};
+    for (const file of pages) {
+      extracted[file] = extractPage(path.basename(file, '.html'), readFixture(caseName, file), options);
+    }
+
+    const goldenPath = path.join(FIXTURES_DIR, caseName, 'golden.json');
+    if (UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenPath, JSON.stringify(extracted, null, 2) + '\n');
+      return;
+    }
+    assert.ok(fs.existsSync(goldenPath), `${caseName} has no golden.json yet (npm run test:update)`);
+    assert.deepStrictEqual(extracted, JSON.parse(fs.readFileSync(goldenPath, 'utf8')));
+  });
+}
+
+test('Hebrew search page: approximate count, verified advertiser and one entry per creative', () => {
+  const data = extractSearchSnapshot(readFixture('he-shop.example.co.il', 'search.html'), { domain: 'shop.example.co.il' });
+
+  assert.strictEqual(data.totalAds, 2000);
+  assert.deepStrictEqual(data.totalAdsRange, { isApproximate: true, lower: 1500, upper: 2499 });
+  assert.deepStrictEqual(data.advertiser, { id: 'AR01234567890123456789', name: 'Acme Digital LTD', verified: true, location: null });
+  assert.deepStrictEqual(data.ads.map(ad => ad.creativeId), ['CR11111111111111111111', 'CR22222222222222222222', 'CR33333333333333333333']);
+  assert.deepStrictEqual(data.ads.map(ad => ad.format), ['Image', 'Text', 'Video']);
+  assert.strictEqual(data.ads[2].posterUrl, 'https://i.ytimg.com/vi/aBcDeFgHiJk/hqdefault.jpg');
+});
+
+test('Hebrew detail pages are translated to English values', () => {
+  const advertiser = extractAdvertiserSnapshot(readFixture('he-shop.example.co.il', 'advertiser-AR01234567890123456789.html'));
+  assert.deepStrictEqual(advertiser, { name: 'Acme Digital LTD', location: 'Netherlands', verified: true });
+
+  const creative = extractCreativeSnapshot(readFixture('he-shop.example.co.il', 'creative-CR11111111111111111111.html'));
+  assert.strictEqual(creative.firstShown, '2 Jan 2025');
+  assert.strictEqual(creative.lastShown, '1 Oct 2025');
+  assert.strictEqual(creative.format, 'Image');
+  assert.deepStrictEqual(creative.platforms, ['Google Search', 'YouTube']);
+});
+
+test('English pages', () => {
+  const data = extractSearchSnapshot(readFixture('en-example-store.com', 'search.html'), { domain: 'example-store.com', region: 'DE' });
+  assert.strictEqual(data.totalAds, 1200);
+  assert.strictEqual(data.totalAdsRange.isApproximate, true);
+  assert.strictEqual(data.ads[0].videoUrl, 'https://redirector.googlevideo.com/videoplayback?id=4444');
+
+  const creative = extractCreativeSnapshot(readFixture('en-example-store.com', 'creative-CR44444444444444444444.html'));
+  assert.deepStrictEqual(creative, {
+    firstShown: 'Mar 3, 2025',
+    lastShown: 'Oct 14, 2025',
+    format: 'Video',
+    shownIn: 'Germany, Austria',
+    platforms: ['YouTube', 'Google Search']
+  });
+});
+
+test('A "no ads" page is told apart from an empty extraction', () => {
+  const data = extractSearchSnapshot(readFixture('en-no-ads', 'search.html'), { domain: 'no-ads.example.org', locale: 'en' });
+  assert.strictEqual(data.noResultsShown, true);
+  assert.strictEqual(data.ads.length, 0);
+});
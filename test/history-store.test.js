@@ -0,0 +1,64 @@
+/**
+ * Scan history series: one region and one set of filters per series
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store reads DATA_DIR when it is loaded
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+const { recordScan, getDomainHistory, getLatestScan } = require('../history-store');
+
+const DOMAIN = 'example.com';
+const FILTERED = { dateFrom: '2025-01-01', dateTo: null, platform: 'youtube', format: null };
+
+function scan(scrapedAt, region, totalAds, filters = null) {
+  return { success: true, data: { scrapedAt, region, filters, hasResults: true, totalAds, publishers: [], ads: [] } };
+}
+
+test.before(() => {
+  recordScan(DOMAIN, scan('2025-03-01T08:00:00.000Z', 'anywhere', 100));
+  recordScan(DOMAIN, scan('2025-03-01T08:05:00.000Z', 'US', 40));
+  recordScan(DOMAIN, scan('2025-03-01T08:06:00.000Z', 'GB', 15));
+  recordScan(DOMAIN, scan('2025-03-01T08:10:00.000Z', 'anywhere', 12, FILTERED));
+  recordScan(DOMAIN, scan('2025-03-02T08:00:00.000Z', 'anywhere', 110));
+  recordScan(DOMAIN, scan('2025-03-02T08:05:00.000Z', 'US', 45));
+});
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('the default series holds unfiltered scans of region anywhere only', () => {
+  const history = getDomainHistory(DOMAIN);
+  assert.strictEqual(history.region, 'anywhere');
+  assert.strictEqual(history.filters, null);
+  assert.deepStrictEqual(history.series.map(p => [p.region, p.totalAds]), [['anywhere', 100], ['anywhere', 110]]);
+});
+
+test('a region series holds that region only, labelled with it', () => {
+  const history = getDomainHistory(DOMAIN, { region: 'US' });
+  assert.deepStrictEqual(history.series.map(p => [p.region, p.totalAds]), [['US', 40], ['US', 45]]);
+  assert.strictEqual(getDomainHistory(DOMAIN, { region: 'DE' }).count, 0);
+});
+
+test('filtered scans form their own series', () => {
+  const history = getDomainHistory(DOMAIN, { filters: FILTERED });
+  assert.deepStrictEqual(history.series.map(p => p.totalAds), [12]);
+  assert.deepStrictEqual(history.filters, FILTERED);
+});
+
+test('a date-only "to" includes that whole day', () => {
+  const history = getDomainHistory(DOMAIN, { from: '2025-03-01', to: '2025-03-01' });
+  assert.deepStrictEqual(history.series.map(p => p.totalAds), [100]);
+});
+
+test('the latest scan is looked up by region and filters', () => {
+  assert.strictEqual(getLatestScan(DOMAIN).totalAds, 110);
+  assert.strictEqual(getLatestScan(DOMAIN, 'GB').totalAds, 15);
+  assert.strictEqual(getLatestScan(DOMAIN, 'anywhere', FILTERED).totalAds, 12);
+  assert.strictEqual(getLatestScan(DOMAIN, 'anywhere', { ...FILTERED, format: 'video' }), null);
+});
@@ -0,0 +1,112 @@
+/**
+ * Persistent job queue: claiming items, retry counting and resuming after a restart
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The store reads DATA_DIR when it is loaded
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-test-'));
+const queue = require('../job-queue');
+
+test.after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function states(job) {
+  return job.items.map(item => item.state);
+}
+
+test('a new job is saved with every domain pending', () => {
+  const job = queue.createJob('api', ['a.com', 'b.com'], { region: 'US', batchSize: 5 });
+  assert.strictEqual(job.status, 'running');
+  assert.deepStrictEqual(states(job), ['pending', 'pending']);
+  assert.strictEqual(job.items[0].attempts, 0);
+
+  const saved = queue.getJob(job.id);
+  assert.deepStrictEqual(saved.items.map(item => item.domain), ['a.com', 'b.com']);
+  assert.deepStrictEqual(saved.options, { region: 'US', batchSize: 5 });
+  assert.strictEqual(queue.listJobs()[0].id, job.id);
+  assert.strictEqual(queue.getJob('../secrets'), null);
+});
+
+test('claiming takes pending items in order and counts an attempt', () => {
+  const job = queue.createJob('api', ['a.com', 'b.com', 'c.com']);
+  const claimed = queue.claimItems(job, 2);
+  assert.deepStrictEqual(claimed.map(item => item.domain), ['a.com', 'b.com']);
+  assert.deepStrictEqual(states(job), ['running', 'running', 'pending']);
+  assert.deepStrictEqual(claimed.map(item => item.attempts), [1, 1]);
+
+  assert.deepStrictEqual(queue.claimItems(job, 2).map(item => item.domain), ['c.com']);
+  assert.deepStrictEqual(queue.claimItems(job, 2), []);
+  assert.deepStrictEqual(states(queue.getJob(job.id)), ['running', 'running', 'running']);
+});
+
+test('a failed item is re-queued until it runs out of retries', () => {
+  const job = queue.createJob('api', ['a.com'], { maxRetries: 1 });
+
+  let [item] = queue.claimItems(job, 1);
+  assert.strictEqual(queue.failItem(job, item, 'Timeout'), true);
+  assert.strictEqual(item.state, 'pending');
+
+  [item] = queue.claimItems(job, 1);
+  assert.strictEqual(item.attempts, 2);
+  assert.strictEqual(queue.failItem(job, item, 'Timeout again', [{ status: 'error' }]), false);
+  assert.strictEqual(item.state, 'failed');
+  assert.strictEqual(item.error, 'Timeout again');
+  assert.deepStrictEqual(queue.getJobRows(job), [{ status: 'error' }]);
+  assert.deepStrictEqual(queue.getJobProgress(job), { total: 1, pending: 0, running: 0, done: 0, failed: 1, cancelled: 0 });
+});
+
+test('failures that are not retryable fail at once', () => {
+  const job = queue.createJob('api', ['a.com'], { maxRetries: 3 });
+  const [item] = queue.claimItems(job, 1);
+  assert.strictEqual(queue.failItem(job, item, 'Invalid options', null, false), false);
+  assert.strictEqual(item.state, 'failed');
+});
+
+test('a released item goes back without using up an attempt, or is cancelled with its job', () => {
+  const job = queue.createJob('api', ['a.com', 'b.com']);
+  const [first, second] = queue.claimItems(job, 2);
+
+  queue.releaseItem(job, first);
+  assert.strictEqual(first.state, 'pending');
+  assert.strictEqual(first.attempts, 0);
+
+  queue.cancelJob(job);
+  assert.strictEqual(job.status, 'cancelled');
+  assert.strictEqual(first.state, 'cancelled');
+  // Already running: finishes normally unless it is released
+  assert.strictEqual(second.state, 'running');
+  queue.releaseItem(job, second);
+  assert.strictEqual(second.state, 'cancelled');
+  assert.strictEqual(queue.failItem(job, second, 'Timeout'), false);
+});
+
+test('after a restart the unfinished job resumes with its running items pending again', () => {
+  const job = queue.createJob('auto-run', ['a.com', 'b.com', 'c.com']);
+  const [done, interrupted] = queue.claimItems(job, 2);
+  queue.completeItem(job, done, [{ domain: 'a.com', status: 'success' }]);
+
+  // A fresh process: the modules are loaded again and only see what was saved
+  for (const module of ['../job-queue', '../store']) {
+    delete require.cache[require.resolve(module)];
+  }
+  const restarted = require('../job-queue');
+
+  const resumed = restarted.findUnfinishedJob('auto-run');
+  assert.strictEqual(resumed.id, job.id);
+  assert.deepStrictEqual(states(resumed), ['done', 'pending', 'pending']);
+  assert.strictEqual(resumed.items[1].domain, interrupted.domain);
+  assert.strictEqual(resumed.items[1].attempts, 1);
+  assert.deepStrictEqual(restarted.getJobRows(resumed), [{ domain: 'a.com', status: 'success' }]);
+  assert.deepStrictEqual(states(restarted.getJob(job.id)), ['done', 'pending', 'pending']);
+
+  assert.deepStrictEqual(restarted.claimItems(resumed, 5).map(item => item.domain), ['b.com', 'c.com']);
+  restarted.finishJob(resumed);
+  assert.strictEqual(restarted.findUnfinishedJob('auto-run'), null);
+  assert.strictEqual(restarted.findUnfinishedJob('api', job.id), null);
+});
@@ -0,0 +1,56 @@
+/**
+ * Ad count and date normalization of the locale packs
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseAdCount, toIsoDate, translateDate } = require('../locale-packs');
+
+function count(text, code) {
+  const parsed = parseAdCount(text, code);
+  return parsed && [parsed.count, parsed.isApproximate, parsed.lower, parsed.upper];
+}
+
+test('plain counts are exact', () => {
+  assert.deepStrictEqual(count('2,000 ads', 'en'), [2000, false, 2000, 2000]);
+  assert.deepStrictEqual(count('‏2,345 מודעות', 'he'), [2345, false, 2345, 2345]);
+  assert.deepStrictEqual(count('2 345 объявлений', 'ru'), [2345, false, 2345, 2345]);
+});
+
+test('rounded counts are approximate, bounded by their last digit', () => {
+  assert.deepStrictEqual(count('About 2K ads', 'en'), [2000, true, 1500, 2499]);
+  assert.deepStrictEqual(count('1.2M ads', 'en'), [1200000, true, 1150000, 1249999]);
+  assert.deepStrictEqual(count('About 2,000 ads', 'en'), [2000, true, 1500, 2499]);
+  assert.deepStrictEqual(count('כ-2 אלף מודעות', 'he'), [2000, true, 1500, 2499]);
+  assert.deepStrictEqual(count('Ungefähr 1.234 Anzeigen', 'de'), [1234, true, 1234, 1234]);
+});
+
+test('text without a count is null', () => {
+  assert.strictEqual(parseAdCount('No ads found', 'en'), null);
+  assert.strictEqual(parseAdCount('', null), null);
+});
+
+test('display dates become ISO dates', () => {
+  assert.strictEqual(toIsoDate('Oct 5, 2025'), '2025-10-05');
+  assert.strictEqual(toIsoDate('October 5, 2025'), '2025-10-05');
+  assert.strictEqual(toIsoDate('5 Oct 2025'), '2025-10-05');
+  assert.strictEqual(toIsoDate('Sept. 30, 2025'), '2025-09-30');
+  assert.strictEqual(toIsoDate('2025-10-05T10:00:00Z'), '2025-10-05');
+  assert.strictEqual(toIsoDate(translateDate('5 באוק׳ 2025', 'he')), '2025-10-05');
+});
+
+test('days a month does not have are null', () => {
+  assert.strictEqual(toIsoDate('31 Feb 2025'), null);
+  assert.strictEqual(toIsoDate('Feb 29, 2025'), null);
+  assert.strictEqual(toIsoDate('Feb 29, 2024'), '2024-02-29');
+  assert.strictEqual(toIsoDate('Apr 31, 2025'), null);
+  assert.strictEqual(toIsoDate('0 Oct 2025'), null);
+  assert.strictEqual(toIsoDate('2025-02-31'), null);
+  assert.strictEqual(toIsoDate('2025-13-01'), null);
+});
+
+test('unreadable dates are null', () => {
+  assert.strictEqual(toIsoDate('yesterday'), null);
+  assert.strictEqual(toIsoDate('Foo 5, 2025'), null);
+  assert.strictEqual(toIsoDate(''), null);
+});
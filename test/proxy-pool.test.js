@@ -0,0 +1,156 @@
+/**
+ * Proxy rotation and health checks against local CONNECT proxy stand-ins, asset downloads
+ * through a session's proxy, and browser profile rotation
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'proxy-test-'));
+process.env.PROXY_MAX_FAILURES = '2';
+process.env.SCRAPE_FINGERPRINTS = 'rotate';
+
+// HTTP proxy that answers CONNECT by tunnelling to the target; records the targets
+function startConnectProxy() {
+  const proxy = { targets: [] };
+  proxy.server = http.createServer((req, res) => res.writeHead(405).end());
+  proxy.server.on('connect', (req, clientSocket, head) => {
+    proxy.targets.push(req.url);
+    const [host, port] = req.url.split(':');
+    const upstream = net.connect(parseInt(port), host, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) upstream.write(head);
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    upstream.on('error', () => clientSocket.destroy());
+    clientSocket.on('error', () => upstream.destroy());
+  });
+  return new Promise(resolve => proxy.server.listen(0, '127.0.0.1', () => resolve(proxy)));
+}
+
+// A port nothing listens on
+async function deadPort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+let first;
+let second;
+let assetServer;
+let assetOrigin;
+let pool;
+let assets;
+let fingerprints;
+
+test.before(async () => {
+  first = await startConnectProxy();
+  second = await startConnectProxy();
+  assetServer = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'video/mp4' }).end(Buffer.alloc(256, 7));
+  });
+  await new Promise(resolve => assetServer.listen(0, '127.0.0.1', resolve));
+  assetOrigin = `http://127.0.0.1:${assetServer.address().port}`;
+
+  // Read when the modules are loaded
+  process.env.SCRAPE_PROXIES = [
+    `http://127.0.0.1:${first.server.address().port}`,
+    `http://127.0.0.1:${second.server.address().port}`,
+    `US=http://127.0.0.1:${await deadPort()}`
+  ].join(',');
+  process.env.PROXY_CHECK_TARGET = `127.0.0.1:${assetServer.address().port}`;
+  process.env.PROXY_CHECK_TIMEOUT = '2000';
+  process.env.TRANSPARENCY_BASE_URL = assetOrigin;
+  pool = require('../proxy-pool');
+  assets = require('../asset-store');
+  fingerprints = require('../fingerprints');
+});
+
+test.after(() => {
+  for (const server of [first.server, second.server, assetServer]) {
+    server.closeAllConnections();
+    server.close();
+  }
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function proxyId(server) {
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('sessions take the least recently used proxy of the general pool', () => {
+  const picked = [pool.pickProxy(), pool.pickProxy(), pool.pickProxy()].map(proxy => proxy.id);
+  assert.deepStrictEqual(picked, [proxyId(first.server), proxyId(second.server), proxyId(first.server)]);
+  // A region without proxies of its own uses the general pool
+  assert.strictEqual(pool.pickProxy('GB').id, proxyId(second.server));
+});
+
+test('a health check takes a dead proxy out of rotation, with no direct fallback for its region', async () => {
+  const status = await pool.checkProxies();
+  const byRegion = Object.fromEntries(status.map(proxy => [proxy.region || proxy.id, proxy]));
+
+  assert.strictEqual(byRegion[proxyId(first.server)].healthy, true);
+  assert.strictEqual(byRegion[proxyId(second.server)].healthy, true);
+  assert.strictEqual(byRegion.US.healthy, false);
+  assert.match(byRegion.US.lastError, /ECONNREFUSED/);
+  assert.ok(first.targets.includes(process.env.PROXY_CHECK_TARGET));
+
+  assert.throws(() => pool.pickProxy('US'), error => {
+    assert.strictEqual(error.errorClass, 'network');
+    assert.match(error.message, /No healthy proxy for region US/);
+    return true;
+  });
+});
+
+test('asset downloads go out through the session proxy', async () => {
+  const proxy = pool.pickProxy();
+  const server = proxy.id === proxyId(first.server) ? first : second;
+  const targetsBefore = server.targets.length;
+  const ads = [{ creativeId: 'CR1', videoUrl: `${assetOrigin}/video.mp4` }];
+
+  await assets.archiveAdAssets(null, ads, { proxy });
+  assert.strictEqual(ads[0].assets.video.size, 256);
+  assert.deepStrictEqual(server.targets.slice(targetsBefore), [new URL(assetOrigin).host]);
+});
+
+test('failed scans take a proxy out of rotation until every proxy is down', async () => {
+  const proxy = pool.pickProxy();
+  // Page failures say nothing about the proxy
+  pool.reportProxyResult(proxy, { success: false, errorClass: 'selector-drift' });
+  pool.reportProxyResult(proxy, { success: false, errorClass: 'selector-drift' });
+  assert.strictEqual(proxy.healthy, true);
+
+  pool.reportProxyResult(proxy, { success: false, errorClass: 'network', error: 'net::ERR_TUNNEL_CONNECTION_FAILED' });
+  pool.reportProxyResult(proxy, { success: false, errorClass: 'captcha', error: 'CAPTCHA' });
+  assert.strictEqual(proxy.healthy, false);
+
+  const other = pool.pickProxy();
+  assert.notStrictEqual(other.id, proxy.id);
+  assert.strictEqual(pool.pickProxy().id, other.id);
+
+  pool.reportProxyResult(other, { success: false, errorClass: 'timeout' });
+  pool.reportProxyResult(other, { success: false, errorClass: 'timeout' });
+  assert.throws(() => pool.pickProxy(), { errorClass: 'network' });
+
+  // Passing a health check puts them back
+  await pool.checkProxies();
+  assert.ok(pool.pickProxy());
+});
+
+test('rotated browser profiles vary', () => {
+  const profiles = Array.from({ length: 30 }, () => fingerprints.pickProfile());
+  for (const profile of profiles) {
+    assert.match(profile.userAgent, /Chrome\/\d+/);
+    assert.ok(profile.viewport.width > 0 && profile.viewport.height > 0);
+    assert.ok(profile.acceptLanguage);
+  }
+  assert.ok(new Set(profiles.map(profile => profile.id)).size > 1);
+});
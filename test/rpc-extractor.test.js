@@ -0,0 +1,120 @@
+/**
+ * Golden-file tests for the RPC response parsers (offline, no browser)
+ * A fixture case can hold the RPC bodies of its scan as rpc-<Method>[-<n>].txt, exactly as
+ * the site sent them. They are parsed like a scan does and compared with rpc-golden.json;
+ * regenerate with npm run test:update after an intended parser change.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parseRpcBody, parseSearchResults, parseAdvertiser, parseCreativeDetails, pickField } = require('../rpc-extractor');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+const RPC_FILE = /^rpc-(\w+?)(-\d+)?\.txt$/;
+
+// Bodies of a case by RPC method, in file order (the order the scan received them)
+function readRpcBodies(caseName) {
+  const bodies = {};
+  for (const file of fs.readdirSync(path.join(FIXTURES_DIR, caseName)).sort()) {
+    const match = file.match(RPC_FILE);
+    if (!match) continue;
+    const body = parseRpcBody(fs.readFileSync(path.join(FIXTURES_DIR, caseName, file), 'utf8'));
+    assert.ok(body, `${caseName}/${file} is not an RPC body`);
+    (bodies[match[1]] = bodies[match[1]] || []).push(body);
+  }
+  return bodies;
+}
+
+const rpcCases = fs.readdirSync(FIXTURES_DIR).sort()
+  .filter(caseName => fs.readdirSync(path.join(FIXTURES_DIR, caseName)).some(file => RPC_FILE.test(file)));
+
+for (const caseName of rpcCases) {
+  test(`${caseName} RPC responses match their golden file`, () => {
+    const bodies = readRpcBodies(caseName);
+    const parsed = {
+      search: parseSearchResults(bodies.SearchCreatives || []),
+      advertiser: parseAdvertiser(bodies.GetAdvertiserById || []),
+      creative: parseCreativeDetails(bodies.GetCreativeById || [])
+    };
+
+    const goldenPath = path.join(FIXTURES_DIR, caseName, 'rpc-golden.json');
+    if (UPDATE_GOLDEN) {
+      fs.writeFileSync(goldenPath, JSON.stringify(parsed, null, 2) + '\n');
+      return;
+    }
+    assert.ok(fs.existsSync(goldenPath), `${caseName} has no rpc-golden.json yet (npm run test:update)`);
+    assert.deepStrictEqual(parsed, JSON.parse(fs.readFileSync(goldenPath, 'utf8')));
+  });
+}
+
+test('RPC values agree with what the DOM extractors read from the same scan', () => {
+  const bodies = readRpcBodies('en-example-store.com');
+  const golden = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'en-example-store.com', 'golden.json'), 'utf8'));
+
+  const search = parseSearchResults(bodies.SearchCreatives);
+  assert.strictEqual(search.totalAds, golden['search.html'].totalAds);
+  assert.deepStrictEqual(search.creatives.map(c => [c.creativeId, c.format]).sort(),
+    golden['search.html'].ads.map(ad => [ad.creativeId, ad.format]).sort());
+
+  const advertiser = parseAdvertiser(bodies.GetAdvertiserById);
+  const domAdvertiser = golden['advertiser-AR11112222333344445555.html'].advertiser;
+  assert.deepStrictEqual([advertiser.name, advertiser.location], [domAdvertiser.name, domAdvertiser.location]);
+
+  const creative = parseCreativeDetails(bodies.GetCreativeById);
+  const domCreative = golden['creative-CR44444444444444444444.html'];
+  assert.deepStrictEqual(
+    [creative.firstShown, creative.lastShown, creative.format, creative.shownInRegions, creative.platforms],
+    [domCreative.firstShown, domCreative.lastShown, domCreative.format, domCreative.shownIn, domCreative.platforms]
+  );
+});
+
+test('bodies are read with or without the anti-XSSI prefix; anything else is ignored', () => {
+  assert.deepStrictEqual(parseRpcBody(')]}\'\n{"1":[]}'), { 1: [] });
+  assert.deepStrictEqual(parseRpcBody('{"4":"12"}'), { 4: '12' });
+  assert.strictEqual(parseRpcBody('<html>Sorry...</html>'), null);
+  assert.strictEqual(parseRpcBody(''), null);
+});
+
+test('renumbered or unknown fields come back as null instead of guesses', () => {
+  // No known field at all: nothing usable
+  assert.strictEqual(parseSearchResults([{ 2: [{ 9: 'CR1' }], 7: '10' }]), null);
+  assert.strictEqual(parseSearchResults([]), null);
+
+  const { creatives } = parseSearchResults([{ 1: [{ 1: 'AR1', 2: 'CR1', 4: 9, 6: 'yesterday', 12: 42, 14: [{ 1: 77 }], 17: ['Germany'] }] }]);
+  assert.deepStrictEqual(creatives, [{
+    creativeId: 'CR1',
+    advertiserId: 'AR1',
+    advertiserName: null,
+    format: null,
+    firstShown: null,
+    lastShown: null,
+    shownInRegions: null,
+    platforms: null
+  }]);
+
+  assert.strictEqual(parseAdvertiser([{ 1: { 1: 'not-an-id', 2: 'Name' } }]), null);
+  assert.deepStrictEqual(parseAdvertiser([{ 1: { 1: 'AR1', 3: 'Germany' } }]), { id: 'AR1', name: null, location: null });
+  assert.strictEqual(parseCreativeDetails([{ 1: { 4: 2 } }]), null);
+});
+
+test('the latest advertiser and creative response wins; search pages are merged', () => {
+  const advertiser = parseAdvertiser([{ 1: { 1: 'AR1', 2: 'Old name' } }, { 1: { 1: 'AR1', 2: 'New name' } }]);
+  assert.strictEqual(advertiser.name, 'New name');
+
+  const search = parseSearchResults([{ 1: [{ 2: 'CR1', 4: 2 }], 5: '3' }, { 1: [{ 2: 'CR1', 4: 3 }, { 2: 'CR2' }], 5: '2' }]);
+  assert.strictEqual(search.totalAds, 3);
+  assert.deepStrictEqual(search.creatives.map(c => [c.creativeId, c.format]), [['CR1', 'Video'], ['CR2', null]]);
+});
+
+test('network values are preferred over DOM values, and the source is recorded', () => {
+  const target = {};
+  const sources = {};
+  pickField(target, sources, 'name', 'From RPC', 'From page');
+  pickField(target, sources, 'location', null, 'Germany');
+  pickField(target, sources, 'verified', undefined, undefined);
+  assert.deepStrictEqual(target, { name: 'From RPC', location: 'Germany', verified: null });
+  assert.deepStrictEqual(sources, { name: 'network', location: 'dom' });
+});
@@ -0,0 +1,116 @@
+/**
+ * Scan error classes and the attempts each class gets
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Read when scan-errors.js is loaded: no waiting between attempts, except for network
+// errors (to stop a scan while it waits), and one more captcha retry than the default
+process.env.SCRAPE_RETRY_POLICIES = JSON.stringify({
+  'timeout': { baseDelay: 0, maxDelay: 0 },
+  'consent': { baseDelay: 0, maxDelay: 0 },
+  'captcha': { retries: 2, baseDelay: 0, maxDelay: 0 },
+  'selector-drift': { baseDelay: 0, maxDelay: 0 },
+  'browser-crash': { baseDelay: 0, maxDelay: 0 },
+  'network': { baseDelay: 60000, maxDelay: 60000 },
+  'unknown': { baseDelay: 0, maxDelay: 0 }
+});
+const { ERROR_CLASSES, RETRY_POLICIES, scanError, classifyError, isRetryable, withRetries } = require('../scan-errors');
+
+test('thrown errors are classified by their tag, name or message', () => {
+  const cases = [
+    [scanError('captcha', 'Google showed a CAPTCHA'), 'captcha'],
+    [scanError('selector-drift', 'No results container'), 'selector-drift'],
+    [Object.assign(new Error('The operation was aborted'), { name: 'AbortError' }), 'cancelled'],
+    [Object.assign(new Error('Waiting failed'), { name: 'TimeoutError' }), 'timeout'],
+    [new Error('Navigation timeout of 30000 ms exceeded'), 'timeout'],
+    [new Error('net::ERR_NAME_NOT_RESOLVED at https://adstransparency.google.com'), 'network'],
+    [new Error('connect ECONNREFUSED 127.0.0.1:8080'), 'network'],
+    [new Error('socket hang up'), 'network'],
+    [new Error('Protocol error (Runtime.callFunctionOn): Target closed'), 'browser-crash'],
+    [new Error('Execution context was destroyed, most likely because of a navigation'), 'browser-crash'],
+    [new Error('Cannot read properties of undefined'), 'unknown'],
+    ['a string', 'unknown'],
+    [undefined, 'unknown']
+  ];
+  for (const [error, expected] of cases) {
+    assert.strictEqual(classifyError(error), expected, String(error?.message || error));
+  }
+});
+
+test('every class has a retry policy; overrides change single fields', () => {
+  assert.deepStrictEqual(Object.keys(RETRY_POLICIES).sort(), [...ERROR_CLASSES].sort());
+  assert.deepStrictEqual(RETRY_POLICIES.captcha, { retries: 2, baseDelay: 0, maxDelay: 0 });
+  assert.deepStrictEqual(RETRY_POLICIES['no-results'], { retries: 0, baseDelay: 0, maxDelay: 0 });
+
+  assert.deepStrictEqual(ERROR_CLASSES.filter(isRetryable).sort(),
+    ['browser-crash', 'captcha', 'consent', 'network', 'selector-drift', 'timeout', 'unknown']);
+});
+
+// Runs attempts that always fail with the given class; returns the result and attempt count
+async function alwaysFailing(errorClass) {
+  let calls = 0;
+  const result = await withRetries(async () => {
+    calls++;
+    return { success: false, error: `failed with ${errorClass}`, errorClass };
+  }, 'example.com');
+  return { result, calls };
+}
+
+test('each class gets its policy\'s retries after the first attempt', async () => {
+  const expected = {
+    'timeout': 3,
+    'consent': 3,
+    'captcha': 3,
+    'selector-drift': 2,
+    'browser-crash': 3,
+    'unknown': 2,
+    'no-results': 1,
+    'invalid-options': 1,
+    'cancelled': 1
+  };
+  for (const [errorClass, attempts] of Object.entries(expected)) {
+    const { result, calls } = await alwaysFailing(errorClass);
+    assert.strictEqual(calls, attempts, errorClass);
+    assert.strictEqual(result.attempts, attempts, errorClass);
+    assert.strictEqual(result.errorClass, errorClass);
+  }
+  // A result without a class is retried like an unknown error
+  const { calls } = await alwaysFailing(undefined);
+  assert.strictEqual(calls, 2);
+});
+
+test('a success ends the retries and records the attempts it took', async () => {
+  const result = await withRetries(async (number) => number < 3
+    ? { success: false, error: 'Navigation timeout', errorClass: 'timeout' }
+    : { success: true, data: {} }, 'example.com');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.attempts, 3);
+  assert.strictEqual(result.errorClass, null);
+});
+
+test('the class of the latest failure decides whether to go on', async () => {
+  const classes = ['timeout', 'invalid-options'];
+  const result = await withRetries(async (number) => ({ success: false, error: 'failed', errorClass: classes[number - 1] }), 'example.com');
+  assert.strictEqual(result.attempts, 2);
+  assert.strictEqual(result.errorClass, 'invalid-options');
+});
+
+test('stopping the scan while it waits for a retry reports a cancellation', async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort('job stopped'), 50);
+  let calls = 0;
+
+  const startedAt = Date.now();
+  const result = await withRetries(async () => {
+    calls++;
+    return { success: false, error: 'net::ERR_CONNECTION_RESET', errorClass: 'network' };
+  }, 'example.com', controller.signal);
+
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.strictEqual(calls, 1);
+  assert.strictEqual(result.errorClass, 'cancelled');
+  assert.strictEqual(result.error, 'Scan cancelled (job stopped)');
+  assert.strictEqual(result.attempts, 1);
+});
@@ -0,0 +1,57 @@
+/**
+ * Scan filter parsing, URL parameters and comparison keys
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFilters, filterQuery, describeFilters, filtersKey } = require('../scan-filters');
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+test('no options means no filters', () => {
+  const { filters, error } = parseFilters({});
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(filters, { dateFrom: null, dateTo: null, platform: null, format: null });
+  assert.strictEqual(filterQuery(filters), '');
+  assert.strictEqual(describeFilters(filters), 'None');
+  assert.strictEqual(filtersKey(filters), '');
+});
+
+test('platform and format are case-insensitive and mapped to URL parameters', () => {
+  const { filters } = parseFilters({ platform: 'YouTube', format: 'VIDEO' });
+  assert.strictEqual(filters.platform, 'youtube');
+  assert.strictEqual(filters.format, 'video');
+  assert.strictEqual(filterQuery(filters), '&platform=YOUTUBE&format=VIDEO');
+  assert.strictEqual(describeFilters(filters), 'YouTube, Video');
+  assert.strictEqual(filtersKey(filters), '||youtube|video');
+});
+
+test('a closed date range is kept as given', () => {
+  const { filters } = parseFilters({ dateFrom: '2025-01-01', dateTo: '2025-03-31' });
+  assert.strictEqual(filters.dateTo, '2025-03-31');
+  assert.strictEqual(filterQuery(filters), '&start-date=2025-01-01&end-date=2025-03-31');
+  assert.strictEqual(describeFilters(filters), '2025-01-01 – 2025-03-31');
+  assert.strictEqual(filtersKey(filters), '2025-01-01|2025-03-31||');
+  assert.notStrictEqual(filtersKey(filters), filtersKey(parseFilters({ dateFrom: '2025-01-01' }).filters));
+});
+
+test('an open-ended range keeps dateTo null and a key that does not change by day', () => {
+  const { filters } = parseFilters({ dateFrom: '2025-01-01' });
+  assert.strictEqual(filters.dateTo, null);
+  assert.strictEqual(filtersKey(filters), '2025-01-01|||');
+  assert.strictEqual(describeFilters(filters), '2025-01-01 – today');
+  // Only the URL gets today's date
+  assert.strictEqual(filterQuery(filters), `&start-date=2025-01-01&end-date=${today()}`);
+});
+
+test('invalid filters are rejected', () => {
+  assert.match(parseFilters({ dateTo: '2025-03-31' }).error, /dateTo needs a dateFrom/);
+  assert.match(parseFilters({ dateFrom: '2025-02-30' }).error, /Invalid dateFrom/);
+  assert.match(parseFilters({ dateFrom: '2025-01-01', dateTo: '03/31/2025' }).error, /Invalid dateTo/);
+  assert.match(parseFilters({ dateFrom: '2025-03-01', dateTo: '2025-01-01' }).error, /dateFrom is after dateTo/);
+  assert.match(parseFilters({ dateFrom: '2999-01-01' }).error, /dateFrom is after dateTo/);
+  assert.match(parseFilters({ platform: 'tiktok' }).error, /Unknown platform/);
+  assert.match(parseFilters({ format: 'audio' }).error, /Unknown format/);
+});
@@ -0,0 +1,82 @@
+/**
+ * Scan progress events: stage order, event payloads and per-stage timings
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('timers/promises');
+const { STAGES, createProgress } = require('../scan-progress');
+
+test('each stage ends before the next one starts, in the order the scan runs them', async () => {
+  const events = [];
+  const progress = createProgress(event => events.push(event), { domain: 'example.com' });
+
+  progress.stage('open-page');
+  progress.stage('navigate');
+  await sleep(20);
+  progress.stage('wait-results');
+  progress.end();
+  // Ending twice does nothing
+  progress.end();
+
+  assert.deepStrictEqual(events.map(e => `${e.phase}:${e.stage}`), [
+    'start:open-page',
+    'end:open-page',
+    'start:navigate',
+    'end:navigate',
+    'start:wait-results',
+    'end:wait-results'
+  ]);
+  const stages = events.filter(e => e.phase === 'start').map(e => e.stage);
+  assert.deepStrictEqual(stages, STAGES.slice(0, 3));
+});
+
+test('events carry the scan target, attempt, elapsed time and the stage details', async () => {
+  const events = [];
+  const progress = createProgress(event => events.push(event), { domain: 'example.com' });
+  progress.attempt = 2;
+
+  const publisher = { publisherIndex: 1, publisherCount: 2, publisherId: 'AR1' };
+  progress.stage('advertiser-page', publisher);
+  await sleep(20);
+  progress.stage('creative-page', { ...publisher, creativeIndex: 1, creativeCount: 3, creativeId: 'CR1' });
+  progress.end();
+
+  const [start, end, creativeStart] = events;
+  assert.deepStrictEqual(Object.keys(start).sort(),
+    ['attempt', 'domain', 'elapsedMs', 'phase', 'publisherCount', 'publisherId', 'publisherIndex', 'stage']);
+  assert.strictEqual(start.domain, 'example.com');
+  assert.strictEqual(start.attempt, 2);
+  assert.strictEqual(start.publisherId, 'AR1');
+
+  assert.deepStrictEqual(Object.keys(end).sort(), [...Object.keys(start), 'durationMs'].sort());
+  assert.strictEqual(end.phase, 'end');
+  assert.ok(end.durationMs >= 15);
+  assert.ok(end.elapsedMs >= end.durationMs);
+
+  assert.strictEqual(creativeStart.creativeId, 'CR1');
+  assert.strictEqual(creativeStart.creativeCount, 3);
+});
+
+test('durations are summed per stage over all attempts', () => {
+  const progress = createProgress(null, { advertiserId: 'AR1' });
+  progress.stage('navigate');
+  progress.stage('extract');
+  progress.attempt = 2;
+  progress.stage('navigate');
+  progress.end();
+
+  assert.deepStrictEqual(Object.keys(progress.timings), ['navigate', 'extract']);
+  assert.strictEqual(progress.timings.navigate.count, 2);
+  assert.strictEqual(progress.timings.extract.count, 1);
+  for (const timing of Object.values(progress.timings)) {
+    assert.ok(timing.totalMs >= timing.maxMs && timing.maxMs >= 0);
+  }
+});
+
+test('a failing listener does not stop the scan', () => {
+  const progress = createProgress(() => { throw new Error('listener gone'); }, { domain: 'example.com' });
+  progress.stage('open-page');
+  progress.end();
+  assert.strictEqual(progress.timings['open-page'].count, 1);
+});
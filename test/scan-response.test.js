@@ -0,0 +1,98 @@
+/**
+ * Compact scan responses, include= and fields=
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseProjection, projectScanResult } = require('../scan-response');
+
+function scanResult() {
+  return {
+    success: true,
+    error: null,
+    scanId: 'scan-1',
+    data: {
+      domain: 'example.com',
+      region: 'anywhere',
+      totalAds: 12,
+      lastSeenDateIso: '2025-03-01',
+      screenshot: 'iVBORw0KGgo',
+      rawText: 'page text',
+      adImages: ['https://tpc.googlesyndication.com/a.png'],
+      ads: [
+        { creativeId: 'CR1', format: 'image', adText: 'Buy now', screenshot: 'base64', detailScreenshot: 'base64' },
+        { creativeId: 'CR2', format: 'video', adText: 'Watch' }
+      ],
+      publishers: [
+        {
+          id: 'AR1',
+          name: 'Example Ltd',
+          verified: true,
+          screenshot: 'base64',
+          ads: [{ creativeId: 'CR1', format: 'image', adText: 'Buy now', screenshot: 'base64' }]
+        },
+        { id: 'AR2', name: 'Other Ltd', ads: [] }
+      ]
+    }
+  };
+}
+
+test('include= and fields= are read from lists or comma-separated strings', () => {
+  const fromQuery = parseProjection({ include: 'ads, screenshot', fields: '' });
+  assert.deepStrictEqual([...fromQuery.include], ['ads', 'screenshot']);
+  assert.strictEqual(fromQuery.fields, null);
+  assert.strictEqual(fromQuery.error, null);
+
+  const fromBody = parseProjection({ fields: ['data.totalAds', 'data.publishers.name'] });
+  assert.deepStrictEqual(fromBody.fields, ['data.totalAds', 'data.publishers.name']);
+  assert.strictEqual(parseProjection().include.size, 0);
+});
+
+test('unknown include options and malformed fields are rejected', () => {
+  assert.match(parseProjection({ include: 'ads,everything' }).error, /Unknown include option: everything/);
+  assert.match(parseProjection({ fields: 'data..totalAds' }).error, /Invalid field: data\.\.totalAds/);
+  assert.match(parseProjection({ fields: ['data.ads[0]'] }).error, /Invalid field/);
+});
+
+test('the default response leaves out ads, screenshots, page text and ad images', () => {
+  const { data, scanId } = projectScanResult(scanResult(), parseProjection({}));
+  assert.strictEqual(scanId, 'scan-1');
+  assert.strictEqual(data.totalAds, 12);
+  assert.strictEqual(data.adsInView, 2);
+  for (const heavy of ['ads', 'screenshot', 'rawText', 'adImages']) {
+    assert.ok(!(heavy in data), heavy);
+  }
+  assert.deepStrictEqual(data.publishers[0].creativeIds, ['CR1']);
+  assert.deepStrictEqual(data.publishers[0].firstAd, { creativeId: 'CR1', format: 'image', adText: 'Buy now' });
+  assert.strictEqual(data.publishers[0].screenshot, undefined);
+  assert.strictEqual(data.publishers[1].firstAd, null);
+});
+
+test('include= adds parts back; ad screenshots only with include=screenshot', () => {
+  const withAds = projectScanResult(scanResult(), parseProjection({ include: 'ads' })).data;
+  assert.strictEqual(withAds.ads.length, 2);
+  assert.ok(!('screenshot' in withAds.ads[0]) && !('detailScreenshot' in withAds.ads[0]));
+  assert.ok(!('screenshot' in withAds));
+
+  const withScreenshots = projectScanResult(scanResult(), parseProjection({ include: ['ads', 'screenshot'] })).data;
+  assert.strictEqual(withScreenshots.screenshot, 'iVBORw0KGgo');
+  assert.strictEqual(withScreenshots.ads[0].detailScreenshot, 'base64');
+  assert.strictEqual(withScreenshots.publishers[0].screenshot, 'base64');
+
+  const full = scanResult();
+  assert.strictEqual(projectScanResult(full, parseProjection({ include: 'all' })), full);
+});
+
+test('fields= picks paths from the full result, through arrays', () => {
+  const picked = projectScanResult(scanResult(), parseProjection({ fields: 'data.totalAds,data.publishers.name,data.missing' }));
+  assert.deepStrictEqual(picked, {
+    success: true,
+    error: null,
+    data: { totalAds: 12, publishers: [{ name: 'Example Ltd' }, { name: 'Other Ltd' }] }
+  });
+});
+
+test('failed scans are returned as they are', () => {
+  const failed = { success: false, error: 'Timeout', errorClass: 'timeout' };
+  assert.strictEqual(projectScanResult(failed, parseProjection({})), failed);
+});
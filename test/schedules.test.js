@@ -0,0 +1,92 @@
+/**
+ * Schedule expression parsing and next run times
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSchedule, getNextRunTime } = require('../schedules');
+
+function next(expression, after, timezone = 'UTC') {
+  return getNextRunTime(expression, timezone, new Date(after))?.toISOString() || null;
+}
+
+function sorted(set) {
+  return [...set].sort((a, b) => a - b);
+}
+
+test('cron fields accept lists, ranges, steps and day names', () => {
+  const { type, fields, timezone } = parseSchedule('*/15 8-10,18 1 */3 mon-fri', 'UTC');
+  assert.strictEqual(type, 'cron');
+  assert.strictEqual(timezone, 'UTC');
+  assert.deepStrictEqual(sorted(fields.minute), [0, 15, 30, 45]);
+  assert.deepStrictEqual(sorted(fields.hour), [8, 9, 10, 18]);
+  assert.deepStrictEqual(sorted(fields.dayOfMonth), [1]);
+  assert.deepStrictEqual(sorted(fields.month), [1, 4, 7, 10]);
+  assert.deepStrictEqual(sorted(fields.dayOfWeek), [1, 2, 3, 4, 5]);
+  // 7 is Sunday too
+  assert.deepStrictEqual(sorted(parseSchedule('0 0 * * 5-7').fields.dayOfWeek), [0, 5, 6]);
+});
+
+test('shortcuts become cron expressions', () => {
+  const weekdays = parseSchedule('weekdays 08:30');
+  assert.deepStrictEqual(sorted(weekdays.fields.minute), [30]);
+  assert.deepStrictEqual(sorted(weekdays.fields.hour), [8]);
+  assert.deepStrictEqual(sorted(weekdays.fields.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(sorted(parseSchedule('sun-thu 08:00').fields.dayOfWeek), [0, 1, 2, 3, 4]);
+  assert.deepStrictEqual(sorted(parseSchedule('weekends 10:00').fields.dayOfWeek), [0, 6]);
+  assert.deepStrictEqual(sorted(parseSchedule('hourly').fields.minute), [0]);
+  assert.strictEqual(parseSchedule('daily 06:30').dayOfWeekAny, true);
+});
+
+test('a timezone suffix overrides the schedule timezone', () => {
+  assert.strictEqual(parseSchedule('weekdays 08:00 America/New_York', 'UTC').timezone, 'America/New_York');
+  assert.strictEqual(parseSchedule('daily 08:00').timezone, 'Asia/Jerusalem');
+  assert.strictEqual(parseSchedule('daily 08:00', 'Europe/London').timezone, 'Europe/London');
+});
+
+test('intervals count in minutes from the end of the previous run', () => {
+  assert.deepStrictEqual(parseSchedule('every 90 minutes', 'UTC'), { type: 'interval', minutes: 90, timezone: 'UTC' });
+  assert.strictEqual(parseSchedule('every 2 hours').minutes, 120);
+  assert.strictEqual(next('every 45 minutes', '2025-03-01T10:07:30Z'), '2025-03-01T10:52:30.000Z');
+});
+
+test('invalid expressions are rejected', () => {
+  for (const expression of ['', '60 * * * *', '* 24 * * *', '0 0 0 * *', '0 0 * 13 *', '5-1 * * * *', '*/0 * * * *', '0 0 * * foo', 'sometimes 08:00', 'daily 8am', 'every 0 minutes']) {
+    assert.throws(() => parseSchedule(expression, 'UTC'), Error, expression);
+  }
+  assert.throws(() => parseSchedule('daily 08:00', 'Mars/Olympus'), /Unknown timezone/);
+});
+
+test('the next cron run is the first match after the given time', () => {
+  // Friday 10:00 UTC: weekdays 08:00 is Monday
+  assert.strictEqual(next('weekdays 08:00', '2025-01-03T10:00:00Z'), '2025-01-06T08:00:00.000Z');
+  assert.strictEqual(next('*/15 * * * *', '2025-01-03T10:07:00Z'), '2025-01-03T10:15:00.000Z');
+  // Exactly on a match: the next one
+  assert.strictEqual(next('*/15 * * * *', '2025-01-03T10:15:00Z'), '2025-01-03T10:30:00.000Z');
+  assert.strictEqual(next('0 9 1 * *', '2025-01-31T12:00:00Z'), '2025-02-01T09:00:00.000Z');
+  assert.strictEqual(next('0 9 29 2 *', '2023-03-01T00:00:00Z'), '2024-02-29T09:00:00.000Z');
+});
+
+test('with both day fields restricted, either one matches', () => {
+  // The 15th (a Wednesday) or any Monday
+  assert.strictEqual(next('0 12 15 * 1', '2025-01-07T00:00:00Z'), '2025-01-13T12:00:00.000Z');
+  assert.strictEqual(next('0 12 15 * 1', '2025-01-13T13:00:00Z'), '2025-01-15T12:00:00.000Z');
+});
+
+test('run times follow the wall clock of the schedule timezone', () => {
+  // 08:00 in Jerusalem is 06:00 UTC in winter and 05:00 UTC in summer
+  assert.strictEqual(next('weekdays 08:00', '2025-01-05T12:00:00Z', 'Asia/Jerusalem'), '2025-01-06T06:00:00.000Z');
+  assert.strictEqual(next('weekdays 08:00', '2025-07-06T12:00:00Z', 'Asia/Jerusalem'), '2025-07-07T05:00:00.000Z');
+  assert.strictEqual(next('30 0 * * *', '2025-03-08T06:00:00Z', 'America/New_York'), '2025-03-09T05:30:00.000Z');
+});
+
+test('a midnight run right after a 23-hour DST day is not skipped', () => {
+  // Israel moved to summer time on Friday 2025-03-28; Saturday midnight is 21:00 UTC on Friday
+  assert.strictEqual(next('0 0 * * 6', '2025-03-27T12:00:00Z', 'Asia/Jerusalem'), '2025-03-28T21:00:00.000Z');
+  // New York: Sunday 2025-03-09 is 23 hours long
+  assert.strictEqual(next('0 0 * * 1', '2025-03-08T12:00:00Z', 'America/New_York'), '2025-03-10T04:00:00.000Z');
+});
+
+test('an expression that never matches within a year has no next run', () => {
+  assert.strictEqual(next('0 0 31 2 *', '2025-01-01T00:00:00Z'), null);
+});
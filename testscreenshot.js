@@ -10,10 +10,11 @@
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
+const { searchUrl } = require('./transparency-urls');
 
 async function testScreenshot() {
   const domain = 'gotofilejet.com';
-  const url = `https://adstransparency.google.com/?region=anywhere&domain=${encodeURIComponent(domain)}`;
+  const url = searchUrl(domain, 'anywhere');
 
   let browser;
   try {
@@ -0,0 +1,32 @@
+/**
+ * Transparency Center URLs
+ * Every page the scanner visits or links to is built here. TRANSPARENCY_BASE_URL points
+ * the scanner at another copy of the site, such as the local mock (see mock-site.js).
+ */
+
+const DEFAULT_BASE_URL = 'https://adstransparency.google.com';
+const BASE_URL = (process.env.TRANSPARENCY_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+/**
+ * Search results page of a domain
+ * @param {string} query - Extra query string ("&format=IMAGE..."), already encoded
+ */
+function searchUrl(domain, region, query = '') {
+  return `${BASE_URL}/?region=${region}&domain=${encodeURIComponent(domain)}${query}`;
+}
+
+function advertiserUrl(advertiserId, region, query = '') {
+  return `${BASE_URL}/advertiser/${advertiserId}?region=${region}${query}`;
+}
+
+function creativeUrl(advertiserId, creativeId, region, query = '') {
+  return `${BASE_URL}/advertiser/${advertiserId}/creative/${creativeId}?region=${region}${query}`;
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  BASE_URL,
+  searchUrl,
+  advertiserUrl,
+  creativeUrl
+};